@@ -1,35 +1,277 @@
 // ==================== CONSTANTS AND CONFIGURATION ====================
 const CONFIG = {
-    // API Configuration
-    hianime: {
-        baseURL: 'https://hianime.to/api',
-        endpoints: {
-            search: '/anime/search',
-            trending: '/anime/trending',
-            top: '/anime/top-airing',
-            info: '/anime/info',
-            episode: '/anime/episode',
-            servers: '/anime/servers',
-            random: '/anime/random'
-        }
-    },
-    
-    // Backup API (Jikan API for MAL data)
+    // Jikan API (MyAnimeList data), also the default metadata provider
     backup: {
         baseURL: 'https://api.jikan.moe/v4',
         endpoints: {
             search: '/anime',
             top: '/top/anime',
             seasons: '/seasons',
-            random: '/random/anime'
+            random: '/random/anime',
+            manga: '/manga'
         }
     },
     
+    // Metadata providers, tried in priority order. A provider that fails
+    // `failureThreshold` times in a row is skipped for `cooldown` ms.
+    providers: {
+        priority: ['jikan', 'anilist', 'kitsu', 'mangadex'],
+        anilist: {
+            baseURL: 'https://graphql.anilist.co'
+        },
+        kitsu: {
+            baseURL: 'https://kitsu.io/api/edge'
+        },
+        mangadex: {
+            baseURL: 'https://api.mangadex.org',
+            coversURL: 'https://uploads.mangadex.org/covers'
+        },
+        failureThreshold: 3,
+        cooldown: 60 * 1000
+    },
+    
+    // API response cache. TTLs are matched against the request URL in order;
+    // a TTL of 0 means the response is never cached.
+    cache: {
+        maxEntries: 300,
+        maxBytes: 2 * 1024 * 1024,
+        defaultTTL: 5 * 60 * 1000,
+        ttl: [
+            { pattern: /\/anime\/\d+\/full/, ttl: 24 * 60 * 60 * 1000 },
+            { pattern: /\/anime\/\d+\/episodes/, ttl: 6 * 60 * 60 * 1000 },
+            { pattern: /\/anime\/\d+\/characters/, ttl: 24 * 60 * 60 * 1000 },
+            { pattern: /\/schedules/, ttl: 60 * 60 * 1000 },
+            { pattern: /\/seasons/, ttl: 6 * 60 * 60 * 1000 },
+            { pattern: /\/top\/anime/, ttl: 60 * 60 * 1000 },
+            { pattern: /kitsu\.io\/api\/edge\/(anime\/\d+|mappings)\?/, ttl: 24 * 60 * 60 * 1000 },
+            { pattern: /\/random\//, ttl: 0 },
+            { pattern: /\/anime\?/, ttl: 10 * 60 * 1000 }
+        ]
+    },
+    
+    // Requests allowed per interval, per API host
+    rateLimits: {
+        'api.jikan.moe': [
+            { count: 3, interval: 1000 },
+            { count: 60, interval: 60 * 1000 }
+        ],
+        'graphql.anilist.co': [
+            { count: 30, interval: 60 * 1000 }
+        ],
+        default: [
+            { count: 5, interval: 1000 }
+        ]
+    },
+    
+    // Retries for 429 and 5xx responses
+    retry: {
+        attempts: 3,
+        baseDelay: 1000,
+        maxDelay: 30 * 1000
+    },
+    
     // Local Storage Keys
     storage: {
         userProgress: 'otakutrack_progress',
         userSettings: 'otakutrack_settings',
-        cache: 'otakutrack_cache'
+        listQuery: 'otakutrack_list_query',
+        cache: 'otakutrack_cache',
+        accounts: 'otakutrack_accounts',
+        oauth: 'otakutrack_oauth', // sessionStorage, only while signing in
+        sync: 'otakutrack_sync'
+    },
+    
+    // Multi-device sync (see DeviceSync): with `endpoint` set, e.g. to a list on
+    // server/sync-server.js ('http://localhost:8788/my-list'), change sets are exchanged
+    // with `${endpoint}/changes`. `token` is sent as a Bearer token when the server asks for one.
+    sync: {
+        endpoint: null,
+        token: null,
+        pushDelay: 2000,      // Local changes are collected this long before being sent
+        interval: 60 * 1000,  // How often to check for changes from other devices
+        maxRounds: 3          // Follow-up requests per sync when local copies win conflicts
+    },
+    
+    // Linked MyAnimeList and AniList accounts (see AccountSync). Signing in is OAuth with
+    // PKCE, so only the public client ids of your registered apps go here. Setting
+    // `mockServer` to where server/mock-oauth.js runs (e.g. 'http://localhost:8787')
+    // sends every account request there instead, client ids optional.
+    accounts: {
+        mockServer: null,
+        redirectURI: null, // Defaults to this page's address; must match the registered one
+        pushDelay: 2000,   // Local changes are collected this long before being sent
+        providers: {
+            mal: {
+                label: 'MyAnimeList',
+                clientId: '',
+                challengeMethod: 'plain', // MAL only accepts plain PKCE challenges
+                authorizeURL: 'https://myanimelist.net/v1/oauth2/authorize',
+                tokenURL: 'https://myanimelist.net/v1/oauth2/token',
+                apiURL: 'https://api.myanimelist.net/v2'
+            },
+            anilist: {
+                label: 'AniList',
+                clientId: '',
+                challengeMethod: 'S256',
+                authorizeURL: 'https://anilist.co/api/v2/oauth/authorize',
+                tokenURL: 'https://anilist.co/api/v2/oauth/token',
+                apiURL: 'https://graphql.anilist.co'
+            }
+        }
+    },
+    
+    // Trackable media types. Anime count episodes; the others count chapters and volumes.
+    // The first status is "in progress" and the last one "planned".
+    mediaTypes: {
+        anime: {
+            label: 'Anime',
+            statuses: ['watching', 'completed', 'on_hold', 'dropped', 'plan_to_watch']
+        },
+        manga: {
+            label: 'Manga',
+            statuses: ['reading', 'completed', 'on_hold', 'dropped', 'plan_to_read']
+        },
+        manhwa: {
+            label: 'Manhwa',
+            statuses: ['reading', 'completed', 'on_hold', 'dropped', 'plan_to_read']
+        },
+        novel: {
+            label: 'Light Novel',
+            statuses: ['reading', 'completed', 'on_hold', 'dropped', 'plan_to_read']
+        }
+    },
+    
+    // User preferences, persisted under storage.userSettings by SettingsStore.
+    // `defaults` also lists every known setting; anything else is dropped on load.
+    settings: {
+        defaults: {
+            episodeLength: 24,
+            titleLanguage: 'romaji',
+            sfw: true,
+            theme: 'auto',
+            defaultFilter: 'all',
+            defaultView: 'grid',
+            notificationDuration: 5000,
+            scoringSystem: 'point10'
+        },
+        titleLanguages: {
+            romaji: 'Romaji',
+            english: 'English',
+            japanese: 'Japanese'
+        },
+        themes: {
+            auto: 'Match system',
+            light: 'Light',
+            dark: 'Dark'
+        },
+        filters: [], // Every media type's statuses, filled in below
+        views: ['grid', 'list']
+    },
+    
+    // Labels for the 1-10 personal rating (the 'point10' scoring system)
+    ratingLabels: {
+        10: 'Masterpiece',
+        9: 'Great',
+        8: 'Very Good',
+        7: 'Good',
+        6: 'Fine',
+        5: 'Average',
+        4: 'Bad',
+        3: 'Very Bad',
+        2: 'Horrible',
+        1: 'Appalling'
+    },
+    
+    // Personal scoring systems. Scores are stored once, on the 10-point scale with one decimal,
+    // and converted by Scoring whenever they are shown, typed in or exported.
+    scoring: {
+        systems: {
+            point10: '10 point (8/10)',
+            point10Decimal: '10 point decimal (8.5/10)',
+            point100: '100 point (85/100)',
+            stars5: '5 stars with halves (4.5/5)',
+            smiley3: '3 smileys'
+        },
+        // Optional per-category scores; when any are set the overall score is their average
+        categories: {
+            story: 'Story',
+            animation: 'Animation',
+            sound: 'Sound',
+            characters: 'Characters',
+            enjoyment: 'Enjoyment'
+        },
+        // Smiley value -> label and the stored score it saves as
+        smileys: {
+            1: { label: 'Disliked', icon: '😞', score: 3.5 },
+            2: { label: 'Mixed', icon: '😐', score: 6 },
+            3: { label: 'Liked', icon: '😊', score: 8.5 }
+        }
+    },
+    
+    // Search page facets. Keys are the values kept in `#/search?...` and passed to each
+    // provider's search(); genres map to MyAnimeList genre ids.
+    search: {
+        types: {
+            tv: 'TV',
+            movie: 'Movie',
+            ova: 'OVA',
+            special: 'Special',
+            ona: 'ONA',
+            music: 'Music'
+        },
+        statuses: {
+            airing: 'Airing',
+            complete: 'Finished',
+            upcoming: 'Upcoming'
+        },
+        ratings: {
+            g: 'G - All Ages',
+            pg: 'PG - Children',
+            pg13: 'PG-13 - Teens 13+',
+            r17: 'R - 17+',
+            r: 'R+ - Mild Nudity',
+            rx: 'Rx - Hentai'
+        },
+        genres: {
+            'Action': 1,
+            'Adventure': 2,
+            'Comedy': 4,
+            'Drama': 8,
+            'Ecchi': 9,
+            'Fantasy': 10,
+            'Horror': 14,
+            'Mecha': 18,
+            'Mystery': 7,
+            'Psychological': 40,
+            'Romance': 22,
+            'Sci-Fi': 24,
+            'Slice of Life': 36,
+            'Sports': 30,
+            'Supernatural': 37,
+            'Suspense': 41
+        },
+        minScores: [5, 6, 7, 8, 9],
+        firstYear: 1960
+    },
+    
+    // Trending tabs. The metadata APIs have no rankings for a time window, so each period
+    // is a different list: the top shows airing right now (today), the current season's most
+    // watched (week) and the most watched of everything airing, long-running shows
+    // included (month). Each list is a separate request with its own cache entry.
+    trending: {
+        periods: ['today', 'week', 'month'],
+        limit: 8
+    },
+    
+    // Seasonal chart: titles are grouped by type in this order, anything else under "Other".
+    // A season is fetched page by page, up to `maxPages`.
+    seasonal: {
+        groups: ['TV', 'ONA', 'OVA', 'Movie', 'Special'],
+        sorts: {
+            popularity: 'Popularity',
+            score: 'Score'
+        },
+        maxPages: 8
     },
     
     // Notification Types
@@ -40,6 +282,21 @@ const CONFIG = {
         INFO: 'info'
     },
     
+    // Where a progress change came from, recorded in each entry's history
+    historySources: {
+        QUICK: 'quick',
+        MODAL: 'modal',
+        IMPORT: 'import',
+        EPISODE: 'episode',
+        SEASONAL: 'seasonal',
+        UNDO: 'undo',
+        REDO: 'redo',
+        SYNC: 'sync'
+    },
+    
+    // Undo/redo stack size
+    undoLimit: 50,
+    
     // Debounce Delays
     debounce: {
         search: 300,
@@ -47,6 +304,8 @@ const CONFIG = {
     }
 };
 
+CONFIG.settings.filters = ['all', ...new Set(Object.values(CONFIG.mediaTypes).flatMap(type => type.statuses))];
+
 // ==================== UTILITY FUNCTIONS ====================
 class Utils {
     static debounce(func, timeout = 300) {
@@ -78,14 +337,60 @@ class Utils {
         }).format(new Date(date));
     }
     
+    // Calendar day in local time as "YYYY-MM-DD", the format of <input type="date">.
+    // Entry start and finish dates are stored this way.
+    static toDay(date = new Date()) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    
+    static isDay(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(String(value ?? '')) && !value.startsWith('0000');
+    }
+    
+    // Parsed as local time; new Date('YYYY-MM-DD') would be UTC midnight
+    static formatDay(day) {
+        const [year, month, date] = day.split('-').map(Number);
+        return Utils.formatDate(new Date(year, month - 1, date));
+    }
+    
+    static formatDateTime(date) {
+        return new Intl.DateTimeFormat('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        }).format(new Date(date));
+    }
+    
+    // "just now", "5 min ago", "3 h ago", then the date and time
+    static formatTimeAgo(date) {
+        const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+        return Utils.formatDateTime(date);
+    }
+    
     static formatNumber(num) {
         return new Intl.NumberFormat('en-US').format(num);
     }
     
     static sanitizeHTML(str) {
-        const temp = document.createElement('div');
-        temp.textContent = str;
-        return temp.innerHTML;
+        return SafeHTML.escape(str);
+    }
+    
+    static downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
     
     static generateId() {
@@ -97,10 +402,35 @@ class Utils {
         return Math.min(Math.round((current / total) * 100), 100);
     }
     
-    static estimateWatchTime(episodes, episodeLength = 24) {
+    static estimateWatchTime(episodes, episodeLength = settings.get('episodeLength')) {
         return Math.round((episodes * episodeLength) / 60 * 10) / 10; // Hours with 1 decimal
     }
     
+    // Compact countdown such as "2d 4h", "3h 12m" or "45m"
+    static formatCountdown(ms) {
+        if (ms <= 0) return 'Now';
+        
+        const minutes = Math.floor(ms / 60000);
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        return `${Math.max(minutes, 1)}m`;
+    }
+    
+    // Anime season containing `date`: { season: 'winter' | 'spring' | 'summer' | 'fall', year }
+    static getSeason(date = new Date()) {
+        const seasons = ['winter', 'spring', 'summer', 'fall'];
+        return { season: seasons[Math.floor(date.getMonth() / 3)], year: date.getFullYear() };
+    }
+    
+    // The season `offset` seasons after (or, if negative, before) the given one
+    static shiftSeason({ season, year }, offset) {
+        const index = year * 4 + SEASONS.indexOf(season) + offset;
+        return { season: SEASONS[index % 4], year: Math.floor(index / 4) };
+    }
+    
     static truncateText(text, length = 100) {
         return text.length > length ? text.slice(0, length) + '...' : text;
     }
@@ -113,1175 +443,7406 @@ class Utils {
             'dropped': '#ef4444',
             'plan_to_watch': '#8b5cf6'
         };
-        return colors[status] || '#6b7280';
+        return colors[Utils.getStatusGroup(status)] || '#6b7280';
     }
     
     static getStatusLabel(status) {
         const labels = {
             'watching': 'Watching',
+            'reading': 'Reading',
             'completed': 'Completed',
             'on_hold': 'On Hold',
             'dropped': 'Dropped',
-            'plan_to_watch': 'Plan to Watch'
+            'plan_to_watch': 'Plan to Watch',
+            'plan_to_read': 'Plan to Read'
         };
         return labels[status] || status;
     }
+    
+    // Reading statuses share a group with their watching equivalents so one filter covers both
+    static getStatusGroup(status) {
+        const groups = {
+            'reading': 'watching',
+            'plan_to_read': 'plan_to_watch'
+        };
+        return groups[status] || status;
+    }
+    
+    static getMediaTypeLabel(mediaType) {
+        return CONFIG.mediaTypes[mediaType]?.label || mediaType;
+    }
+    
+    // Title in the preferred language, falling back to the romaji title
+    static getDisplayTitle(item) {
+        const preferred = {
+            english: item.titleEnglish,
+            japanese: item.titleJapanese
+        }[settings.get('titleLanguage')];
+        return preferred || item.title;
+    }
+    
+    // Status an entry of `mediaType` gets when nothing else is chosen
+    static getDefaultStatus(mediaType) {
+        const statuses = (CONFIG.mediaTypes[mediaType] || CONFIG.mediaTypes.anime).statuses;
+        return statuses[statuses.length - 1];
+    }
+    
+    // Entry fields holding the main progress counter for `mediaType`
+    static getProgressFields(mediaType) {
+        return StorageMigrator.isReadType(mediaType)
+            ? { current: 'currentChapter', total: 'totalChapters', unit: 'Chapter', repeat: 'Reread', repeated: 'Reread' }
+            : { current: 'currentEpisode', total: 'totalEpisodes', unit: 'Episode', repeat: 'Rewatch', repeated: 'Rewatched' };
+    }
+    
+    static getEntryProgress(entry) {
+        const fields = Utils.getProgressFields(entry.mediaType);
+        return {
+            current: entry[fields.current] || 0,
+            total: entry[fields.total] || null,
+            unit: fields.unit
+        };
+    }
+    
+    // The pass being watched or read: the rewatch while rewatching, otherwise the entry's progress
+    static getCurrentPass(entry) {
+        const progress = Utils.getEntryProgress(entry);
+        return entry.rewatching ? { ...progress, current: entry.rewatchProgress || 0 } : progress;
+    }
+    
+    // Custom list names and tags from a comma-separated string or an array: trimmed,
+    // blanks dropped and duplicates (ignoring case) removed
+    static parseNames(value) {
+        const names = (Array.isArray(value) ? value : String(value ?? '').split(','))
+            .map(name => String(name).trim().replace(/\s+/g, ' '))
+            .filter(Boolean);
+        return names.filter((name, index) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+    }
+    
+    static hasName(names, name) {
+        return (names || []).some(other => other.toLowerCase() === name.toLowerCase());
+    }
 }
 
-// ==================== API SERVICE ====================
-class APIService {
-    constructor() {
-        this.cache = new Map();
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+// ==================== SAFE HTML ====================
+// Markup built with the `html` tag below. Interpolated values are escaped unless they are
+// SafeHTML themselves, so API titles can't break out of attributes or inject elements.
+// Renderers never inline event handlers: they set data-action and OtakuTrackApp's
+// setupActions() dispatches the clicks.
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
     }
     
-    async request(url, options = {}) {
-        // Check cache first
-        const cacheKey = url + JSON.stringify(options);
-        const cached = this.cache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            return cached.data;
-        }
-        
-        try {
-            const response = await fetch(url, {
-                ...options,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                }
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            
-            // Cache the result
-            this.cache.set(cacheKey, {
-                data,
-                timestamp: Date.now()
-            });
-            
-            return data;
-        } catch (error) {
-            console.error('API Request failed:', error);
-            throw error;
-        }
+    toString() {
+        return this.markup;
     }
     
-    async searchAnime(query, page = 1) {
-        try {
-            // Try hianime.to API first (note: this is a placeholder URL as the actual API might not exist)
-            // In a real implementation, you would use the actual API endpoints
-            
-            // For now, we'll use the Jikan API as it's publicly available
-            const url = `${CONFIG.backup.baseURL}/anime?q=${encodeURIComponent(query)}&page=${page}&limit=20&sfw=true`;
-            const response = await this.request(url);
-            
-            return {
-                data: response.data.map(anime => ({
-                    id: anime.mal_id,
-                    title: anime.title,
-                    titleEnglish: anime.title_english,
-                    titleJapanese: anime.title_japanese,
-                    image: anime.images.jpg.large_image_url,
-                    score: anime.score,
-                    episodes: anime.episodes,
-                    status: anime.status,
-                    synopsis: anime.synopsis,
-                    genres: anime.genres.map(g => g.name),
-                    year: anime.year,
-                    season: anime.season,
-                    studios: anime.studios?.map(s => s.name) || [],
-                    duration: anime.duration,
-                    rating: anime.rating,
-                    type: anime.type,
-                    aired: anime.aired
-                })),
-                pagination: response.pagination
-            };
-        } catch (error) {
-            console.error('Search anime failed:', error);
-            return this.getFallbackSearchData(query);
-        }
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
     
-    async getTrendingAnime(period = 'now') {
-        try {
-            // Map periods to Jikan API parameters
-            const periodMap = {
-                'today': 'now',
-                'week': 'now',
-                'month': 'now'
-            };
-            
-            const url = `${CONFIG.backup.baseURL}/top/anime?filter=airing&limit=20`;
-            const response = await this.request(url);
-            
-            return response.data.map(anime => ({
-                id: anime.mal_id,
-                title: anime.title,
-                image: anime.images.jpg.large_image_url,
-                score: anime.score,
-                episodes: anime.episodes,
-                synopsis: Utils.truncateText(anime.synopsis, 150),
-                genres: anime.genres.slice(0, 3).map(g => g.name),
-                rank: anime.rank,
-                popularity: anime.popularity
-            }));
-        } catch (error) {
-            console.error('Get trending anime failed:', error);
-            return this.getFallbackTrendingData();
-        }
+    // Trusted markup only, e.g. the SVG produced by ChartRenderer
+    static raw(markup) {
+        return new SafeHTML(String(markup));
     }
     
-    async getAnimeDetails(id) {
-        try {
-            const url = `${CONFIG.backup.baseURL}/anime/${id}/full`;
-            const response = await this.request(url);
-            const anime = response.data;
-            
-            return {
-                id: anime.mal_id,
-                title: anime.title,
-                titleEnglish: anime.title_english,
-                titleJapanese: anime.title_japanese,
-                image: anime.images.jpg.large_image_url,
-                trailer: anime.trailer?.youtube_id,
-                score: anime.score,
-                episodes: anime.episodes,
-                status: anime.status,
-                synopsis: anime.synopsis,
-                genres: anime.genres.map(g => g.name),
-                year: anime.year,
-                season: anime.season,
-                studios: anime.studios.map(s => s.name),
-                duration: anime.duration,
-                rating: anime.rating,
-                type: anime.type,
-                aired: anime.aired,
-                popularity: anime.popularity,
-                rank: anime.rank,
-                members: anime.members,
-                favorites: anime.favorites
-            };
-        } catch (error) {
-            console.error('Get anime details failed:', error);
-            return null;
-        }
+    // null, undefined and false render nothing; arrays render each item
+    static render(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(item => SafeHTML.render(item)).join('');
+        return SafeHTML.escape(value);
     }
     
-    async getRandomAnime() {
-        try {
-            const url = `${CONFIG.backup.baseURL}/random/anime`;
-            const response = await this.request(url);
-            const anime = response.data;
-            
-            return {
-                id: anime.mal_id,
-                title: anime.title,
-                image: anime.images.jpg.large_image_url,
-                score: anime.score,
-                episodes: anime.episodes,
-                synopsis: Utils.truncateText(anime.synopsis, 150),
-                genres: anime.genres.slice(0, 3).map(g => g.name)
-            };
-        } catch (error) {
-            console.error('Get random anime failed:', error);
-            return this.getFallbackRandomData();
-        }
+    // Only http(s), data:image and relative URLs get through; `javascript:` and friends, and
+    // missing URLs, become `fallback`
+    static url(value, fallback = '') {
+        const url = String(value ?? '').trim();
+        return url && /^(https?:\/\/|data:image\/|\/|[^:]*$)/i.test(url) ? url : fallback;
     }
-    
-    // Fallback data for when API is unavailable
-    getFallbackSearchData(query) {
-        const fallbackData = [
-            {
-                id: 'jujutsu-kaisen',
-                title: 'Jujutsu Kaisen',
-                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx113415-bbBWj4pEFseh.jpg',
-                score: 8.8,
-                episodes: 24,
-                synopsis: 'A high school student gains control of an extremely powerful cursed spirit and gets enrolled in the Tokyo Prefectural Jujutsu High School.',
-                genres: ['Action', 'Fantasy', 'Supernatural']
-            },
-            {
-                id: 'demon-slayer',
-                title: 'Demon Slayer',
-                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx101922-PEn1CTc93blC.jpg',
-                score: 8.7,
-                episodes: 26,
-                synopsis: 'A family is attacked by demons and only two members survive - Tanjiro and his sister Nezuko, who is turning into a demon slowly.',
-                genres: ['Action', 'Historical', 'Supernatural']
+}
+
+const html = (strings, ...values) => new SafeHTML(
+    strings.reduce((markup, string, index) =>
+        markup + string + (index < values.length ? SafeHTML.render(values[index]) : ''), '')
+);
+
+// ==================== MARKDOWN ====================
+// The subset of Markdown used for entry notes: headings, paragraphs, bullet and numbered
+// lists, quotes, **bold**, *italic*, ~~strike~~, `code`, ||spoilers|| and http(s) links.
+// Each piece of text is escaped before markup is added around it.
+class Markdown {
+    static render(text) {
+        const blocks = [];
+        let block = null; // { tag, lines } for the paragraph, quote or list being collected
+        
+        const flush = () => {
+            if (!block) return;
+            const { tag, lines } = block;
+            blocks.push(['ul', 'ol'].includes(tag)
+                ? `<${tag}>${lines.map(line => `<li>${Markdown.inline(line)}</li>`).join('')}</${tag}>`
+                : `<${tag}>${lines.map(line => Markdown.inline(line)).join('<br>')}</${tag}>`);
+            block = null;
+        };
+        const append = (tag, line) => {
+            if (block?.tag !== tag) {
+                flush();
+                block = { tag, lines: [] };
             }
-        ].filter(anime => anime.title.toLowerCase().includes(query.toLowerCase()));
+            block.lines.push(line);
+        };
         
-        return { data: fallbackData, pagination: { has_next_page: false } };
+        String(text ?? '').split(/\r?\n/).forEach(line => {
+            const heading = /^(#{1,3})\s+(.+)$/.exec(line);
+            const item = /^\s*(?:([-*+])|\d+[.)])\s+(.+)$/.exec(line);
+            const quote = /^>\s?(.*)$/.exec(line);
+            
+            if (!line.trim()) {
+                flush();
+            } else if (heading) {
+                flush();
+                // Notes render inside cards and modals, so "#" starts at <h4>
+                const level = heading[1].length + 3;
+                blocks.push(`<h${level}>${Markdown.inline(heading[2])}</h${level}>`);
+            } else if (item) {
+                append(item[1] ? 'ul' : 'ol', item[2]);
+            } else if (quote) {
+                append('blockquote', quote[1]);
+            } else {
+                append('p', line);
+            }
+        });
+        flush();
+        
+        return SafeHTML.raw(blocks.join(''));
     }
     
-    getFallbackTrendingData() {
-        return [
-            {
-                id: 'spy-family',
-                title: 'Spy x Family',
-                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx138006-9q2ZzZzZzZzZ.jpg',
-                score: 8.9,
-                episodes: 12,
-                synopsis: 'A spy must create a fake family to execute a mission, not realizing his wife is an assassin and his daughter is a telepath.',
-                genres: ['Action', 'Comedy', 'Family'],
-                rank: 1,
-                popularity: 1
-            },
-            {
-                id: 'chainsaw-man',
-                title: 'Chainsaw Man',
-                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx127230-9q2ZzZzZzZzZ.jpg',
-                score: 8.6,
-                episodes: 12,
-                synopsis: 'Denji is a young man trapped in poverty, working off his deceased father\'s debt to the yakuza by working as a Devil Hunter.',
-                genres: ['Action', 'Horror', 'Supernatural'],
-                rank: 2,
-                popularity: 2
-            }
-        ];
+    // Code spans are split out first so their contents stay literal
+    static inline(text) {
+        return String(text).split(/(`[^`]+`)/).map((part, index) => index % 2
+            ? `<code>${SafeHTML.escape(part.slice(1, -1))}</code>`
+            : SafeHTML.escape(part)
+                .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/gi, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+                .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+                .replace(/\*(.+?)\*/g, '<em>$1</em>')
+                .replace(/~~(.+?)~~/g, '<del>$1</del>')
+                .replace(/\|\|(.+?)\|\|/g, '<span class="spoiler" tabindex="0" title="Spoiler">$1</span>')
+        ).join('');
     }
     
-    getFallbackRandomData() {
-        const randomAnime = [
-            {
-                id: 'attack-on-titan',
-                title: 'Attack on Titan',
-                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx16498-8Y8wXbIBWYlQ.jpg',
-                score: 8.9,
-                episodes: 87,
-                synopsis: 'Humanity fights for survival against giant humanoid Titans behind enormous walls.',
-                genres: ['Action', 'Drama', 'Fantasy']
-            },
-            {
-                id: 'one-piece',
-                title: 'One Piece',
-                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx21-YCNHwbMZg9rF.jpg',
-                score: 8.8,
-                episodes: 1000,
-                synopsis: 'Monkey D. Luffy explores the Grand Line to find the legendary treasure known as the "One Piece".',
-                genres: ['Action', 'Adventure', 'Comedy']
-            }
-        ];
-        
-        return randomAnime[Math.floor(Math.random() * randomAnime.length)];
+    // Plain text for tooltips and previews
+    static toPlainText(text) {
+        return String(text ?? '')
+            .replace(/\|\|(.+?)\|\|/g, '[spoiler]')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/^(#{1,3}|>|\s*[-*+]|\s*\d+[.)])\s*/gm, '')
+            .replace(/[*~`]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
     }
 }
 
-// ==================== PROGRESS TRACKER ====================
-class ProgressTracker {
-    constructor() {
-        this.storage = localStorage;
-        this.progress = this.loadProgress();
+// ==================== SETTINGS ====================
+// User preferences in localStorage (read synchronously, so the theme applies before
+// the progress data has loaded). Modules read them through the global `settings`.
+class SettingsStore {
+    constructor(storage = localStorage, key = CONFIG.storage.userSettings) {
+        this.storage = storage;
+        this.key = key;
         this.listeners = new Set();
+        this.values = this.normalize(this.load());
     }
     
-    loadProgress() {
+    load() {
         try {
-            const data = this.storage.getItem(CONFIG.storage.userProgress);
-            return data ? JSON.parse(data) : {};
+            return JSON.parse(this.storage.getItem(this.key)) || {};
         } catch (error) {
-            console.error('Failed to load progress:', error);
+            console.error('Failed to load settings:', error);
             return {};
         }
     }
     
-    saveProgress() {
+    save() {
         try {
-            this.storage.setItem(CONFIG.storage.userProgress, JSON.stringify(this.progress));
-            this.notifyListeners();
-            return true;
+            this.storage.setItem(this.key, JSON.stringify(this.values));
         } catch (error) {
-            console.error('Failed to save progress:', error);
-            return false;
+            console.error('Failed to save settings:', error);
         }
     }
     
-    addAnime(id, data) {
-        this.progress[id] = {
-            ...data,
-            addedAt: Date.now(),
-            updatedAt: Date.now()
+    // Unknown keys are dropped and invalid values fall back to the default
+    normalize(values) {
+        const defaults = CONFIG.settings.defaults;
+        const { titleLanguages, themes, filters, views } = CONFIG.settings;
+        const number = (value, min, max, fallback) => {
+            const parsed = parseFloat(value);
+            return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+        };
+        const oneOf = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+        
+        return {
+            episodeLength: number(values.episodeLength, 1, 240, defaults.episodeLength),
+            titleLanguage: oneOf(values.titleLanguage, Object.keys(titleLanguages), defaults.titleLanguage),
+            sfw: typeof values.sfw === 'boolean' ? values.sfw : defaults.sfw,
+            theme: oneOf(values.theme, Object.keys(themes), defaults.theme),
+            defaultFilter: oneOf(values.defaultFilter, filters, defaults.defaultFilter),
+            defaultView: oneOf(values.defaultView, views, defaults.defaultView),
+            notificationDuration: number(values.notificationDuration, 0, 60 * 1000, defaults.notificationDuration),
+            scoringSystem: oneOf(values.scoringSystem, Object.keys(CONFIG.scoring.systems), defaults.scoringSystem)
         };
-        return this.saveProgress();
     }
     
-    updateAnime(id, data) {
-        if (this.progress[id]) {
-            this.progress[id] = {
-                ...this.progress[id],
-                ...data,
-                updatedAt: Date.now()
-            };
-            return this.saveProgress();
-        }
-        return false;
+    get(name) {
+        return this.values[name];
     }
     
-    removeAnime(id) {
-        if (this.progress[id]) {
-            delete this.progress[id];
-            return this.saveProgress();
-        }
-        return false;
+    getAll() {
+        return { ...this.values };
     }
     
-    getAnime(id) {
-        return this.progress[id] || null;
+    // Returns the names of the settings that actually changed
+    set(changes) {
+        const next = this.normalize({ ...this.values, ...changes });
+        const changed = Object.keys(next).filter(name => next[name] !== this.values[name]);
+        if (changed.length === 0) return changed;
+        
+        this.values = next;
+        this.save();
+        this.notifyListeners(changed);
+        return changed;
     }
     
-    getAllAnime() {
-        return this.progress;
+    reset() {
+        return this.set(CONFIG.settings.defaults);
     }
     
-    getAnimeByStatus(status) {
-        return Object.entries(this.progress)
-            .filter(([_, data]) => data.status === status)
-            .reduce((acc, [id, data]) => ({ ...acc, [id]: data }), {});
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
     }
     
-    getStats() {
-        const allAnime = Object.values(this.progress);
-        const stats = {
-            total: allAnime.length,
-            watching: 0,
-            completed: 0,
-            onHold: 0,
-            dropped: 0,
-            planToWatch: 0,
-            totalEpisodes: 0,
-            totalHours: 0,
-            averageScore: 0
-        };
-        
-        let totalRatings = 0;
-        let totalScore = 0;
-        
-        allAnime.forEach(anime => {
-            switch (anime.status) {
-                case 'watching': stats.watching++; break;
-                case 'completed': stats.completed++; break;
-                case 'on_hold': stats.onHold++; break;
-                case 'dropped': stats.dropped++; break;
-                case 'plan_to_watch': stats.planToWatch++; break;
-            }
-            
-            stats.totalEpisodes += anime.currentEpisode || 0;
-            stats.totalHours += Utils.estimateWatchTime(anime.currentEpisode || 0);
-            
-            if (anime.rating) {
-                totalScore += parseInt(anime.rating);
-                totalRatings++;
-            }
-        });
-        
-        stats.averageScore = totalRatings > 0 ? (totalScore / totalRatings).toFixed(1) : 0;
-        
-        return stats;
+    notifyListeners(changed) {
+        this.listeners.forEach(listener => listener(this.getAll(), changed));
     }
-    
-    subscribe(listener) {
-        this.listeners.add(listener);
-        return () => this.listeners.delete(listener);
+}
+
+const settings = new SettingsStore();
+
+// ==================== SCORING ====================
+// Stored scores ("canonical") are numbers from 0.1 to 10 with one decimal, which holds every
+// system exactly: 85/100 is 8.5, 4.5 stars is 9 and each smiley saves a fixed score.
+// Display values are in the chosen system's own units (8, 8.5, 85, 4.5 or a smiley 1-3).
+class Scoring {
+    static get system() {
+        return settings.get('scoringSystem');
     }
     
-    notifyListeners() {
-        this.listeners.forEach(listener => listener(this.progress));
+    // Scores typed as free numbers rather than picked from a list
+    static isNumeric(system = Scoring.system) {
+        return system === 'point10Decimal' || system === 'point100';
     }
-}
-
-// ==================== NOTIFICATION SYSTEM ====================
-class NotificationSystem {
-    constructor() {
-        this.container = document.getElementById('notificationContainer');
-        this.notifications = new Map();
+    
+    // Any stored or imported score (number or the old "8" strings) -> canonical, or null
+    static normalize(value) {
+        const score = Math.round(parseFloat(value) * 10) / 10;
+        return score > 0 ? Math.min(score, 10) : null;
     }
     
-    show(message, type = CONFIG.notifications.INFO, duration = 5000) {
-        const id = Utils.generateId();
-        const notification = this.createNotification(id, message, type);
+    static toDisplay(score, system = Scoring.system) {
+        const value = Scoring.normalize(score);
+        if (value === null) return null;
         
-        this.container.appendChild(notification);
-        this.notifications.set(id, notification);
+        switch (system) {
+            case 'point10Decimal': return value;
+            case 'point100': return Math.round(value * 10);
+            case 'stars5': return Math.max(Math.round(value), 1) / 2;
+            case 'smiley3': return value <= 3.5 ? 1 : value <= 6 ? 2 : 3;
+            default: return Math.max(Math.round(value), 1);
+        }
+    }
+    
+    static fromDisplay(value, system = Scoring.system) {
+        switch (system) {
+            case 'point100': return Scoring.normalize(parseFloat(value) / 10);
+            case 'stars5': return Scoring.normalize(parseFloat(value) * 2);
+            case 'smiley3': return CONFIG.scoring.smileys[value]?.score ?? null;
+            default: return Scoring.normalize(value);
+        }
+    }
+    
+    static format(score, system = Scoring.system) {
+        const value = Scoring.toDisplay(score, system);
+        if (value === null) return '';
         
-        // Trigger show animation
-        setTimeout(() => notification.classList.add('show'), 100);
+        switch (system) {
+            case 'point10Decimal': return `${value.toFixed(1)}/10`;
+            case 'point100': return `${value}/100`;
+            case 'stars5': return `${value}/5 ★`;
+            case 'smiley3': return `${CONFIG.scoring.smileys[value].icon} ${CONFIG.scoring.smileys[value].label}`;
+            default: return `${value}/10`;
+        }
+    }
+    
+    // Averages keep a decimal even in whole-number systems; smileys show the nearest face
+    static formatAverage(score, system = Scoring.system) {
+        const value = Scoring.normalize(score);
+        if (value === null) return '0';
         
-        // Auto remove
-        if (duration > 0) {
-            setTimeout(() => this.remove(id), duration);
+        switch (system) {
+            case 'point100': return String(Math.round(value * 10));
+            case 'stars5': return (value / 2).toFixed(1);
+            case 'smiley3': return CONFIG.scoring.smileys[Scoring.toDisplay(value, system)].icon;
+            default: return value.toFixed(1);
         }
+    }
+    
+    // [value, label] pairs, best first, for the list-based systems
+    static options(system = Scoring.system) {
+        switch (system) {
+            case 'stars5':
+                return Array.from({ length: 10 }, (_, index) => (10 - index) / 2)
+                    .map(value => [value, `${'★'.repeat(Math.floor(value))}${value % 1 ? '½' : ''} (${value})`]);
+            case 'smiley3':
+                return Object.entries(CONFIG.scoring.smileys).reverse()
+                    .map(([value, smiley]) => [Number(value), `${smiley.icon} ${smiley.label}`]);
+            default:
+                return Object.entries(CONFIG.ratingLabels).reverse()
+                    .map(([value, label]) => [Number(value), `${value} - ${label}`]);
+        }
+    }
+    
+    // [min, max, step] for a score typed into a number input
+    static inputRange(system = Scoring.system) {
+        switch (system) {
+            case 'point10Decimal': return [0.1, 10, 0.1];
+            case 'point100': return [1, 100, 1];
+            case 'stars5': return [0.5, 5, 0.5];
+            case 'smiley3': return [1, 3, 1];
+            default: return [1, 10, 1];
+        }
+    }
+    
+    // Lowest and highest stored scores that show as `value`, or null. Rating filters use it,
+    // so "8" on the 10-point scale covers 7.5 to 8.4.
+    static range(value, system = Scoring.system) {
+        if (value === null || value === undefined || value === '') return null;
         
-        return id;
+        const shown = Scoring.toDisplay(Scoring.fromDisplay(value, system), system);
+        const scores = Array.from({ length: 100 }, (_, index) => (index + 1) / 10)
+            .filter(score => Scoring.toDisplay(score, system) === shown);
+        return scores.length > 0 ? [scores[0], scores[scores.length - 1]] : null;
     }
     
-    createNotification(id, message, type) {
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.dataset.id = id;
+    // A select or number input for `score`. It remembers the stored score, so saving a form
+    // without touching the field doesn't round it to the current system (see read()).
+    static renderInput({ id, name = '', score = null, small = false, disabled = false }, system = Scoring.system) {
+        const shown = Scoring.toDisplay(score, system);
+        const attrs = html`id="${id}" name="${name}" data-score="${Scoring.normalize(score) ?? ''}" data-shown="${shown ?? ''}" ${disabled ? 'disabled' : ''}`;
         
-        const icon = this.getIcon(type);
-        notification.innerHTML = `
-            <div class="d-flex align-items-center">
-                <i class="${icon} me-2"></i>
-                <span>${Utils.sanitizeHTML(message)}</span>
-                <button class="btn-close ms-auto" onclick="notificationSystem.remove('${id}')"></button>
-            </div>
+        if (Scoring.isNumeric(system)) {
+            const [min, max, step] = Scoring.inputRange(system);
+            return html`<input type="number" class="form-control ${small ? 'form-control-sm' : ''}" ${attrs}
+                min="${min}" max="${max}" step="${step}" placeholder="Not rated" value="${shown ?? ''}">`;
+        }
+        
+        return html`
+            <select class="form-select ${small ? 'form-select-sm' : ''}" ${attrs}>
+                <option value="">Not rated</option>
+                ${Scoring.options(system).map(([value, label]) => html`
+                    <option value="${value}" ${value === shown ? 'selected' : ''}>${label}</option>
+                `)}
+            </select>
         `;
+    }
+    
+    // Swaps the element with id `id` for a fresh input in the current system
+    static replaceInput(id, score, options = {}) {
+        const element = document.getElementById(id);
+        if (!element) return;
         
-        return notification;
+        const template = document.createElement('template');
+        template.innerHTML = Scoring.renderInput({ id, name: element.name, score, ...options });
+        element.replaceWith(template.content.firstElementChild);
     }
     
-    getIcon(type) {
-        const icons = {
-            [CONFIG.notifications.SUCCESS]: 'fas fa-check-circle',
-            [CONFIG.notifications.ERROR]: 'fas fa-exclamation-circle',
-            [CONFIG.notifications.WARNING]: 'fas fa-exclamation-triangle',
-            [CONFIG.notifications.INFO]: 'fas fa-info-circle'
-        };
-        return icons[type] || icons[CONFIG.notifications.INFO];
+    static read(input, system = Scoring.system) {
+        if (!input || input.value === '') return null;
+        if (input.value === input.dataset.shown) return Scoring.normalize(input.dataset.score);
+        return Scoring.fromDisplay(input.value, system);
     }
     
-    remove(id) {
-        const notification = this.notifications.get(id);
-        if (notification) {
-            notification.classList.remove('show');
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-                this.notifications.delete(id);
-            }, 300);
-        }
+    // Shows `score` in an input made by renderInput() as if it had been rendered with it
+    static write(input, score, system = Scoring.system) {
+        const shown = Scoring.toDisplay(score, system);
+        input.dataset.score = Scoring.normalize(score) ?? '';
+        input.dataset.shown = shown ?? '';
+        input.value = shown ?? '';
     }
     
-    clear() {
-        this.notifications.forEach((_, id) => this.remove(id));
+    // Category scores -> { category: canonical } with the unset ones left out
+    static normalizeCategories(values) {
+        return Object.keys(CONFIG.scoring.categories).reduce((scores, category) => {
+            const score = Scoring.normalize(values?.[category]);
+            return score === null ? scores : { ...scores, [category]: score };
+        }, {});
+    }
+    
+    // The overall score the category scores roll up to, or null when none are set
+    static average(categories) {
+        const scores = Object.values(Scoring.normalizeCategories(categories));
+        if (scores.length === 0) return null;
+        return Scoring.normalize(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    }
+    
+    // Rating distribution for the stats chart in the current system's steps. The free-number
+    // systems are bucketed by whole points (tens for the 100-point scale).
+    static distribution(scores, system = Scoring.system) {
+        const steps = Scoring.isNumeric(system) ? 'point10' : system;
+        const values = Scoring.options(steps).map(([value]) => value).reverse();
+        
+        return {
+            labels: values.map(value => String(system === 'point100' ? value * 10 : value)),
+            counts: values.map(value => scores.filter(score => Scoring.toDisplay(score, steps) === value).length)
+        };
     }
 }
 
-// ==================== MAIN APPLICATION CLASS ====================
-class OtakuTrackApp {
-    constructor() {
-        this.api = new APIService();
-        this.tracker = new ProgressTracker();
-        this.notifications = new NotificationSystem();
-        
-        this.currentFilter = 'all';
-        this.currentView = 'grid';
-        this.searchCache = new Map();
-        
-        this.init();
+// ==================== API CACHE ====================
+// LRU cache persisted to localStorage under CONFIG.storage.cache, so API
+// responses survive reloads. Bounded by entry count and serialized size.
+class PersistentCache {
+    constructor(storage = localStorage, options = CONFIG.cache) {
+        this.storage = storage;
+        this.options = options;
+        this.entries = this.load();
+        this.persist = Utils.debounce(() => this.save(), 1000);
     }
     
-    async init() {
-        this.setupEventListeners();
-        this.setupScrollListener();
-        this.initializeTooltips();
-        await this.loadInitialData();
-        this.updateStats();
+    load() {
+        try {
+            const data = JSON.parse(this.storage.getItem(CONFIG.storage.cache));
+            return new Map(Object.entries(data?.entries || {}));
+        } catch (error) {
+            console.error('Failed to load API cache:', error);
+            return new Map();
+        }
     }
     
-    setupEventListeners() {
-        // Search functionality
-        const searchInput = document.getElementById('searchInput');
-        const searchButton = document.getElementById('searchButton');
-        const newTitleSearch = document.getElementById('newTitleSearch');
-        
-        if (searchInput) {
-            searchInput.addEventListener('input', Utils.debounce(
-                (e) => this.handleSearch(e.target.value), 
-                CONFIG.debounce.search
-            ));
-        }
+    save() {
+        const serialize = () => JSON.stringify({ entries: Object.fromEntries(this.entries) });
         
-        if (searchButton) {
-            searchButton.addEventListener('click', () => 
-                this.handleSearch(searchInput.value));
+        try {
+            this.storage.setItem(CONFIG.storage.cache, serialize());
+        } catch (error) {
+            // Out of quota: the progress data matters more, so shed a quarter of the cache and retry once
+            this.evict(Math.ceil(this.entries.size * 0.75));
+            try {
+                this.storage.setItem(CONFIG.storage.cache, serialize());
+            } catch (retryError) {
+                console.warn('API cache could not be persisted:', retryError);
+            }
         }
+    }
+    
+    ttlFor(url) {
+        const rule = this.options.ttl.find(({ pattern }) => pattern.test(url));
+        return rule ? rule.ttl : this.options.defaultTTL;
+    }
+    
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
         
-        if (newTitleSearch) {
-            newTitleSearch.addEventListener('input', Utils.debounce(
-                (e) => this.handleNewTitleSearch(e.target.value),
-                CONFIG.debounce.search
-            ));
+        if (entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            this.persist();
+            return null;
         }
         
-        // Modal controls
-        this.setupModalControls();
+        entry.lastAccess = Date.now();
+        this.persist();
+        return entry.data;
+    }
+    
+    set(key, data, ttl) {
+        if (!ttl) return;
         
-        // Progress controls
-        this.setupProgressControls();
+        const size = JSON.stringify(data).length;
+        if (size > this.options.maxBytes) return;
         
-        // Quick actions
-        this.setupQuickActions();
+        this.entries.set(key, { data, size, expires: Date.now() + ttl, lastAccess: Date.now() });
+        this.evict(this.options.maxEntries, this.options.maxBytes);
+        this.persist();
+    }
+    
+    // Drop expired entries, then least recently used ones, until within the limits
+    evict(maxEntries, maxBytes = Infinity) {
+        const now = Date.now();
+        this.entries.forEach((entry, key) => {
+            if (entry.expires <= now) this.entries.delete(key);
+        });
         
-        // Filter and view controls
-        this.setupFilterControls();
+        const byAge = [...this.entries.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+        let totalBytes = byAge.reduce((sum, [_, entry]) => sum + entry.size, 0);
         
-        // FAB
-        const fab = document.getElementById('quickAddBtn');
-        if (fab) {
-            fab.addEventListener('click', () => this.showAddModal());
+        while (byAge.length > 0 && (this.entries.size > maxEntries || totalBytes > maxBytes)) {
+            const [key, entry] = byAge.shift();
+            this.entries.delete(key);
+            totalBytes -= entry.size;
+        }
+    }
+    
+    clear() {
+        this.entries.clear();
+        this.storage.removeItem(CONFIG.storage.cache);
+    }
+}
+
+// ==================== REQUEST SCHEDULER ====================
+// Spaces requests to one host within its rate limits, retries 429/5xx with
+// exponential backoff and shares a single request between identical callers.
+class RequestScheduler {
+    constructor(limits = CONFIG.rateLimits.default, retry = CONFIG.retry) {
+        this.limits = limits;
+        this.retry = retry;
+        this.timestamps = [];
+        this.inFlight = new Map();
+        this.slotChain = Promise.resolve();
+    }
+    
+    static delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    
+    schedule(key, task) {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
         }
         
-        // Close dropdowns when clicking outside
-        document.addEventListener('click', (e) => this.handleOutsideClick(e));
-        
-        // Subscribe to progress changes
-        this.tracker.subscribe(() => this.updateStats());
+        const promise = this.execute(task).finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, promise);
+        return promise;
     }
     
-    setupModalControls() {
-        const addNewProgressBtn = document.getElementById('addNewProgressBtn');
-        const closeAddModal = document.getElementById('closeAddModal');
-        const cancelAddProgressBtn = document.getElementById('cancelAddProgressBtn');
-        const confirmAddProgressBtn = document.getElementById('confirmAddProgressBtn');
+    // Resolves once a request may be sent; callers are served in FIFO order
+    acquire() {
+        const slot = this.slotChain.then(() => this.waitForWindow());
+        this.slotChain = slot.catch(() => {});
+        return slot;
+    }
+    
+    async waitForWindow() {
+        const longest = Math.max(...this.limits.map(limit => limit.interval));
         
-        if (addNewProgressBtn) {
-            addNewProgressBtn.addEventListener('click', () => this.showAddModal());
+        for (;;) {
+            const now = Date.now();
+            this.timestamps = this.timestamps.filter(time => now - time < longest);
+            
+            const wait = Math.max(0, ...this.limits.map(({ count, interval }) => {
+                const recent = this.timestamps.filter(time => now - time < interval);
+                return recent.length >= count ? recent[recent.length - count] + interval - now : 0;
+            }));
+            
+            if (wait === 0) {
+                this.timestamps.push(now);
+                return;
+            }
+            await RequestScheduler.delay(wait);
         }
-        
-        if (closeAddModal) {
-            closeAddModal.addEventListener('click', () => this.hideAddModal());
+    }
+    
+    backoff(attempt, retryAfter) {
+        const seconds = parseFloat(retryAfter);
+        if (!isNaN(seconds)) {
+            return Math.min(seconds * 1000, this.retry.maxDelay);
         }
         
-        if (cancelAddProgressBtn) {
-            cancelAddProgressBtn.addEventListener('click', () => this.hideAddModal());
+        const exponential = this.retry.baseDelay * 2 ** attempt;
+        return Math.min(exponential + Math.random() * this.retry.baseDelay, this.retry.maxDelay);
+    }
+    
+    isRetryable(status) {
+        return status === 429 || status >= 500;
+    }
+    
+    async execute(task) {
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire();
+            
+            let response;
+            try {
+                response = await task();
+            } catch (error) {
+                // Network failure: worth another try, unless we're out of attempts
+                if (attempt >= this.retry.attempts) throw error;
+                await RequestScheduler.delay(this.backoff(attempt));
+                continue;
+            }
+            
+            if (response.ok) {
+                return response.json();
+            }
+            
+            if (!this.isRetryable(response.status) || attempt >= this.retry.attempts) {
+                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+            
+            await RequestScheduler.delay(this.backoff(attempt, response.headers.get('Retry-After')));
         }
+    }
+}
+
+// ==================== METADATA PROVIDERS ====================
+// Every provider implements search, details, trending, top, seasonal, seasonChart and random,
+// and normalizes results to the Jikan-derived shape the rest of the app uses.
+// Ids are always MAL ids so tracked entries stay valid whichever source answers.
+// Characters and episode lists only come from Jikan; the registry skips providers
+// that don't implement a method.
+const PROVIDER_STATUS = {
+    HEALTHY: 'healthy',
+    DEGRADED: 'degraded',
+    DOWN: 'down'
+};
+
+// Jikan manga `type` filter per media type, and back from Jikan's type names
+const JIKAN_MANGA_TYPES = {
+    manga: 'manga',
+    manhwa: 'manhwa',
+    novel: 'lightnovel'
+};
+
+const JIKAN_MEDIA_TYPES = {
+    'Manga': 'manga',
+    'One-shot': 'manga',
+    'Doujinshi': 'manga',
+    'Manhwa': 'manhwa',
+    'Manhua': 'manhwa',
+    'Light Novel': 'novel',
+    'Novel': 'novel'
+};
+
+class JikanProvider {
+    constructor(api, config = CONFIG.backup) {
+        this.name = 'jikan';
+        this.label = 'Jikan (MyAnimeList)';
+        this.api = api;
+        this.baseURL = config.baseURL;
+        this.endpoints = config.endpoints;
+    }
+    
+    map(anime) {
+        return {
+            id: anime.mal_id,
+            title: anime.title,
+            titleEnglish: anime.title_english,
+            titleJapanese: anime.title_japanese,
+            image: anime.images.jpg.large_image_url,
+            trailer: anime.trailer?.youtube_id,
+            broadcast: anime.broadcast,
+            airing: anime.airing,
+            score: anime.score,
+            episodes: anime.episodes,
+            status: anime.status,
+            synopsis: anime.synopsis,
+            genres: anime.genres.map(g => g.name),
+            year: anime.year,
+            season: anime.season,
+            studios: anime.studios?.map(s => s.name) || [],
+            duration: anime.duration,
+            rating: anime.rating,
+            type: anime.type,
+            aired: anime.aired,
+            rank: anime.rank,
+            popularity: anime.popularity,
+            members: anime.members,
+            favorites: anime.favorites,
+            relations: anime.relations?.map(relation => ({
+                relation: relation.relation,
+                entries: relation.entry.map(entry => ({ id: entry.mal_id, type: entry.type, title: entry.name }))
+            })) || []
+        };
+    }
+    
+    async list(path) {
+        const response = await this.api.request(`${this.baseURL}${path}`);
+        return response.data.map(anime => this.map(anime));
+    }
+    
+    // `filters` are the search page facets (CONFIG.search). Jikan can't filter by year or
+    // season, so those search from the start of the range in air-date order and stop at
+    // the first title that starts after it.
+    async search(query, page = 1, filters = {}) {
+        const params = new URLSearchParams({ page, limit: 20 });
+        if (query) params.set('q', query);
+        if (settings.get('sfw')) params.set('sfw', 'true');
+        if (filters.type) params.set('type', filters.type);
+        if (filters.status) params.set('status', filters.status);
+        if (filters.rating) params.set('rating', filters.rating);
+        if (filters.minScore) params.set('min_score', filters.minScore);
+        if (filters.genre) params.set('genres', CONFIG.search.genres[filters.genre]);
         
-        if (confirmAddProgressBtn) {
-            confirmAddProgressBtn.addEventListener('click', () => this.addNewAnime());
+        const range = JikanProvider.dateRange(filters);
+        if (range) {
+            params.set('start_date', range.from);
+            params.set('order_by', 'start_date');
+            params.set('sort', 'asc');
         }
         
-        // Progress modal
-        const saveProgressBtn = document.getElementById('saveProgressBtn');
-        const removeAnimeBtn = document.getElementById('removeAnimeBtn');
+        const response = await this.api.request(`${this.baseURL}${this.endpoints.search}?${params}`);
+        const data = response.data.map(anime => this.map(anime));
+        if (!range) return { data, pagination: response.pagination };
         
-        if (saveProgressBtn) {
-            saveProgressBtn.addEventListener('click', () => this.saveAnimeProgress());
-        }
+        const inRange = data.filter(anime => anime.aired?.from && anime.aired.from.slice(0, 10) <= range.to);
+        const hasNext = response.pagination.has_next_page && inRange.length === data.length;
         
-        if (removeAnimeBtn) {
-            removeAnimeBtn.addEventListener('click', () => this.removeAnime());
-        }
+        return {
+            data: inRange,
+            pagination: {
+                current_page: response.pagination.current_page,
+                last_visible_page: hasNext ? response.pagination.last_visible_page : response.pagination.current_page,
+                has_next_page: hasNext
+            }
+        };
+    }
+    
+    // First and last day of the chosen year, or of the season within it
+    static dateRange({ year, season }) {
+        if (!year) return null;
         
-        // Update progress preview when values change
-        const currentChapter = document.getElementById('currentChapter');
-        const totalChapters = document.getElementById('totalChapters');
+        const index = SEASONS.indexOf(season);
+        const [first, last] = index === -1 ? [1, 12] : [index * 3 + 1, index * 3 + 3];
+        const lastDay = new Date(Date.UTC(year, last, 0)).getUTCDate();
+        const month = (number) => String(number).padStart(2, '0');
         
-        if (currentChapter && totalChapters) {
-            [currentChapter, totalChapters].forEach(input => {
-                input.addEventListener('input', () => this.updateProgressPreview());
-            });
+        return { from: `${year}-${month(first)}-01`, to: `${year}-${month(last)}-${lastDay}` };
+    }
+    
+    async details(id) {
+        try {
+            const response = await this.api.request(`${this.baseURL}/anime/${id}/full`);
+            return this.map(response.data);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
         }
     }
     
-    setupProgressControls() {
-        // Filter buttons
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('filter-btn')) {
-                const filter = e.target.dataset.filter;
-                this.setFilter(filter);
+    // Main characters first, each with their voice actors
+    async characters(id) {
+        const response = await this.api.request(`${this.baseURL}/anime/${id}/characters`);
+        
+        return response.data
+            .map(({ character, role, voice_actors }) => ({
+                id: character.mal_id,
+                name: character.name,
+                image: character.images?.jpg?.image_url || null,
+                role,
+                voiceActors: voice_actors.map(({ person, language }) => ({
+                    id: person.mal_id,
+                    name: person.name,
+                    image: person.images?.jpg?.image_url || null,
+                    language
+                }))
+            }))
+            .sort((a, b) => (b.role === 'Main') - (a.role === 'Main'));
+    }
+    
+    // 100 episodes per page
+    async episodes(id, page = 1) {
+        const response = await this.api.request(`${this.baseURL}/anime/${id}/episodes?page=${page}`);
+        
+        return {
+            data: response.data.map(episode => ({
+                number: episode.mal_id,
+                title: episode.title,
+                aired: episode.aired,
+                filler: episode.filler,
+                recap: episode.recap
+            })),
+            pagination: response.pagination
+        };
+    }
+    
+    async trending(period = 'today') {
+        const sfw = settings.get('sfw') ? '&sfw=true' : '';
+        if (period === 'week') {
+            const anime = await this.list(`${this.endpoints.seasons}/now?limit=25${sfw}`);
+            return anime.sort((a, b) => (b.members || 0) - (a.members || 0));
+        }
+        if (period === 'month') {
+            return this.list(`${this.endpoints.search}?status=airing&order_by=members&sort=desc&limit=20${sfw}`);
+        }
+        return this.list(`${this.endpoints.top}?filter=airing&limit=20${sfw}`);
+    }
+    
+    // top() and seasonal() feed the recommendation candidates (see APIService.getTopAnime())
+    top(page = 1) {
+        const sfw = settings.get('sfw') ? '&sfw=true' : '';
+        return this.list(`${this.endpoints.top}?page=${page}&limit=25${sfw}`);
+    }
+    
+    seasonal() {
+        const sfw = settings.get('sfw') ? '&sfw=true' : '';
+        return this.list(`${this.endpoints.seasons}/now?limit=25${sfw}`);
+    }
+    
+    // One page of any season, past or upcoming
+    async seasonChart(year, season, page = 1) {
+        const sfw = settings.get('sfw') ? '&sfw=true' : '';
+        const response = await this.api.request(`${this.baseURL}${this.endpoints.seasons}/${year}/${season}?page=${page}&limit=25${sfw}`);
+        
+        return {
+            data: response.data.map(anime => this.map(anime)),
+            pagination: response.pagination
+        };
+    }
+    
+    async random() {
+        const response = await this.api.request(`${this.baseURL}${this.endpoints.random}`);
+        return this.map(response.data);
+    }
+    
+    mapManga(manga, mediaType = null) {
+        return {
+            id: manga.mal_id,
+            mediaType: mediaType || JIKAN_MEDIA_TYPES[manga.type] || 'manga',
+            title: manga.title,
+            titleEnglish: manga.title_english,
+            titleJapanese: manga.title_japanese,
+            image: manga.images.jpg.large_image_url,
+            score: manga.score,
+            chapters: manga.chapters,
+            volumes: manga.volumes,
+            status: manga.status,
+            synopsis: manga.synopsis,
+            genres: manga.genres.map(g => g.name),
+            authors: manga.authors?.map(a => a.name) || [],
+            year: manga.published?.prop?.from?.year || null,
+            type: manga.type,
+            published: manga.published,
+            rank: manga.rank,
+            popularity: manga.popularity,
+            members: manga.members,
+            favorites: manga.favorites
+        };
+    }
+    
+    async searchManga(query, page = 1, mediaType = 'manga') {
+        const type = JIKAN_MANGA_TYPES[mediaType];
+        const sfw = settings.get('sfw') ? '&sfw=true' : '';
+        const url = `${this.baseURL}${this.endpoints.manga}?q=${encodeURIComponent(query)}&page=${page}&limit=20${sfw}&type=${type}`;
+        const response = await this.api.request(url);
+        
+        return {
+            data: response.data.map(manga => this.mapManga(manga, mediaType)),
+            pagination: response.pagination
+        };
+    }
+    
+    async mangaDetails(id) {
+        try {
+            const response = await this.api.request(`${this.baseURL}${this.endpoints.manga}/${id}/full`);
+            return this.mapManga(response.data);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+}
+
+// AniList GraphQL; media without a MAL id are dropped since they can't be tracked
+const ANILIST_MEDIA_FIELDS = `
+    id
+    idMal
+    title { romaji english native }
+    coverImage { extraLarge large }
+    averageScore
+    popularity
+    favourites
+    episodes
+    duration
+    status
+    format
+    season
+    seasonYear
+    description(asHtml: false)
+    genres
+    studios(isMain: true) { nodes { name } }
+    startDate { year month day }
+    endDate { year month day }
+    trailer { id site }
+    nextAiringEpisode { airingAt episode }
+    rankings { rank type allTime }
+`;
+
+const ANILIST_PAGE_QUERY = `
+    query ($page: Int, $perPage: Int, $search: String, $sort: [MediaSort], $season: MediaSeason, $seasonYear: Int, $status: MediaStatus, $format: MediaFormat, $genre: String, $averageScore_greater: Int, $isAdult: Boolean) {
+        Page(page: $page, perPage: $perPage) {
+            pageInfo { total perPage currentPage lastPage hasNextPage }
+            media(type: ANIME, isAdult: $isAdult, search: $search, sort: $sort, season: $season, seasonYear: $seasonYear, status: $status, format: $format, genre: $genre, averageScore_greater: $averageScore_greater) {
+                ${ANILIST_MEDIA_FIELDS}
             }
-            
-            if (e.target.classList.contains('view-btn')) {
-                const view = e.target.dataset.view;
-                this.setView(view);
+        }
+    }
+`;
+
+const ANILIST_DETAILS_QUERY = `
+    query ($idMal: Int) {
+        Media(idMal: $idMal, type: ANIME) {
+            ${ANILIST_MEDIA_FIELDS}
+        }
+    }
+`;
+
+const ANILIST_STATUS_NAMES = {
+    FINISHED: 'Finished Airing',
+    CANCELLED: 'Finished Airing',
+    RELEASING: 'Currently Airing',
+    HIATUS: 'Currently Airing',
+    NOT_YET_RELEASED: 'Not yet aired'
+};
+
+const ANILIST_FORMAT_NAMES = {
+    TV: 'TV',
+    TV_SHORT: 'TV',
+    MOVIE: 'Movie',
+    SPECIAL: 'Special',
+    OVA: 'OVA',
+    ONA: 'ONA',
+    MUSIC: 'Music'
+};
+
+// Search page facets (CONFIG.search) in AniList's terms. AniList has no age ratings
+// besides "adult", so only Rx is passed on.
+const ANILIST_SEARCH_FILTERS = {
+    types: { tv: 'TV', movie: 'MOVIE', ova: 'OVA', special: 'SPECIAL', ona: 'ONA', music: 'MUSIC' },
+    statuses: { airing: 'RELEASING', complete: 'FINISHED', upcoming: 'NOT_YET_RELEASED' },
+    genres: { 'Suspense': 'Thriller' }
+};
+
+class AniListProvider {
+    constructor(api, config = CONFIG.providers.anilist) {
+        this.name = 'anilist';
+        this.label = 'AniList';
+        this.api = api;
+        this.baseURL = config.baseURL;
+    }
+    
+    async query(query, variables) {
+        const response = await this.api.request(this.baseURL, {
+            method: 'POST',
+            headers: { Accept: 'application/json' },
+            body: JSON.stringify({ query, variables })
+        });
+        
+        if (response.errors?.length) {
+            throw new Error(`AniList: ${response.errors[0].message}`);
+        }
+        return response.data;
+    }
+    
+    static toISODate(date) {
+        if (!date?.year) return null;
+        return new Date(Date.UTC(date.year, (date.month || 1) - 1, date.day || 1)).toISOString();
+    }
+    
+    // AniList only knows the next airing time; express it as a Jikan-style weekly slot in JST
+    static toBroadcast(nextAiringEpisode) {
+        if (!nextAiringEpisode) return null;
+        
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: 'Asia/Tokyo',
+            weekday: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(nextAiringEpisode.airingAt * 1000));
+        const value = (type) => parts.find(part => part.type === type).value;
+        
+        return {
+            day: `${value('weekday')}s`,
+            time: `${value('hour')}:${value('minute')}`,
+            timezone: 'Asia/Tokyo'
+        };
+    }
+    
+    map(media) {
+        const ranking = (type) => media.rankings?.find(r => r.type === type && r.allTime)?.rank || null;
+        
+        return {
+            id: media.idMal,
+            title: media.title.romaji,
+            titleEnglish: media.title.english,
+            titleJapanese: media.title.native,
+            image: media.coverImage.extraLarge || media.coverImage.large,
+            trailer: media.trailer?.site === 'youtube' ? media.trailer.id : null,
+            broadcast: AniListProvider.toBroadcast(media.nextAiringEpisode),
+            airing: media.status === 'RELEASING',
+            score: media.averageScore ? media.averageScore / 10 : null,
+            episodes: media.episodes,
+            status: ANILIST_STATUS_NAMES[media.status] || media.status,
+            synopsis: media.description ? media.description.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '') : null,
+            genres: media.genres || [],
+            year: media.seasonYear || media.startDate?.year || null,
+            season: media.season ? media.season.toLowerCase() : null,
+            studios: media.studios?.nodes.map(s => s.name) || [],
+            duration: media.duration ? `${media.duration} min per ep` : null,
+            rating: null,
+            type: ANILIST_FORMAT_NAMES[media.format] || media.format,
+            aired: {
+                from: AniListProvider.toISODate(media.startDate),
+                to: AniListProvider.toISODate(media.endDate)
+            },
+            rank: ranking('RATED'),
+            popularity: ranking('POPULAR'),
+            members: media.popularity,
+            favorites: media.favourites
+        };
+    }
+    
+    // Leaving $isAdult unset (SFW off) returns adult and non-adult titles alike
+    async page(variables) {
+        const filters = settings.get('sfw') ? { isAdult: false } : {};
+        const { Page } = await this.query(ANILIST_PAGE_QUERY, { ...variables, ...filters });
+        const info = Page.pageInfo;
+        const data = Page.media.filter(media => media.idMal).map(media => this.map(media));
+        
+        return {
+            data,
+            pagination: {
+                current_page: info.currentPage,
+                last_visible_page: info.lastPage,
+                has_next_page: info.hasNextPage,
+                items: { count: data.length, total: info.total, per_page: info.perPage }
             }
+        };
+    }
+    
+    search(query, page = 1, filters = {}) {
+        const { type, status, genre, year, season, minScore, rating } = filters;
+        
+        return this.page({
+            search: query || undefined,
+            page,
+            perPage: 20,
+            sort: [query ? 'SEARCH_MATCH' : 'POPULARITY_DESC'],
+            format: ANILIST_SEARCH_FILTERS.types[type],
+            status: ANILIST_SEARCH_FILTERS.statuses[status],
+            genre: genre && (ANILIST_SEARCH_FILTERS.genres[genre] || genre),
+            seasonYear: year || undefined,
+            season: year && season ? season.toUpperCase() : undefined,
+            averageScore_greater: minScore ? minScore * 10 - 1 : undefined,
+            isAdult: rating === 'rx' ? true : undefined
         });
     }
     
-    setupQuickActions() {
-        document.addEventListener('click', (e) => {
-            if (e.target.closest('.quick-action-card')) {
-                const action = e.target.closest('.quick-action-card').dataset.action;
-                this.handleQuickAction(action);
+    async details(id) {
+        try {
+            const { Media } = await this.query(ANILIST_DETAILS_QUERY, { idMal: Number(id) });
+            return Media ? this.map(Media) : null;
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+    
+    async trending(period = 'today') {
+        const { season, year } = Utils.getSeason();
+        const variables = {
+            today: { sort: ['TRENDING_DESC'], status: 'RELEASING' },
+            week: { sort: ['POPULARITY_DESC'], season: season.toUpperCase(), seasonYear: year },
+            month: { sort: ['POPULARITY_DESC'], status: 'RELEASING' }
+        }[period] || {};
+        return (await this.page({ page: 1, perPage: 20, ...variables })).data;
+    }
+    
+    async top(page = 1) {
+        return (await this.page({ page, perPage: 25, sort: ['SCORE_DESC'] })).data;
+    }
+    
+    async seasonal() {
+        const { season, year } = Utils.getSeason();
+        return (await this.page({ page: 1, perPage: 25, sort: ['POPULARITY_DESC'], season: season.toUpperCase(), seasonYear: year })).data;
+    }
+    
+    seasonChart(year, season, page = 1) {
+        return this.page({ page, perPage: 50, sort: ['POPULARITY_DESC'], season: season.toUpperCase(), seasonYear: year });
+    }
+    
+    // No random endpoint: pick one of the 500 most popular titles
+    async random() {
+        const page = Math.floor(Math.random() * 500) + 1;
+        const [anime] = (await this.page({ page, perPage: 1, sort: ['POPULARITY_DESC'] })).data;
+        return anime || null;
+    }
+}
+
+// Kitsu JSON:API; MAL ids come from the included `mappings` resources
+const KITSU_INCLUDE = 'categories,mappings,animationProductions.producer';
+const KITSU_PAGE_LIMIT = 20;
+
+const KITSU_STATUS_NAMES = {
+    finished: 'Finished Airing',
+    current: 'Currently Airing',
+    upcoming: 'Not yet aired',
+    tba: 'Not yet aired',
+    unreleased: 'Not yet aired'
+};
+
+const KITSU_SUBTYPE_NAMES = {
+    TV: 'TV',
+    movie: 'Movie',
+    special: 'Special',
+    OVA: 'OVA',
+    ONA: 'ONA',
+    music: 'Music'
+};
+
+// Search page facets (CONFIG.search) in Kitsu's terms; genres are category slugs
+const KITSU_SEARCH_FILTERS = {
+    types: { tv: 'TV', movie: 'movie', ova: 'OVA', special: 'special', ona: 'ONA', music: 'music' },
+    statuses: { airing: 'current', complete: 'finished', upcoming: 'upcoming' },
+    ratings: { g: 'G', pg: 'PG', pg13: 'PG', r17: 'R', r: 'R', rx: 'R18' },
+    categories: { 'Sci-Fi': 'science-fiction', 'Suspense': 'thriller' }
+};
+
+class KitsuProvider {
+    constructor(api, config = CONFIG.providers.kitsu) {
+        this.name = 'kitsu';
+        this.label = 'Kitsu';
+        this.api = api;
+        this.baseURL = config.baseURL;
+        this.headers = { Accept: 'application/vnd.api+json' };
+    }
+    
+    request(path, params) {
+        const query = new URLSearchParams(params).toString();
+        return this.api.request(`${this.baseURL}${path}?${query}`, { headers: this.headers });
+    }
+    
+    // Resolve a JSON:API document into mapped anime, skipping titles without a MAL mapping
+    mapDocument(response) {
+        const included = new Map((response.included || []).map(resource => [`${resource.type}:${resource.id}`, resource]));
+        const related = (resource, name) => [].concat(resource.relationships?.[name]?.data || [])
+            .map(ref => included.get(`${ref.type}:${ref.id}`))
+            .filter(Boolean);
+        
+        return [].concat(response.data || [])
+            .map(resource => {
+                const mapping = related(resource, 'mappings')
+                    .find(m => m.attributes.externalSite === 'myanimelist/anime');
+                if (!mapping) return null;
+                
+                const studios = related(resource, 'animationProductions')
+                    .filter(production => production.attributes.role === 'studio')
+                    .flatMap(production => related(production, 'producer'))
+                    .map(producer => producer.attributes.name);
+                
+                return this.map(resource, {
+                    id: parseInt(mapping.attributes.externalId),
+                    genres: related(resource, 'categories').map(category => category.attributes.title),
+                    studios
+                });
+            })
+            .filter(Boolean);
+    }
+    
+    map(resource, { id, genres, studios }) {
+        const attrs = resource.attributes;
+        const started = attrs.startDate ? new Date(attrs.startDate) : null;
+        
+        return {
+            id,
+            title: attrs.titles?.en_jp || attrs.canonicalTitle,
+            titleEnglish: attrs.titles?.en || attrs.titles?.en_us || null,
+            titleJapanese: attrs.titles?.ja_jp || null,
+            image: attrs.posterImage?.large || attrs.posterImage?.original,
+            trailer: attrs.youtubeVideoId || null,
+            broadcast: null,
+            airing: attrs.status === 'current',
+            score: attrs.averageRating ? Math.round(parseFloat(attrs.averageRating) * 10) / 100 : null,
+            episodes: attrs.episodeCount,
+            status: KITSU_STATUS_NAMES[attrs.status] || attrs.status,
+            synopsis: attrs.synopsis,
+            genres,
+            year: started ? started.getUTCFullYear() : null,
+            season: started ? Utils.getSeason(started).season : null,
+            studios,
+            duration: attrs.episodeLength ? `${attrs.episodeLength} min per ep` : null,
+            rating: attrs.ageRating ? [attrs.ageRating, attrs.ageRatingGuide].filter(Boolean).join(' - ') : null,
+            type: KITSU_SUBTYPE_NAMES[attrs.subtype] || attrs.subtype,
+            aired: {
+                from: attrs.startDate ? `${attrs.startDate}T00:00:00+00:00` : null,
+                to: attrs.endDate ? `${attrs.endDate}T00:00:00+00:00` : null
+            },
+            rank: attrs.ratingRank,
+            popularity: attrs.popularityRank,
+            members: attrs.userCount,
+            favorites: attrs.favoritesCount
+        };
+    }
+    
+    async list(params, page = 1) {
+        const response = await this.request('/anime', {
+            include: KITSU_INCLUDE,
+            'page[limit]': KITSU_PAGE_LIMIT,
+            'page[offset]': (page - 1) * KITSU_PAGE_LIMIT,
+            ...params
+        });
+        const data = this.mapDocument(response);
+        const total = response.meta?.count || data.length;
+        
+        return {
+            data,
+            pagination: {
+                current_page: page,
+                last_visible_page: Math.ceil(total / KITSU_PAGE_LIMIT),
+                has_next_page: Boolean(response.links?.next),
+                items: { count: data.length, total, per_page: KITSU_PAGE_LIMIT }
             }
+        };
+    }
+    
+    // Kitsu can't sort text searches, so only facet-only searches are ordered by popularity
+    search(query, page = 1, filters = {}) {
+        const { type, status, genre, year, season, minScore, rating } = filters;
+        const params = {
+            'filter[text]': query,
+            'filter[subtype]': KITSU_SEARCH_FILTERS.types[type],
+            'filter[status]': KITSU_SEARCH_FILTERS.statuses[status],
+            'filter[categories]': genre && (KITSU_SEARCH_FILTERS.categories[genre] || genre.toLowerCase().replace(/ /g, '-')),
+            'filter[seasonYear]': year,
+            'filter[season]': year && season,
+            'filter[averageRating]': minScore && `${minScore * 10}..`,
+            'filter[ageRating]': KITSU_SEARCH_FILTERS.ratings[rating],
+            sort: query ? null : 'popularityRank'
+        };
+        
+        return this.list(Object.fromEntries(Object.entries(params).filter(([, value]) => value)), page);
+    }
+    
+    async details(id) {
+        const mappings = await this.request('/mappings', {
+            'filter[externalSite]': 'myanimelist/anime',
+            'filter[externalId]': id,
+            include: 'item'
         });
+        const item = mappings.data?.[0]?.relationships?.item?.data;
+        if (!item) return null;
+        
+        const response = await this.request(`/anime/${item.id}`, { include: KITSU_INCLUDE });
+        return this.mapDocument(response)[0] || null;
     }
     
-    setupFilterControls() {
-        // Trending tabs
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('tab-btn')) {
-                const tab = e.target.dataset.tab;
-                this.setTrendingTab(tab);
+    async trending(period = 'today') {
+        const { season, year } = Utils.getSeason();
+        const params = {
+            today: { 'filter[status]': 'current', sort: '-averageRating' },
+            week: { 'filter[season]': season, 'filter[seasonYear]': year, sort: 'popularityRank' },
+            month: { 'filter[status]': 'current', sort: 'popularityRank' }
+        }[period] || {};
+        return (await this.list(params)).data;
+    }
+    
+    async top(page = 1) {
+        return (await this.list({ sort: 'ratingRank' }, page)).data;
+    }
+    
+    async seasonal() {
+        const { season, year } = Utils.getSeason();
+        return (await this.list({ 'filter[season]': season, 'filter[seasonYear]': year, sort: 'popularityRank' })).data;
+    }
+    
+    seasonChart(year, season, page = 1) {
+        return this.list({ 'filter[season]': season, 'filter[seasonYear]': year, sort: 'popularityRank' }, page);
+    }
+    
+    // No random endpoint: pick one of the 1000 most popular titles
+    async random() {
+        const response = await this.request('/anime', {
+            include: KITSU_INCLUDE,
+            sort: 'popularityRank',
+            'page[limit]': 1,
+            'page[offset]': Math.floor(Math.random() * 1000)
+        });
+        return this.mapDocument(response)[0] || null;
+    }
+}
+
+// MangaDex only hosts comics, so it has no light novels. Titles without a MAL link are skipped.
+const MANGADEX_LANGUAGES = {
+    manga: ['ja'],
+    manhwa: ['ko']
+};
+
+const MANGADEX_STATUS_NAMES = {
+    ongoing: 'Publishing',
+    completed: 'Finished',
+    hiatus: 'On Hiatus',
+    cancelled: 'Discontinued'
+};
+
+class MangaDexProvider {
+    constructor(api, config = CONFIG.providers.mangadex) {
+        this.name = 'mangadex';
+        this.label = 'MangaDex';
+        this.api = api;
+        this.baseURL = config.baseURL;
+        this.coversURL = config.coversURL;
+    }
+    
+    map(manga, mediaType) {
+        const attrs = manga.attributes;
+        const related = (type) => manga.relationships.filter(rel => rel.type === type && rel.attributes);
+        const localized = (map) => map?.en || Object.values(map || {})[0] || null;
+        const altTitle = (language) => attrs.altTitles.map(title => title[language]).find(Boolean) || null;
+        const cover = related('cover_art')[0];
+        
+        return {
+            id: parseInt(attrs.links?.mal) || null,
+            mediaType,
+            title: localized(attrs.title),
+            titleEnglish: altTitle('en'),
+            titleJapanese: altTitle(attrs.originalLanguage),
+            image: cover ? `${this.coversURL}/${manga.id}/${cover.attributes.fileName}.512.jpg` : null,
+            score: null,
+            chapters: parseInt(attrs.lastChapter) || null,
+            volumes: parseInt(attrs.lastVolume) || null,
+            status: MANGADEX_STATUS_NAMES[attrs.status] || attrs.status,
+            synopsis: localized(attrs.description),
+            genres: attrs.tags
+                .filter(tag => tag.attributes.group === 'genre')
+                .map(tag => localized(tag.attributes.name)),
+            authors: related('author').map(author => author.attributes.name),
+            year: attrs.year,
+            type: Utils.getMediaTypeLabel(mediaType)
+        };
+    }
+    
+    async searchManga(query, page = 1, mediaType = 'manga') {
+        const languages = MANGADEX_LANGUAGES[mediaType];
+        if (!languages) return null;
+        
+        const limit = 20;
+        const params = new URLSearchParams({ title: query, limit, offset: (page - 1) * limit });
+        ['cover_art', 'author'].forEach(include => params.append('includes[]', include));
+        const ratings = settings.get('sfw') ? ['safe', 'suggestive'] : ['safe', 'suggestive', 'erotica'];
+        ratings.forEach(rating => params.append('contentRating[]', rating));
+        languages.forEach(language => params.append('originalLanguage[]', language));
+        
+        const response = await this.api.request(`${this.baseURL}/manga?${params}`);
+        const data = response.data
+            .map(manga => this.map(manga, mediaType))
+            .filter(manga => manga.id);
+        
+        return {
+            data,
+            pagination: {
+                current_page: page,
+                last_visible_page: Math.ceil(response.total / limit),
+                has_next_page: response.offset + response.limit < response.total,
+                items: { count: data.length, total: response.total, per_page: limit }
+            }
+        };
+    }
+}
+
+// ==================== PROVIDER REGISTRY ====================
+// Calls providers in priority order and fails over to the next one on errors.
+// A provider that keeps failing is marked down and skipped until its cooldown
+// passes; if every provider is down they are all tried anyway.
+class ProviderRegistry {
+    constructor(providers, options = CONFIG.providers) {
+        this.providers = new Map(providers.map(provider => [provider.name, provider]));
+        this.priority = options.priority;
+        this.failureThreshold = options.failureThreshold;
+        this.cooldown = options.cooldown;
+        this.health = new Map(providers.map(provider => [provider.name, {
+            status: PROVIDER_STATUS.HEALTHY,
+            failures: 0,
+            lastError: null,
+            lastSuccess: null,
+            lastFailure: null,
+            retryAt: 0
+        }]));
+        this.listeners = new Set();
+    }
+    
+    setPriority(priority) {
+        this.priority = priority.filter(name => this.providers.has(name));
+    }
+    
+    getOrdered() {
+        return this.priority.map(name => this.providers.get(name)).filter(Boolean);
+    }
+    
+    isAvailable(name, now = Date.now()) {
+        const health = this.health.get(name);
+        return health.status !== PROVIDER_STATUS.DOWN || now >= health.retryAt;
+    }
+    
+    // Resolves with the first provider's result; null/undefined means "not found" and
+    // moves on without counting as a failure
+    async call(method, ...args) {
+        const capable = this.getOrdered().filter(provider => typeof provider[method] === 'function');
+        const available = capable.filter(provider => this.isAvailable(provider.name));
+        const errors = [];
+        
+        for (const provider of available.length ? available : capable) {
+            try {
+                const result = await provider[method](...args);
+                this.recordSuccess(provider.name);
+                if (result !== null && result !== undefined) return result;
+            } catch (error) {
+                console.warn(`${provider.label} ${method} failed, trying next provider:`, error);
+                this.recordFailure(provider.name, error);
+                errors.push(error);
             }
+        }
+        
+        if (errors.length === 0) return null;
+        
+        const error = new Error(`All metadata providers failed for ${method}`);
+        error.errors = errors;
+        throw error;
+    }
+    
+    recordSuccess(name) {
+        const health = this.health.get(name);
+        const previous = health.status;
+        
+        Object.assign(health, {
+            status: PROVIDER_STATUS.HEALTHY,
+            failures: 0,
+            lastSuccess: new Date().toISOString(),
+            retryAt: 0
         });
+        
+        if (previous !== health.status) this.notifyListeners(name, previous);
+    }
+    
+    recordFailure(name, error) {
+        const health = this.health.get(name);
+        const previous = health.status;
+        
+        health.failures++;
+        health.lastError = error.message;
+        health.lastFailure = new Date().toISOString();
+        
+        if (health.failures >= this.failureThreshold) {
+            health.status = PROVIDER_STATUS.DOWN;
+            health.retryAt = Date.now() + this.cooldown;
+        } else {
+            health.status = PROVIDER_STATUS.DEGRADED;
+        }
+        
+        if (previous !== health.status) this.notifyListeners(name, previous);
+    }
+    
+    // Health for every provider, in priority order
+    getHealth() {
+        return this.getOrdered().map(provider => ({
+            name: provider.name,
+            label: provider.label,
+            ...this.health.get(provider.name)
+        }));
+    }
+    
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    notifyListeners(name, previousStatus) {
+        const provider = this.providers.get(name);
+        this.listeners.forEach(listener => listener({
+            name,
+            label: provider.label,
+            previousStatus,
+            ...this.health.get(name)
+        }));
+    }
+}
+
+// ==================== API SERVICE ====================
+class APIService {
+    constructor() {
+        this.cache = new PersistentCache();
+        this.schedulers = new Map();
+        this.providers = new ProviderRegistry([
+            new JikanProvider(this),
+            new AniListProvider(this),
+            new KitsuProvider(this),
+            new MangaDexProvider(this)
+        ]);
+    }
+    
+    getScheduler(url) {
+        const host = new URL(url).hostname;
+        if (!this.schedulers.has(host)) {
+            this.schedulers.set(host, new RequestScheduler(CONFIG.rateLimits[host] || CONFIG.rateLimits.default));
+        }
+        return this.schedulers.get(host);
+    }
+    
+    async request(url, options = {}) {
+        // Check cache first
+        const cacheKey = url + JSON.stringify(options);
+        const cached = this.cache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        
+        try {
+            const data = await this.getScheduler(url).schedule(cacheKey, () => fetch(url, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...options.headers
+                }
+            }));
+            
+            // Cache the result
+            this.cache.set(cacheKey, data, this.cache.ttlFor(url));
+            
+            return data;
+        } catch (error) {
+            console.error('API Request failed:', error);
+            throw error;
+        }
+    }
+    
+    async searchAnime(query, page = 1, filters = {}) {
+        try {
+            return await this.providers.call('search', query, page, filters);
+        } catch (error) {
+            console.error('Search anime failed:', error);
+            return this.getFallbackSearchData(query);
+        }
+    }
+    
+    async getTrendingAnime(period = 'today') {
+        try {
+            const anime = await this.providers.call('trending', period);
+            
+            return anime.map(item => ({
+                ...item,
+                synopsis: item.synopsis ? Utils.truncateText(item.synopsis, 150) : '',
+                genres: item.genres.slice(0, 3)
+            }));
+        } catch (error) {
+            console.error('Get trending anime failed:', error);
+            return this.getFallbackTrendingData();
+        }
+    }
+    
+    async getTopAnime(page = 1) {
+        try {
+            return await this.providers.call('top', page);
+        } catch (error) {
+            console.error('Get top anime failed:', error);
+            return [];
+        }
+    }
+    
+    async getSeasonalAnime() {
+        try {
+            return await this.providers.call('seasonal');
+        } catch (error) {
+            console.error('Get seasonal anime failed:', error);
+            return [];
+        }
+    }
+    
+    // Every title of a season, following pagination up to CONFIG.seasonal.maxPages.
+    // `complete` is false when the cap or a failed page cut the list short.
+    async getSeasonChart(year, season) {
+        const titles = new Map();
+        
+        try {
+            for (let page = 1; page <= CONFIG.seasonal.maxPages; page++) {
+                const result = await this.providers.call('seasonChart', year, season, page);
+                result?.data.forEach(anime => {
+                    if (!titles.has(anime.id)) titles.set(anime.id, anime);
+                });
+                if (!result?.pagination?.has_next_page) {
+                    return { data: [...titles.values()], complete: true };
+                }
+            }
+        } catch (error) {
+            console.error('Get season chart failed:', error);
+        }
+        return { data: [...titles.values()], complete: false };
+    }
+    
+    async getAnimeDetails(id) {
+        try {
+            return await this.providers.call('details', id);
+        } catch (error) {
+            console.error('Get anime details failed:', error);
+            return null;
+        }
+    }
+    
+    async getAnimeCharacters(id) {
+        try {
+            return await this.providers.call('characters', id) || [];
+        } catch (error) {
+            console.error('Get anime characters failed:', error);
+            return [];
+        }
+    }
+    
+    async getAnimeEpisodes(id, page = 1) {
+        try {
+            return await this.providers.call('episodes', id, page)
+                || { data: [], pagination: { has_next_page: false } };
+        } catch (error) {
+            console.error('Get anime episodes failed:', error);
+            return { data: [], pagination: { has_next_page: false } };
+        }
+    }
+    
+    // Anime go through searchAnime(); the other media types search manga providers
+    async searchMedia(query, mediaType = 'anime', page = 1) {
+        if (!StorageMigrator.isReadType(mediaType)) {
+            return this.searchAnime(query, page);
+        }
+        
+        try {
+            return await this.providers.call('searchManga', query, page, mediaType)
+                || { data: [], pagination: { has_next_page: false } };
+        } catch (error) {
+            console.error('Search manga failed:', error);
+            return { data: [], pagination: { has_next_page: false } };
+        }
+    }
+    
+    async getMangaDetails(id) {
+        try {
+            return await this.providers.call('mangaDetails', id);
+        } catch (error) {
+            console.error('Get manga details failed:', error);
+            return null;
+        }
+    }
+    
+    getMediaDetails(id, mediaType = 'anime') {
+        return StorageMigrator.isReadType(mediaType) ? this.getMangaDetails(id) : this.getAnimeDetails(id);
+    }
+    
+    async getRandomAnime() {
+        try {
+            const anime = await this.providers.call('random');
+            if (!anime) return this.getFallbackRandomData();
+            
+            return {
+                ...anime,
+                synopsis: anime.synopsis ? Utils.truncateText(anime.synopsis, 150) : '',
+                genres: anime.genres.slice(0, 3)
+            };
+        } catch (error) {
+            console.error('Get random anime failed:', error);
+            return this.getFallbackRandomData();
+        }
+    }
+    
+    // Fallback data for when API is unavailable
+    getFallbackSearchData(query) {
+        const fallbackData = [
+            {
+                id: 'jujutsu-kaisen',
+                title: 'Jujutsu Kaisen',
+                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx113415-bbBWj4pEFseh.jpg',
+                score: 8.8,
+                episodes: 24,
+                synopsis: 'A high school student gains control of an extremely powerful cursed spirit and gets enrolled in the Tokyo Prefectural Jujutsu High School.',
+                genres: ['Action', 'Fantasy', 'Supernatural']
+            },
+            {
+                id: 'demon-slayer',
+                title: 'Demon Slayer',
+                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx101922-PEn1CTc93blC.jpg',
+                score: 8.7,
+                episodes: 26,
+                synopsis: 'A family is attacked by demons and only two members survive - Tanjiro and his sister Nezuko, who is turning into a demon slowly.',
+                genres: ['Action', 'Historical', 'Supernatural']
+            }
+        ].filter(anime => anime.title.toLowerCase().includes(query.toLowerCase()));
+        
+        return { data: fallbackData, pagination: { has_next_page: false } };
+    }
+    
+    getFallbackTrendingData() {
+        return [
+            {
+                id: 'spy-family',
+                title: 'Spy x Family',
+                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx138006-9q2ZzZzZzZzZ.jpg',
+                score: 8.9,
+                episodes: 12,
+                synopsis: 'A spy must create a fake family to execute a mission, not realizing his wife is an assassin and his daughter is a telepath.',
+                genres: ['Action', 'Comedy', 'Family'],
+                rank: 1,
+                popularity: 1
+            },
+            {
+                id: 'chainsaw-man',
+                title: 'Chainsaw Man',
+                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx127230-9q2ZzZzZzZzZ.jpg',
+                score: 8.6,
+                episodes: 12,
+                synopsis: 'Denji is a young man trapped in poverty, working off his deceased father\'s debt to the yakuza by working as a Devil Hunter.',
+                genres: ['Action', 'Horror', 'Supernatural'],
+                rank: 2,
+                popularity: 2
+            }
+        ];
+    }
+    
+    getFallbackRandomData() {
+        const randomAnime = [
+            {
+                id: 'attack-on-titan',
+                title: 'Attack on Titan',
+                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx16498-8Y8wXbIBWYlQ.jpg',
+                score: 8.9,
+                episodes: 87,
+                synopsis: 'Humanity fights for survival against giant humanoid Titans behind enormous walls.',
+                genres: ['Action', 'Drama', 'Fantasy']
+            },
+            {
+                id: 'one-piece',
+                title: 'One Piece',
+                image: 'https://s4.anilist.co/file/anilistcdn/media/anime/cover/large/bx21-YCNHwbMZg9rF.jpg',
+                score: 8.8,
+                episodes: 1000,
+                synopsis: 'Monkey D. Luffy explores the Grand Line to find the legendary treasure known as the "One Piece".',
+                genres: ['Action', 'Adventure', 'Comedy']
+            }
+        ];
+        
+        return randomAnime[Math.floor(Math.random() * randomAnime.length)];
+    }
+}
+
+// ==================== SCHEDULE SERVICE ====================
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const BROADCAST_DAYS = ['sundays', 'mondays', 'tuesdays', 'wednesdays', 'thursdays', 'fridays', 'saturdays'];
+
+class ScheduleService {
+    constructor(api) {
+        this.api = api;
+    }
+    
+    // Milliseconds `timeZone` is ahead of UTC at `date`
+    static getTimeZoneOffset(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date);
+        const values = parts.reduce((acc, part) => ({ ...acc, [part.type]: parseInt(part.value) }), {});
+        const asUTC = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+        
+        return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+    }
+    
+    // Jikan broadcast: { day: 'Saturdays', time: '23:30', timezone: 'Asia/Tokyo' }
+    static parseBroadcast(broadcast) {
+        if (!broadcast?.day || !broadcast?.time) return null;
+        
+        const weekday = BROADCAST_DAYS.indexOf(broadcast.day.toLowerCase());
+        const [hours, minutes] = broadcast.time.split(':').map(Number);
+        if (weekday === -1 || isNaN(hours)) return null;
+        
+        return { weekday, hours, minutes: minutes || 0, timeZone: broadcast.timezone || 'Asia/Tokyo' };
+    }
+    
+    // Convert a wall-clock time in `timeZone` (given as UTC fields) to a real Date
+    static fromZonedWallTime(wallTime, timeZone) {
+        const guess = new Date(wallTime - ScheduleService.getTimeZoneOffset(new Date(wallTime), timeZone));
+        return new Date(wallTime - ScheduleService.getTimeZoneOffset(guess, timeZone));
+    }
+    
+    // First broadcast slot strictly after `from` (or on/after it when `inclusive`)
+    static nextBroadcast(slot, from = new Date(), inclusive = false) {
+        const offset = ScheduleService.getTimeZoneOffset(from, slot.timeZone);
+        const wallNow = new Date(from.getTime() + offset);
+        const daysAhead = (slot.weekday - wallNow.getUTCDay() + 7) % 7;
+        
+        let wallTime = Date.UTC(
+            wallNow.getUTCFullYear(),
+            wallNow.getUTCMonth(),
+            wallNow.getUTCDate() + daysAhead,
+            slot.hours,
+            slot.minutes
+        );
+        
+        if (inclusive ? wallTime < wallNow.getTime() : wallTime <= wallNow.getTime()) {
+            wallTime += WEEK_MS;
+        }
+        
+        return ScheduleService.fromZonedWallTime(wallTime, slot.timeZone);
+    }
+    
+    // Episode 1 airs in the first slot on or after the premiere date (a date in the broadcast timezone)
+    static firstBroadcast(slot, airedFrom) {
+        if (!airedFrom) return null;
+        
+        const premiere = new Date(airedFrom);
+        const startOfPremiereDay = ScheduleService.fromZonedWallTime(
+            Date.UTC(premiere.getUTCFullYear(), premiere.getUTCMonth(), premiere.getUTCDate()),
+            slot.timeZone
+        );
+        
+        return ScheduleService.nextBroadcast(slot, startOfPremiereDay, true);
+    }
+    
+    // Assumes a weekly release without breaks, which holds for most TV anime
+    computeSchedule(details, progress, now = new Date()) {
+        const currentEpisode = progress.currentEpisode || 0;
+        const totalEpisodes = details.episodes || progress.totalEpisodes || null;
+        const slot = ScheduleService.parseBroadcast(details.broadcast);
+        const result = {
+            title: progress.title || details.title,
+            currentEpisode,
+            totalEpisodes,
+            nextEpisode: null,
+            nextAirDate: null,
+            latestAiredEpisode: null,
+            behindBy: 0
+        };
+        
+        if (details.status === 'Finished Airing') {
+            result.latestAiredEpisode = totalEpisodes;
+        } else if (slot) {
+            const first = ScheduleService.firstBroadcast(slot, details.aired?.from);
+            
+            if (first && first > now) {
+                result.latestAiredEpisode = 0;
+                result.nextEpisode = 1;
+                result.nextAirDate = first;
+            } else {
+                const aired = first
+                    ? Math.floor((now - first) / WEEK_MS) + 1
+                    : null;
+                result.latestAiredEpisode = totalEpisodes && aired ? Math.min(aired, totalEpisodes) : aired;
+                
+                if (!totalEpisodes || aired === null || aired < totalEpisodes) {
+                    result.nextEpisode = aired !== null ? aired + 1 : currentEpisode + 1;
+                    result.nextAirDate = ScheduleService.nextBroadcast(slot, now);
+                }
+            }
+        }
+        
+        if (result.latestAiredEpisode !== null) {
+            result.behindBy = Math.max(result.latestAiredEpisode - currentEpisode, 0);
+        }
+        
+        return result;
+    }
+    
+    async getSchedule(id, progress) {
+        const details = await this.api.getAnimeDetails(id);
+        if (!details) return null;
+        
+        return { id, ...this.computeSchedule(details, progress) };
+    }
+    
+    // Schedules for every entry being watched, soonest next episode first
+    async getUpcoming(watchingAnime) {
+        const schedules = (await Promise.all(Object.entries(watchingAnime).map(async ([id, progress]) => {
+            try {
+                return await this.getSchedule(id, progress);
+            } catch (error) {
+                console.error(`Failed to load schedule for ${id}:`, error);
+                return null;
+            }
+        }))).filter(Boolean);
+        
+        return schedules.sort((a, b) => {
+            if (a.nextAirDate && b.nextAirDate) return a.nextAirDate - b.nextAirDate;
+            if (a.nextAirDate) return -1;
+            if (b.nextAirDate) return 1;
+            return b.behindBy - a.behindBy;
+        });
+    }
+}
+
+// ==================== RECOMMENDATION ENGINE ====================
+// How much each part of the taste profile counts towards a candidate's score
+const RECOMMENDATION_WEIGHTS = {
+    genre: 1,
+    studio: 0.6,
+    type: 0.3,
+    year: 0.4,
+    score: 0.3
+};
+
+class RecommendationEngine {
+    constructor(api, tracker) {
+        this.api = api;
+        this.tracker = tracker;
+        this.profileSize = 20;
+    }
+    
+    // -1..1: how strongly an entry says something about the user's taste
+    entryWeight(entry) {
+        const rating = parseFloat(entry.rating);
+        if (rating) return (rating - 5.5) / 4.5;
+        if (entry.status === 'completed') return 0.5;
+        if (entry.status === 'dropped') return -0.5;
+        return 0;
+    }
+    
+    async buildProfile() {
+        const sources = Object.entries(this.tracker.getAllAnime())
+            .map(([id, entry]) => ({ id, title: entry.title, weight: this.entryWeight(entry), updatedAt: entry.updatedAt }))
+            .filter(source => source.weight !== 0)
+            .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight) || b.updatedAt - a.updatedAt)
+            .slice(0, this.profileSize);
+        
+        const profile = { genres: {}, studios: {}, types: {}, years: [], sources: [] };
+        const add = (map, key, weight) => { map[key] = (map[key] || 0) + weight; };
+        
+        for (const source of sources) {
+            const details = await this.api.getAnimeDetails(source.id);
+            if (!details) continue;
+            
+            details.genres.forEach(genre => add(profile.genres, genre, source.weight));
+            details.studios.forEach(studio => add(profile.studios, studio, source.weight));
+            if (details.type) add(profile.types, details.type, source.weight);
+            if (details.year && source.weight > 0) profile.years.push({ year: details.year, weight: source.weight });
+            
+            profile.sources.push({ ...source, genres: details.genres, studios: details.studios });
+        }
+        
+        // Normalize so a profile built from many entries doesn't dominate the score bonus
+        const count = Math.max(profile.sources.length, 1);
+        ['genres', 'studios', 'types'].forEach(key => {
+            Object.keys(profile[key]).forEach(name => { profile[key][name] /= count; });
+        });
+        
+        return profile;
+    }
+    
+    async getCandidates() {
+        const lists = await Promise.all([
+            this.api.getTrendingAnime(),
+            this.api.getTopAnime(),
+            this.api.getSeasonalAnime()
+        ]);
+        const tracked = this.tracker.getAllAnime();
+        const candidates = new Map();
+        
+        lists.flat().forEach(anime => {
+            if (!tracked[anime.id] && !candidates.has(anime.id)) {
+                candidates.set(anime.id, anime);
+            }
+        });
+        
+        return [...candidates.values()];
+    }
+    
+    scoreCandidate(anime, profile) {
+        const weights = RECOMMENDATION_WEIGHTS;
+        const genres = anime.genres || [];
+        const studios = anime.studios || [];
+        let score = 0;
+        
+        if (genres.length > 0) {
+            const genreScore = genres.reduce((sum, genre) => sum + (profile.genres[genre] || 0), 0);
+            score += weights.genre * genreScore / Math.sqrt(genres.length);
+        }
+        
+        if (studios.length > 0) {
+            score += weights.studio * Math.max(...studios.map(studio => profile.studios[studio] || 0));
+        }
+        
+        if (anime.type) {
+            score += weights.type * (profile.types[anime.type] || 0);
+        }
+        
+        if (anime.year && profile.years.length > 0) {
+            const totalWeight = profile.years.reduce((sum, item) => sum + item.weight, 0);
+            const closeness = profile.years.reduce((sum, item) =>
+                sum + item.weight * Math.exp(-Math.abs(item.year - anime.year) / 5), 0);
+            score += weights.year * closeness / totalWeight;
+        }
+        
+        if (anime.score) {
+            score += weights.score * (anime.score - 7) / 3;
+        }
+        
+        return { matchScore: score, reason: this.explain(anime, profile) };
+    }
+    
+    // "Because you liked X": the liked entry sharing the most with the candidate
+    explain(anime, profile) {
+        let best = null;
+        let bestOverlap = 0;
+        
+        profile.sources
+            .filter(source => source.weight > 0)
+            .forEach(source => {
+                const sharedGenres = (anime.genres || []).filter(genre => source.genres.includes(genre)).length;
+                const sharedStudios = (anime.studios || []).filter(studio => source.studios.includes(studio)).length;
+                const overlap = (sharedGenres + 2 * sharedStudios) * source.weight;
+                
+                if (overlap > bestOverlap) {
+                    best = source;
+                    bestOverlap = overlap;
+                }
+            });
+        
+        return best ? `Because you liked ${best.title}` : null;
+    }
+    
+    async recommend(limit = 4) {
+        const [profile, candidates] = await Promise.all([this.buildProfile(), this.getCandidates()]);
+        
+        // Nothing rated or completed yet: fall back to what's popular
+        if (profile.sources.length === 0) {
+            return candidates.slice(0, limit);
+        }
+        
+        return candidates
+            .map(anime => ({ ...anime, ...this.scoreCandidate(anime, profile) }))
+            .sort((a, b) => b.matchScore - a.matchScore)
+            .slice(0, limit);
+    }
+}
+
+// ==================== PROGRESS TRACKER ====================
+class ProgressTracker {
+    constructor() {
+        this.storage = null; // Adapter picked by StorageBackend.select()
+        this.progress = {};
+        this.listeners = new Set();
+        this.lastError = null;
+        this.tombstones = new TombstoneStore();
+        this.ready = this.loadProgress();
+    }
+    
+    async loadProgress() {
+        try {
+            this.storage = await StorageBackend.select();
+            this.progress = await this.storage.list();
+        } catch (error) {
+            console.error('Failed to load progress:', error);
+            this.progress = {};
+        }
+    }
+    
+    // Write a single entry (or its deletion) and roll the in-memory copy back if that fails
+    async saveProgress(id, previous, source) {
+        try {
+            if (this.progress[id]) {
+                await this.storage.put(id, this.progress[id]);
+            } else {
+                await this.storage.delete(id);
+            }
+            this.lastError = null;
+            this.notifyListeners({ id, before: previous || null, after: this.progress[id] || null, source });
+            return true;
+        } catch (error) {
+            console.error('Failed to save progress:', error);
+            this.lastError = error;
+            
+            if (previous) {
+                this.progress[id] = previous;
+            } else {
+                delete this.progress[id];
+            }
+            return false;
+        }
+    }
+    
+    isQuotaError() {
+        return this.lastError?.name === 'QuotaExceededError';
+    }
+    
+    // ---------- Revisions & tombstones ----------
+    // Revisions order changes for DeviceSync; removals are kept in a TombstoneStore (storage.js)
+    getTombstones() {
+        return this.tombstones.all();
+    }
+    
+    nextRevision(key) {
+        return TombstoneStore.nextRevision(this.progress[key], this.tombstones.get(key));
+    }
+    
+    // After a write succeeded: a removed entry leaves a tombstone, a stored one clears it
+    recordRemoval(key, previous, revision = this.nextRevision(key), deletedAt = Date.now()) {
+        this.tombstones.set(key, this.progress[key] || !previous ? null : {
+            id: previous.id,
+            mediaType: previous.mediaType || 'anime',
+            revision,
+            deletedAt
+        });
+    }
+    
+    // Store another device's copy of an entry, or its removal, as it is. Its revision is
+    // kept, so the write doesn't count as a local change. Removals carry the other
+    // device's tombstone as `entry`.
+    async applySyncedEntry(key, { revision, deleted, entry, updatedAt }) {
+        const previous = this.progress[key];
+        
+        if (deleted && !previous) {
+            this.tombstones.set(key, { ...entry, revision, deletedAt: updatedAt });
+            return true;
+        }
+        
+        if (deleted) {
+            delete this.progress[key];
+        } else {
+            this.progress[key] = { ...entry, revision };
+        }
+        
+        const saved = await this.saveProgress(key, previous, CONFIG.historySources.SYNC);
+        if (saved) this.recordRemoval(key, previous, revision, updatedAt);
+        return saved;
+    }
+    
+    // Move an entry's (or tombstone's) revision past another device's without changing it
+    // otherwise, when the local copy wins a sync conflict. Listeners aren't told.
+    async raiseRevision(key, revision) {
+        const entry = this.progress[key];
+        if (entry) {
+            await this.storage.put(key, { ...entry, revision });
+            this.progress[key] = { ...entry, revision };
+        } else if (this.tombstones.get(key)) {
+            this.tombstones.set(key, { ...this.tombstones.get(key), revision });
+        }
+    }
+    
+    // Build the history event for a change, or null if neither progress, status nor a
+    // rewatch moved. Anime events record episodes; the other media types record chapters
+    // and volumes. While rewatching, `rewatch` is the position in the current pass.
+    createHistoryEvent(before, after, source) {
+        const isRead = StorageMigrator.isReadType(after.mediaType);
+        const field = Utils.getProgressFields(after.mediaType).current;
+        const progressChanged = (before?.[field] || 0) !== (after[field] || 0);
+        const volumeChanged = isRead && (before?.currentVolume || 0) !== (after.currentVolume || 0);
+        const statusChanged = before?.status !== after.status;
+        const rewatchToggled = Boolean(before?.rewatching) !== Boolean(after.rewatching);
+        const rewatchMoved = Boolean(before?.rewatching) && (before.rewatchProgress || 0) !== (after.rewatchProgress || 0);
+        const rewatchCounted = (before?.rewatchCount || 0) !== (after.rewatchCount || 0);
+        
+        if (before && !progressChanged && !volumeChanged && !statusChanged && !rewatchToggled && !rewatchMoved && !rewatchCounted) return null;
+        
+        const counters = isRead
+            ? {
+                chapter: after.currentChapter || 0,
+                ...(before && progressChanged ? { previousChapter: before.currentChapter || 0 } : {}),
+                ...(after.currentVolume ? { volume: after.currentVolume } : {}),
+                ...(before && volumeChanged ? { previousVolume: before.currentVolume || 0 } : {})
+            }
+            : {
+                episode: after.currentEpisode || 0,
+                ...(before && progressChanged ? { previousEpisode: before.currentEpisode || 0 } : {})
+            };
+        
+        const rewatch = {
+            ...(after.rewatching || rewatchToggled ? { rewatch: after.rewatchProgress || 0 } : {}),
+            ...(rewatchMoved ? { previousRewatch: before.rewatchProgress || 0 } : {}),
+            ...(before && rewatchToggled ? { rewatching: Boolean(after.rewatching) } : {}),
+            ...(before && rewatchCounted ? { rewatchCount: after.rewatchCount || 0 } : {})
+        };
+        
+        return {
+            at: after.updatedAt,
+            source,
+            ...counters,
+            ...rewatch,
+            status: after.status,
+            ...(before && statusChanged ? { previousStatus: before.status } : {})
+        };
+    }
+    
+    // Start and finish dates and the rewatch flag that follow from a change. Dates the
+    // caller set are kept, and imports and synced entries are stored exactly as they come.
+    static applyStatusRules(before, after, source) {
+        if (source === CONFIG.historySources.IMPORT || source === CONFIG.historySources.SYNC) return after;
+        
+        const today = Utils.toDay();
+        const current = Utils.getEntryProgress(after).current;
+        const completed = after.status === 'completed';
+        const becameCompleted = Boolean(before) && completed && before.status !== 'completed';
+        const becameActive = Utils.getStatusGroup(after.status) === 'watching' && before?.status !== after.status;
+        const firstProgress = Boolean(before) && Utils.getEntryProgress(before).current === 0 && current > 0;
+        const next = { ...after };
+        
+        if (!next.startedAt && (becameActive || firstProgress || becameCompleted)) {
+            next.startedAt = today;
+        }
+        if (becameCompleted && (!next.finishedAt || next.finishedAt === before.finishedAt)) {
+            next.finishedAt = today;
+        }
+        // Rewatching is a second pass over a completed title; it ends with the completion
+        if (next.rewatching && !completed) {
+            next.rewatching = false;
+        }
+        return next;
+    }
+    
+    // Update data for starting a rewatch (or reread) of a completed entry
+    static startRewatch() {
+        return { rewatching: true, rewatchProgress: 0 };
+    }
+    
+    // Update data for moving the current rewatch to `value`. Reaching the total finishes
+    // the pass and counts it; the original progress and finish date are left alone.
+    static moveRewatch(entry, value) {
+        const { current, total } = Utils.getEntryProgress(entry);
+        const length = total || current;
+        
+        if (length && value >= length) {
+            return { rewatchProgress: length, rewatching: false, rewatchCount: (entry.rewatchCount || 0) + 1 };
+        }
+        return { rewatchProgress: Math.max(0, value) };
+    }
+    
+    // History is append-only: every write keeps the existing events and may add one
+    withHistory(before, after, source) {
+        const event = this.createHistoryEvent(before, after, source);
+        return {
+            ...after,
+            history: [...(before?.history || after.history || []), ...(event ? [event] : [])]
+        };
+    }
+    
+    // Entries are stored under StorageMigrator.entryKey(mediaType, id); the other
+    // methods take that key
+    async addEntry(mediaType, id, data, { source = CONFIG.historySources.MODAL } = {}) {
+        const key = StorageMigrator.entryKey(mediaType, id);
+        const previous = this.progress[key];
+        this.progress[key] = this.withHistory(previous, ProgressTracker.applyStatusRules(previous, {
+            ...data,
+            id: String(id),
+            mediaType,
+            // Re-adding keeps the original date; imports bring their own
+            addedAt: previous?.addedAt ?? data.addedAt ?? Date.now(),
+            updatedAt: Date.now(),
+            revision: this.nextRevision(key)
+        }, source), source);
+        
+        const saved = await this.saveProgress(key, previous, source);
+        if (saved) this.recordRemoval(key, previous);
+        return saved;
+    }
+    
+    addAnime(id, data, options) {
+        return this.addEntry('anime', id, data, options);
+    }
+    
+    // Add several titles of one media type; `items` are entry data plus `id`. Stops at the
+    // first failed write (e.g. storage full) and resolves with how many were added.
+    async addEntries(mediaType, items, options) {
+        let added = 0;
+        for (const { id, ...data } of items) {
+            if (!(await this.addEntry(mediaType, id, data, options))) break;
+            added++;
+        }
+        return added;
+    }
+    
+    async updateEntry(key, data, { source = CONFIG.historySources.MODAL } = {}) {
+        const previous = this.progress[key];
+        if (previous) {
+            this.progress[key] = this.withHistory(previous, ProgressTracker.applyStatusRules(previous, {
+                ...previous,
+                ...data,
+                updatedAt: Date.now(),
+                revision: this.nextRevision(key)
+            }, source), source);
+            return this.saveProgress(key, previous, source);
+        }
+        return false;
+    }
+    
+    async removeEntry(key, { source = CONFIG.historySources.MODAL } = {}) {
+        const previous = this.progress[key];
+        if (previous) {
+            const revision = this.nextRevision(key);
+            delete this.progress[key];
+            
+            const saved = await this.saveProgress(key, previous, source);
+            if (saved) this.recordRemoval(key, previous, revision);
+            return saved;
+        }
+        return false;
+    }
+    
+    // Put an entry back to an earlier snapshot (null removes it). Used by undo/redo,
+    // so the snapshot's fields come back but its history keeps growing.
+    async restoreEntry(key, snapshot, { source }) {
+        const previous = this.progress[key];
+        const revision = this.nextRevision(key);
+        if (snapshot) {
+            this.progress[key] = this.withHistory(previous, {
+                ...snapshot,
+                updatedAt: Date.now(),
+                revision
+            }, source);
+        } else {
+            delete this.progress[key];
+        }
+        
+        const saved = await this.saveProgress(key, previous, source);
+        if (saved) this.recordRemoval(key, previous, revision);
+        return saved;
+    }
+    
+    getHistory(key) {
+        return this.progress[key]?.history || [];
+    }
+    
+    getEntry(key) {
+        return this.progress[key] || null;
+    }
+    
+    // currentEpisode is the unbroken run watched from episode 1; episodes ticked off
+    // beyond it (skipping ahead, watching out of order) are kept in watchedEpisodes
+    static isEpisodeWatched(entry, episode) {
+        return episode <= (entry?.currentEpisode || 0) || (entry?.watchedEpisodes || []).includes(episode);
+    }
+    
+    // The currentEpisode and watchedEpisodes fields after ticking or unticking one episode
+    static markEpisode(entry, episode, watched) {
+        let currentEpisode = entry.currentEpisode || 0;
+        const marked = new Set(entry.watchedEpisodes || []);
+        
+        if (watched) {
+            marked.add(episode);
+        } else if (episode <= currentEpisode) {
+            // Unticking inside the run keeps the episodes after it
+            for (let number = episode + 1; number <= currentEpisode; number++) {
+                marked.add(number);
+            }
+            currentEpisode = episode - 1;
+        } else {
+            marked.delete(episode);
+        }
+        
+        while (marked.has(currentEpisode + 1)) {
+            currentEpisode++;
+        }
+        
+        return {
+            currentEpisode,
+            watchedEpisodes: [...marked].filter(number => number > currentEpisode).sort((a, b) => a - b)
+        };
+    }
+    
+    // Episodes (or chapters) seen again: every finished pass plus the one in progress
+    static getRepeatedProgress(entry) {
+        const { current, total } = Utils.getEntryProgress(entry);
+        return (entry.rewatchCount || 0) * (total || current) + (entry.rewatching ? entry.rewatchProgress || 0 : 0);
+    }
+    
+    // Entries keyed by StorageMigrator.entryKey(), optionally limited to one media type
+    getAllEntries(mediaType = null) {
+        if (!mediaType) return this.progress;
+        
+        return Object.fromEntries(Object.entries(this.progress)
+            .filter(([_, data]) => (data.mediaType || 'anime') === mediaType));
+    }
+    
+    getAllAnime() {
+        return this.getAllEntries('anime');
+    }
+    
+    // Custom list names (`field` 'lists') or tags ('tags') used anywhere in the list, sorted.
+    // A custom list exists for as long as at least one entry belongs to it.
+    getLabels(field) {
+        return Utils.parseNames(Object.values(this.progress).flatMap(entry => entry[field] || []))
+            .sort((a, b) => a.localeCompare(b));
+    }
+    
+    // `status` may be a single status or a list of them
+    getEntriesByStatus(status, mediaType = null) {
+        const statuses = [].concat(status);
+        return Object.fromEntries(Object.entries(this.getAllEntries(mediaType))
+            .filter(([_, data]) => statuses.includes(data.status)));
+    }
+    
+    // Totals for the whole list, plus the same totals per media type under `byType`.
+    // `durations` maps entry keys to real episode lengths in minutes; others use the episodeLength setting.
+    getStats(durations = {}) {
+        const entries = Object.values(this.progress);
+        const stats = this.summarize(entries, durations);
+        
+        stats.byType = Object.keys(CONFIG.mediaTypes).reduce((acc, mediaType) => ({
+            ...acc,
+            [mediaType]: this.summarize(entries.filter(entry => (entry.mediaType || 'anime') === mediaType), durations)
+        }), {});
+        
+        return stats;
+    }
+    
+    summarize(entries, durations = {}) {
+        const stats = {
+            total: entries.length,
+            watching: 0,
+            reading: 0,
+            completed: 0,
+            onHold: 0,
+            dropped: 0,
+            planToWatch: 0,
+            planToRead: 0,
+            totalEpisodes: 0, // Rewatched episodes and reread chapters are included in the totals
+            totalHours: 0,
+            totalChapters: 0,
+            totalVolumes: 0,
+            rewatchedEpisodes: 0,
+            rereadChapters: 0,
+            rewatches: 0, // Finished rewatch and reread passes
+            averageScore: 0, // On the stored 10-point scale; Scoring.formatAverage() converts it
+            completionRate: 0,
+            dropRate: 0
+        };
+        
+        let totalRatings = 0;
+        let totalScore = 0;
+        
+        entries.forEach(entry => {
+            switch (entry.status) {
+                case 'watching': stats.watching++; break;
+                case 'reading': stats.reading++; break;
+                case 'completed': stats.completed++; break;
+                case 'on_hold': stats.onHold++; break;
+                case 'dropped': stats.dropped++; break;
+                case 'plan_to_watch': stats.planToWatch++; break;
+                case 'plan_to_read': stats.planToRead++; break;
+            }
+            
+            const repeated = ProgressTracker.getRepeatedProgress(entry);
+            stats.rewatches += entry.rewatchCount || 0;
+            
+            if (StorageMigrator.isReadType(entry.mediaType)) {
+                stats.totalChapters += (entry.currentChapter || 0) + repeated;
+                stats.rereadChapters += repeated;
+                stats.totalVolumes += entry.currentVolume || 0;
+            } else {
+                const episodes = (entry.currentEpisode || 0) + repeated;
+                stats.totalEpisodes += episodes;
+                stats.rewatchedEpisodes += repeated;
+                const length = durations[StorageMigrator.entryKey('anime', entry.id)];
+                stats.totalHours += Utils.estimateWatchTime(episodes, length);
+            }
+            
+            const rating = Scoring.normalize(entry.rating);
+            if (rating !== null) {
+                totalScore += rating;
+                totalRatings++;
+            }
+        });
+        
+        stats.averageScore = totalRatings > 0 ? (totalScore / totalRatings).toFixed(1) : 0;
+        
+        // Rates are out of the titles actually started, so plan-to lists don't dilute them
+        const started = stats.total - stats.planToWatch - stats.planToRead;
+        if (started > 0) {
+            stats.completionRate = Math.round((stats.completed / started) * 100);
+            stats.dropRate = Math.round((stats.dropped / started) * 100);
+        }
+        
+        return stats;
+    }
+    
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    notifyListeners(change) {
+        this.listeners.forEach(listener => listener(this.progress, change));
+    }
+}
+
+// ==================== UNDO MANAGER ====================
+class UndoManager {
+    constructor(tracker, limit = CONFIG.undoLimit) {
+        this.tracker = tracker;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingGroup = null;
+        this.applying = false;
+        
+        tracker.subscribe((_, change) => this.record(change));
+    }
+    
+    // Changes that came in through sync aren't undoable: the other side still has them, so
+    // undoing one here would just be another change to sync
+    record(change) {
+        if (!change || this.applying || change.source === CONFIG.historySources.SYNC) return;
+        
+        if (this.pendingGroup) {
+            this.pendingGroup.changes.push(change);
+            return;
+        }
+        
+        this.push({ label: this.describeChange(change), changes: [change] });
+    }
+    
+    push(step) {
+        this.undoStack.push(step);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+    
+    // Record every change made inside `operation` as a single undo step
+    async transaction(label, operation) {
+        this.pendingGroup = { label, changes: [] };
+        try {
+            return await operation();
+        } finally {
+            const group = this.pendingGroup;
+            this.pendingGroup = null;
+            if (group.changes.length > 0) {
+                this.push(group);
+            }
+        }
+    }
+    
+    describeChange({ before, after }) {
+        if (!before) return `Added "${after.title}"`;
+        if (!after) return `Removed "${before.title}"`;
+        
+        const previous = Utils.getEntryProgress(before);
+        const current = Utils.getEntryProgress(after);
+        if (previous.current !== current.current) {
+            return `"${after.title}" ${current.unit.toLowerCase()} ${previous.current} → ${current.current}`;
+        }
+        return `Updated "${after.title}"`;
+    }
+    
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    async undo() {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+        
+        await this.apply([...step.changes].reverse(), 'before', CONFIG.historySources.UNDO);
+        this.redoStack.push(step);
+        return step;
+    }
+    
+    async redo() {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+        
+        await this.apply(step.changes, 'after', CONFIG.historySources.REDO);
+        this.undoStack.push(step);
+        return step;
+    }
+    
+    async apply(changes, side, source) {
+        this.applying = true;
+        try {
+            for (const change of changes) {
+                await this.tracker.restoreEntry(change.id, change[side], { source });
+            }
+        } finally {
+            this.applying = false;
+        }
+    }
+}
+
+// ==================== NOTIFICATION SYSTEM ====================
+class NotificationSystem {
+    constructor() {
+        this.container = document.getElementById('notificationContainer');
+        this.notifications = new Map();
+    }
+    
+    // `action` adds a button to the toast, e.g. { label: 'Undo', handler: () => ... }
+    show(message, type = CONFIG.notifications.INFO, duration = settings.get('notificationDuration'), action = null) {
+        const id = Utils.generateId();
+        const notification = this.createNotification(id, message, type, action);
+        
+        this.container.appendChild(notification);
+        this.notifications.set(id, notification);
+        
+        // Trigger show animation
+        setTimeout(() => notification.classList.add('show'), 100);
+        
+        // Auto remove
+        if (duration > 0) {
+            setTimeout(() => this.remove(id), duration);
+        }
+        
+        return id;
+    }
+    
+    createNotification(id, message, type, action) {
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.dataset.id = id;
+        
+        const icon = this.getIcon(type);
+        notification.innerHTML = html`
+            <div class="d-flex align-items-center">
+                <i class="${icon} me-2"></i>
+                <span>${message}</span>
+                ${action ? html`<button class="btn btn-sm btn-link notification-action ms-auto">${action.label}</button>` : ''}
+                <button class="btn-close ${action ? 'ms-2' : 'ms-auto'}" aria-label="Dismiss"></button>
+            </div>
+        `;
+        
+        notification.querySelector('.btn-close').addEventListener('click', () => this.remove(id));
+        
+        if (action) {
+            notification.querySelector('.notification-action').addEventListener('click', () => {
+                this.remove(id);
+                action.handler();
+            });
+        }
+        
+        return notification;
+    }
+    
+    getIcon(type) {
+        const icons = {
+            [CONFIG.notifications.SUCCESS]: 'fas fa-check-circle',
+            [CONFIG.notifications.ERROR]: 'fas fa-exclamation-circle',
+            [CONFIG.notifications.WARNING]: 'fas fa-exclamation-triangle',
+            [CONFIG.notifications.INFO]: 'fas fa-info-circle'
+        };
+        return icons[type] || icons[CONFIG.notifications.INFO];
+    }
+    
+    remove(id) {
+        const notification = this.notifications.get(id);
+        if (notification) {
+            notification.classList.remove('show');
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+                this.notifications.delete(id);
+            }, 300);
+        }
+    }
+    
+    clear() {
+        this.notifications.forEach((_, id) => this.remove(id));
+    }
+}
+
+// ==================== IMPORT / EXPORT ====================
+// MyAnimeList writes status either as text or as its numeric list id
+const MAL_STATUS_MAP = {
+    'watching': 'watching',
+    'completed': 'completed',
+    'on-hold': 'on_hold',
+    'on hold': 'on_hold',
+    'dropped': 'dropped',
+    'plan to watch': 'plan_to_watch',
+    '1': 'watching',
+    '2': 'completed',
+    '3': 'on_hold',
+    '4': 'dropped',
+    '6': 'plan_to_watch'
+};
+
+const MAL_STATUS_LABELS = {
+    'watching': 'Watching',
+    'completed': 'Completed',
+    'on_hold': 'On-Hold',
+    'dropped': 'Dropped',
+    'plan_to_watch': 'Plan to Watch'
+};
+
+const ANILIST_STATUS_MAP = {
+    'CURRENT': 'watching',
+    'REPEATING': 'completed', // Rewatching, see fromAniListJSON()
+    'COMPLETED': 'completed',
+    'PAUSED': 'on_hold',
+    'DROPPED': 'dropped',
+    'PLANNING': 'plan_to_watch'
+};
+
+const ANILIST_STATUS_LABELS = {
+    'watching': 'CURRENT',
+    'completed': 'COMPLETED',
+    'on_hold': 'PAUSED',
+    'dropped': 'DROPPED',
+    'plan_to_watch': 'PLANNING'
+};
+
+// AniList's default advanced scoring categories, by CONFIG.scoring.categories key
+const ANILIST_ADVANCED_SCORES = {
+    story: 'Story',
+    animation: 'Visuals',
+    sound: 'Audio',
+    characters: 'Characters',
+    enjoyment: 'Enjoyment'
+};
+
+// Entry fields that may be missing, with the value that stands for "not set". Imports only
+// change the ones the file has, so formats without them keep what is already in the list.
+const OPTIONAL_ENTRY_FIELDS = {
+    lists: [],
+    tags: [],
+    subScores: {},
+    notes: '',
+    startedAt: null,
+    finishedAt: null,
+    rewatchCount: 0,
+    rewatching: false,
+    rewatchProgress: 0
+};
+
+// Fields of a progress history event (see ProgressTracker.createHistoryEvent()) and their types
+const HISTORY_EVENT_FIELDS = {
+    at: 'number',
+    source: 'string',
+    episode: 'number',
+    previousEpisode: 'number',
+    chapter: 'number',
+    previousChapter: 'number',
+    volume: 'number',
+    previousVolume: 'number',
+    rewatch: 'number',
+    previousRewatch: 'number',
+    rewatching: 'boolean',
+    rewatchCount: 'number',
+    status: 'string',
+    previousStatus: 'string'
+};
+
+class ImportExportService {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.formats = {
+            native: { extension: 'json', mimeType: 'application/json' },
+            mal: { extension: 'xml', mimeType: 'application/xml' },
+            anilist: { extension: 'json', mimeType: 'application/json' }
+        };
+    }
+    
+    // ---------- Export ----------
+    export(format) {
+        const entries = this.tracker.getAllAnime();
+        
+        switch (format) {
+            case 'native': return this.toNativeJSON(this.tracker.getAllEntries());
+            case 'mal': return this.toMALXML(entries);
+            case 'anilist': return this.toAniListJSON(entries);
+            default: throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+    
+    download(format) {
+        const { extension, mimeType } = this.formats[format];
+        const blob = new Blob([this.export(format)], { type: mimeType });
+        const date = new Date().toISOString().slice(0, 10);
+        
+        Utils.downloadBlob(blob, `otakutrack-${format}-${date}.${extension}`);
+    }
+    
+    toNativeJSON(entries) {
+        return JSON.stringify({
+            app: 'OtakuTrack',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            entries
+        }, null, 2);
+    }
+    
+    toMALXML(entries) {
+        const list = Object.entries(entries);
+        const count = status => list.filter(([_, data]) => data.status === status).length;
+        const cdata = value => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+        
+        const animeXML = list.map(([id, data]) => `
+    <anime>
+        <series_animedb_id>${parseInt(id) || 0}</series_animedb_id>
+        <series_title>${cdata(data.title)}</series_title>
+        <series_episodes>${data.totalEpisodes || 0}</series_episodes>
+        <my_watched_episodes>${data.currentEpisode || 0}</my_watched_episodes>
+        <my_score>${Scoring.toDisplay(data.rating, 'point10') || 0}</my_score>
+        <my_status>${MAL_STATUS_LABELS[data.status] || 'Plan to Watch'}</my_status>
+        <my_start_date>${data.startedAt || '0000-00-00'}</my_start_date>
+        <my_finish_date>${data.finishedAt || '0000-00-00'}</my_finish_date>
+        <my_times_watched>${data.rewatchCount || 0}</my_times_watched>
+        <my_rewatching>${data.rewatching ? 1 : 0}</my_rewatching>
+        <my_rewatching_ep>${data.rewatching ? data.rewatchProgress || 0 : 0}</my_rewatching_ep>
+        <my_comments>${cdata(data.notes)}</my_comments>
+        <my_tags>${cdata((data.tags || []).join(', '))}</my_tags>
+        <update_on_import>1</update_on_import>
+    </anime>`).join('');
+        
+        return `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+    <myinfo>
+        <user_export_type>1</user_export_type>
+        <user_total_anime>${list.length}</user_total_anime>
+        <user_total_watching>${count('watching')}</user_total_watching>
+        <user_total_completed>${count('completed')}</user_total_completed>
+        <user_total_onhold>${count('on_hold')}</user_total_onhold>
+        <user_total_dropped>${count('dropped')}</user_total_dropped>
+        <user_total_plantowatch>${count('plan_to_watch')}</user_total_plantowatch>
+    </myinfo>${animeXML}
+</myanimelist>
+`;
+    }
+    
+    toAniListJSON(entries) {
+        const lists = Object.keys(ANILIST_STATUS_LABELS).map(status => ({
+            name: Utils.getStatusLabel(status),
+            status: ANILIST_STATUS_LABELS[status],
+            entries: Object.entries(entries)
+                .filter(([_, data]) => data.status === status)
+                .map(([id, data]) => ImportExportService.toAniListEntry(id, data))
+        }));
+        
+        return JSON.stringify({ data: { MediaListCollection: { lists } } }, null, 2);
+    }
+    
+    // One MediaList entry; also what AccountSync saves to a linked AniList account
+    static toAniListEntry(id, data) {
+        return {
+            // A rewatch is its own status on AniList, with progress counting the rewatch
+            status: data.rewatching ? 'REPEATING' : ANILIST_STATUS_LABELS[data.status],
+            progress: (data.rewatching ? data.rewatchProgress : data.currentEpisode) || 0,
+            repeat: data.rewatchCount || 0,
+            startedAt: ImportExportService.toFuzzyDate(data.startedAt),
+            completedAt: ImportExportService.toFuzzyDate(data.finishedAt),
+            // As a POINT_10_DECIMAL list; scoreRaw is AniList's own 100-point value
+            score: Scoring.normalize(data.rating) || 0,
+            scoreRaw: Scoring.toDisplay(data.rating, 'point100') || 0,
+            advancedScores: ImportExportService.toAdvancedScores(data.subScores),
+            notes: data.notes || null,
+            customLists: (data.lists || []).reduce((acc, name) => ({ ...acc, [name]: true }), {}),
+            updatedAt: data.updatedAt ? Math.floor(data.updatedAt / 1000) : null,
+            media: {
+                idMal: parseInt(id) || null,
+                title: { romaji: data.title },
+                episodes: data.totalEpisodes || null,
+                coverImage: { large: data.image || null }
+            }
+        };
+    }
+    
+    static toAdvancedScores(subScores) {
+        return Object.entries(ANILIST_ADVANCED_SCORES).reduce((scores, [category, name]) => (
+            { ...scores, [name]: Scoring.normalize(subScores?.[category]) || 0 }
+        ), {});
+    }
+    
+    static fromAdvancedScores(advancedScores) {
+        return Object.entries(ANILIST_ADVANCED_SCORES).reduce((scores, [category, name]) => (
+            { ...scores, [category]: ImportExportService.fromAniListScore(advancedScores?.[name]) }
+        ), {});
+    }
+    
+    // Scores come in the exporting user's format. Anything above 10 must be a 100-point score;
+    // 5-star and smiley lists are indistinguishable from 10-point ones, so they read as points.
+    static fromAniListScore(score, scoreRaw) {
+        if (scoreRaw > 0) return Scoring.fromDisplay(scoreRaw, 'point100');
+        return score > 10 ? Scoring.fromDisplay(score, 'point100') : Scoring.normalize(score);
+    }
+    
+    // AniList dates are { year, month, day } with any part possibly null
+    static toFuzzyDate(day) {
+        if (!Utils.isDay(day)) return { year: null, month: null, day: null };
+        const [year, month, date] = day.split('-').map(Number);
+        return { year, month, day: date };
+    }
+    
+    static fromFuzzyDate(date) {
+        if (!date?.year || !date.month || !date.day) return null;
+        return Utils.toDay(new Date(date.year, date.month - 1, date.day));
+    }
+    
+    // ---------- Import ----------
+    detectFormat(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('<')) return 'mal';
+        
+        const json = JSON.parse(trimmed);
+        if (json.app === 'OtakuTrack' && json.entries) return 'native';
+        if ((json.data || json).MediaListCollection) return 'anilist';
+        
+        throw new Error('Unrecognized file format');
+    }
+    
+    parse(text, format = this.detectFormat(text)) {
+        switch (format) {
+            case 'native': return this.fromNativeJSON(text);
+            case 'mal': return this.fromMALXML(text);
+            case 'anilist': return this.fromAniListJSON(text);
+            default: throw new Error(`Unknown import format: ${format}`);
+        }
+    }
+    
+    fromNativeJSON(text) {
+        const { entries } = JSON.parse(text);
+        return Object.fromEntries(Object.entries(entries || {}).map(([key, data]) => {
+            const mediaType = CONFIG.mediaTypes[data.mediaType] ? data.mediaType : 'anime';
+            const id = data.id || key.split(':').pop();
+            return [StorageMigrator.entryKey(mediaType, id), this.normalizeEntry({ ...data, id, mediaType })];
+        }));
+    }
+    
+    fromMALXML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('Invalid MyAnimeList XML file');
+        }
+        
+        const read = (node, tag) => node.querySelector(tag)?.textContent.trim() || '';
+        const entries = {};
+        
+        doc.querySelectorAll('myanimelist > anime').forEach(node => {
+            const id = read(node, 'series_animedb_id');
+            if (!id || id === '0') return;
+            
+            entries[id] = this.normalizeEntry({
+                id,
+                title: read(node, 'series_title'),
+                currentEpisode: parseInt(read(node, 'my_watched_episodes')) || 0,
+                totalEpisodes: parseInt(read(node, 'series_episodes')) || null,
+                status: MAL_STATUS_MAP[read(node, 'my_status').toLowerCase()],
+                rating: read(node, 'my_score'),
+                ...(read(node, 'my_tags') ? { tags: read(node, 'my_tags') } : {}),
+                notes: read(node, 'my_comments'),
+                startedAt: read(node, 'my_start_date'),
+                finishedAt: read(node, 'my_finish_date'),
+                ...(node.querySelector('my_times_watched') ? { rewatchCount: read(node, 'my_times_watched') } : {}),
+                ...(node.querySelector('my_rewatching') ? {
+                    rewatching: read(node, 'my_rewatching') === '1',
+                    rewatchProgress: read(node, 'my_rewatching_ep')
+                } : {})
+            });
+        });
+        
+        return entries;
+    }
+    
+    fromAniListJSON(text) {
+        const json = JSON.parse(text);
+        const collection = (json.data || json).MediaListCollection;
+        const entries = {};
+        
+        (collection.lists || []).forEach(list => {
+            (list.entries || []).forEach(entry => {
+                const media = entry.media || {};
+                // Our ids are MAL ids, so entries without a MAL mapping cannot be matched
+                if (!media.idMal) return;
+                
+                const status = entry.status || list.status;
+                // REPEATING entries were completed before; their progress is the rewatch's
+                const rewatch = status === 'REPEATING'
+                    ? { rewatching: true, rewatchProgress: entry.progress || 0 }
+                    : {};
+                entries[media.idMal] = this.normalizeEntry({
+                    id: media.idMal,
+                    title: media.title?.romaji || media.title?.english || `Anime ${media.idMal}`,
+                    image: media.coverImage?.large || null,
+                    currentEpisode: rewatch.rewatching ? media.episodes || entry.progress || 0 : entry.progress || 0,
+                    totalEpisodes: media.episodes || null,
+                    status: ANILIST_STATUS_MAP[status],
+                    ...rewatch,
+                    ...(entry.repeat !== undefined ? { rewatchCount: entry.repeat } : {}),
+                    startedAt: ImportExportService.fromFuzzyDate(entry.startedAt),
+                    finishedAt: ImportExportService.fromFuzzyDate(entry.completedAt),
+                    rating: ImportExportService.fromAniListScore(entry.score, entry.scoreRaw),
+                    ...(entry.advancedScores ? { subScores: ImportExportService.fromAdvancedScores(entry.advancedScores) } : {}),
+                    // AniList's custom lists map each list name to whether the entry is in it
+                    ...(entry.customLists ? {
+                        lists: Object.entries(entry.customLists).filter(([, included]) => included).map(([name]) => name)
+                    } : {}),
+                    notes: entry.notes,
+                    updatedAt: entry.updatedAt ? entry.updatedAt * 1000 : null
+                });
+            });
+        });
+        
+        return entries;
+    }
+    
+    normalizeEntry(data) {
+        const mediaType = data.mediaType || 'anime';
+        const counters = StorageMigrator.isReadType(mediaType)
+            ? {
+                currentChapter: parseInt(data.currentChapter) || 0,
+                totalChapters: parseInt(data.totalChapters) || null,
+                currentVolume: parseInt(data.currentVolume) || 0,
+                totalVolumes: parseInt(data.totalVolumes) || null
+            }
+            : {
+                currentEpisode: parseInt(data.currentEpisode) || 0,
+                totalEpisodes: parseInt(data.totalEpisodes) || null,
+                ...(Array.isArray(data.watchedEpisodes) ? {
+                    watchedEpisodes: data.watchedEpisodes.map(number => parseInt(number)).filter(number => number > 0)
+                } : {})
+            };
+        
+        return {
+            id: String(data.id),
+            mediaType,
+            title: data.title || 'Unknown title',
+            image: data.image || null,
+            ...counters,
+            status: data.status || Utils.getDefaultStatus(mediaType),
+            rating: Scoring.normalize(data.rating),
+            // Left out when the file has none, so merging keeps the ones already in the list
+            ...(data.lists !== undefined ? { lists: Utils.parseNames(data.lists) } : {}),
+            ...(data.tags !== undefined ? { tags: Utils.parseNames(data.tags) } : {}),
+            ...(data.subScores !== undefined ? { subScores: Scoring.normalizeCategories(data.subScores) } : {}),
+            ...(data.notes ? { notes: String(data.notes) } : {}),
+            ...(Utils.isDay(data.startedAt) ? { startedAt: data.startedAt } : {}),
+            ...(Utils.isDay(data.finishedAt) ? { finishedAt: data.finishedAt } : {}),
+            ...(data.rewatchCount !== undefined ? { rewatchCount: Math.max(0, parseInt(data.rewatchCount) || 0) } : {}),
+            ...(data.rewatching !== undefined ? {
+                rewatching: Boolean(data.rewatching) && data.status === 'completed',
+                rewatchProgress: Math.max(0, parseInt(data.rewatchProgress) || 0)
+            } : {}),
+            ...(Array.isArray(data.history) ? { history: ImportExportService.normalizeHistory(data.history) } : {}),
+            ...(Number.isFinite(data.addedAt) ? { addedAt: data.addedAt } : {}),
+            updatedAt: data.updatedAt || null
+        };
+    }
+    
+    // Events without a time are dropped, as are fields of the wrong type
+    static normalizeHistory(history) {
+        return history
+            .filter(event => event && Number.isFinite(event.at))
+            .map(event => Object.entries(HISTORY_EVENT_FIELDS)
+                .filter(([field, type]) => typeof event[field] === type && (type !== 'number' || Number.isFinite(event[field])))
+                .reduce((acc, [field]) => ({ ...acc, [field]: event[field] }), {}));
+    }
+    
+    // ---------- Preview & merge ----------
+    preview(incoming) {
+        const current = this.tracker.getAllEntries();
+        const diff = { added: [], updated: [], conflicts: [], unchanged: [] };
+        
+        Object.entries(incoming).forEach(([id, data]) => {
+            const existing = current[id];
+            
+            if (!existing) {
+                diff.added.push({ id, incoming: data });
+                return;
+            }
+            
+            const fields = StorageMigrator.isReadType(data.mediaType)
+                ? ['currentChapter', 'totalChapters', 'currentVolume', 'totalVolumes']
+                : ['currentEpisode', 'totalEpisodes'];
+            const changes = [
+                ...[...fields, 'status', 'rating'].filter(field => (existing[field] ?? null) != (data[field] ?? null)),
+                // Only compared when the file has them (see normalizeEntry)
+                ...Object.entries(OPTIONAL_ENTRY_FIELDS)
+                    .filter(([field, unset]) => data[field] !== undefined &&
+                        JSON.stringify(existing[field] ?? unset) !== JSON.stringify(data[field]))
+                    .map(([field]) => field)
+            ];
+            
+            if (changes.length === 0) {
+                diff.unchanged.push({ id, existing, incoming: data });
+            } else if (this.isConflict(existing, data)) {
+                diff.conflicts.push({ id, existing, incoming: data, changes });
+            } else {
+                diff.updated.push({ id, existing, incoming: data, changes });
+            }
+        });
+        
+        return diff;
+    }
+    
+    // Local edits newer than the imported entry, or an import that would move progress
+    // backwards, need an explicit decision from the user
+    isConflict(existing, incoming) {
+        if (incoming.updatedAt && existing.updatedAt) {
+            return existing.updatedAt > incoming.updatedAt;
+        }
+        return Utils.getEntryProgress(existing).current > Utils.getEntryProgress(incoming).current;
+    }
+    
+    async merge(diff, { resolveConflicts = [] } = {}) {
+        const result = { added: 0, updated: 0, skipped: diff.unchanged.length };
+        const takeTheirs = new Set(resolveConflicts.map(String));
+        
+        for (const { incoming } of diff.added) {
+            const { updatedAt, id, mediaType, ...data } = incoming;
+            if (await this.tracker.addEntry(mediaType, id, data, { source: CONFIG.historySources.IMPORT })) result.added++;
+        }
+        
+        diff.conflicts
+            .filter(({ id }) => !takeTheirs.has(String(id)))
+            .forEach(() => result.skipped++);
+        
+        const updates = [...diff.updated, ...diff.conflicts.filter(({ id }) => takeTheirs.has(String(id)))];
+        for (const { id, existing, incoming } of updates) {
+            const { updatedAt, ...data } = incoming;
+            if (await this.tracker.updateEntry(id, {
+                ...data,
+                title: existing.title || data.title,
+                image: data.image || existing.image,
+                addedAt: existing.addedAt ?? data.addedAt
+            }, { source: CONFIG.historySources.IMPORT })) {
+                result.updated++;
+            }
+        }
+        
+        return result;
+    }
+}
+
+// ==================== ACCOUNT SYNC ====================
+// PKCE (RFC 7636) for the OAuth sign-in. The verifier waits in sessionStorage while the
+// browser is away on the provider's sign-in page.
+class PKCE {
+    static base64url(buffer) {
+        return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+    
+    // 48 random bytes make a 64 character verifier (43-128 allowed)
+    static createVerifier() {
+        return PKCE.base64url(crypto.getRandomValues(new Uint8Array(48)));
+    }
+    
+    static async createChallenge(verifier, method = 'S256') {
+        if (method === 'plain') return verifier;
+        return PKCE.base64url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+    }
+}
+
+// Remote lists of a linked account. Both clients take `request(url, options)`, which adds
+// the account's token and resolves with the parsed JSON, and share one interface:
+// - fetchList(): { entries, remoteIds }. Entries are keyed by MAL id and shaped like
+//   ImportExportService.normalizeEntry(); remoteIds are whatever the site needs to address
+//   an entry later
+// - saveEntry(id, entry, remoteId): { updatedAt, remoteId } for the saved entry
+// - deleteEntry(id, remoteId)
+class MalListClient {
+    constructor(config, request, importer) {
+        this.apiURL = config.apiURL;
+        this.request = request;
+        this.importer = importer;
+    }
+    
+    async getUser() {
+        const user = await this.request(`${this.apiURL}/users/@me`);
+        return { id: user.id, name: user.name };
+    }
+    
+    async fetchList() {
+        const fields = 'num_episodes,list_status{status,score,num_episodes_watched,is_rewatching,num_times_rewatched,start_date,finish_date,updated_at}';
+        const entries = {};
+        let url = `${this.apiURL}/users/@me/animelist?${new URLSearchParams({ fields, limit: 1000, nsfw: 'true' })}`;
+        
+        while (url) {
+            const page = await this.request(url);
+            (page.data || []).forEach(({ node, list_status: status }) => {
+                // During a rewatch MAL's episode count is the rewatch's
+                const rewatching = Boolean(status.is_rewatching);
+                entries[node.id] = this.importer.normalizeEntry({
+                    id: node.id,
+                    title: node.title,
+                    image: node.main_picture?.large || node.main_picture?.medium || null,
+                    totalEpisodes: node.num_episodes || null,
+                    currentEpisode: rewatching ? node.num_episodes || status.num_episodes_watched : status.num_episodes_watched,
+                    status: rewatching ? 'completed' : status.status,
+                    rating: status.score,
+                    startedAt: status.start_date,
+                    finishedAt: status.finish_date,
+                    rewatchCount: status.num_times_rewatched || 0,
+                    rewatching,
+                    rewatchProgress: rewatching ? status.num_episodes_watched : 0,
+                    updatedAt: Date.parse(status.updated_at) || null
+                });
+            });
+            url = page.paging?.next || null;
+        }
+        
+        return { entries, remoteIds: {} };
+    }
+    
+    async saveEntry(id, entry) {
+        const rewatching = Boolean(entry.rewatching);
+        const status = await this.request(`${this.apiURL}/anime/${id}/my_list_status`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                status: entry.status,
+                score: Scoring.toDisplay(entry.rating, 'point10') || 0,
+                num_watched_episodes: (rewatching ? entry.rewatchProgress : entry.currentEpisode) || 0,
+                is_rewatching: rewatching,
+                num_times_rewatched: entry.rewatchCount || 0,
+                ...(entry.startedAt ? { start_date: entry.startedAt } : {}),
+                ...(entry.finishedAt ? { finish_date: entry.finishedAt } : {})
+            })
+        });
+        
+        return { updatedAt: Date.parse(status?.updated_at) || Date.now(), remoteId: null };
+    }
+    
+    async deleteEntry(id) {
+        try {
+            await this.request(`${this.apiURL}/anime/${id}/my_list_status`, { method: 'DELETE' });
+        } catch (error) {
+            // Already gone
+            if (error.status !== 404) throw error;
+        }
+    }
+}
+
+// AniList addresses list entries by its own media and entry ids, so those are kept per
+// MAL id as remoteIds
+const ANILIST_LIST_QUERIES = {
+    viewer: `
+        query {
+            Viewer { id name }
+        }
+    `,
+    list: `
+        query ($userId: Int) {
+            MediaListCollection(userId: $userId, type: ANIME) {
+                lists {
+                    status
+                    entries {
+                        id
+                        status
+                        score(format: POINT_10_DECIMAL)
+                        progress
+                        repeat
+                        notes
+                        startedAt { year month day }
+                        completedAt { year month day }
+                        updatedAt
+                        media { id idMal episodes title { romaji english } coverImage { large } }
+                    }
+                }
+            }
+        }
+    `,
+    media: `
+        query ($idMal: Int) {
+            Media(idMal: $idMal, type: ANIME) { id }
+        }
+    `,
+    save: `
+        mutation ($mediaId: Int, $status: MediaListStatus, $scoreRaw: Int, $progress: Int, $repeat: Int, $startedAt: FuzzyDateInput, $completedAt: FuzzyDateInput) {
+            SaveMediaListEntry(mediaId: $mediaId, status: $status, scoreRaw: $scoreRaw, progress: $progress, repeat: $repeat, startedAt: $startedAt, completedAt: $completedAt) {
+                id
+                updatedAt
+            }
+        }
+    `,
+    remove: `
+        mutation ($id: Int) {
+            DeleteMediaListEntry(id: $id) { deleted }
+        }
+    `
+};
+
+class AniListListClient {
+    constructor(config, request, importer) {
+        this.apiURL = config.apiURL;
+        this.request = request;
+        this.importer = importer;
+    }
+    
+    async query(query, variables = {}) {
+        const response = await this.request(this.apiURL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, variables })
+        });
+        
+        if (response.errors?.length) {
+            throw new Error(`AniList: ${response.errors[0].message}`);
+        }
+        return response.data;
+    }
+    
+    async getUser() {
+        const { Viewer } = await this.query(ANILIST_LIST_QUERIES.viewer);
+        return { id: Viewer.id, name: Viewer.name };
+    }
+    
+    // The list comes back in the shape of AniList's own export, so the importer reads it
+    async fetchList() {
+        const { id } = await this.getUser();
+        const data = await this.query(ANILIST_LIST_QUERIES.list, { userId: id });
+        const remoteIds = {};
+        
+        (data.MediaListCollection?.lists || []).forEach(list => {
+            (list.entries || []).forEach(entry => {
+                if (entry.media?.idMal) {
+                    remoteIds[entry.media.idMal] = { mediaId: entry.media.id, entryId: entry.id };
+                }
+            });
+        });
+        
+        return { entries: this.importer.fromAniListJSON(JSON.stringify({ data })), remoteIds };
+    }
+    
+    async saveEntry(id, entry, remoteId) {
+        const mediaId = remoteId?.mediaId || (await this.query(ANILIST_LIST_QUERIES.media, { idMal: parseInt(id) })).Media?.id;
+        if (!mediaId) {
+            throw new Error(`AniList has no anime for MyAnimeList id ${id}`);
+        }
+        
+        const { status, scoreRaw, progress, repeat, startedAt, completedAt } = ImportExportService.toAniListEntry(id, entry);
+        const { SaveMediaListEntry: saved } = await this.query(ANILIST_LIST_QUERIES.save, {
+            mediaId, status, scoreRaw, progress, repeat, startedAt, completedAt
+        });
+        
+        return { updatedAt: saved.updatedAt * 1000, remoteId: { mediaId, entryId: saved.id } };
+    }
+    
+    async deleteEntry(id, remoteId) {
+        if (remoteId?.entryId) {
+            await this.query(ANILIST_LIST_QUERIES.remove, { id: remoteId.entryId });
+        }
+    }
+}
+
+const ACCOUNT_CLIENTS = {
+    mal: MalListClient,
+    anilist: AniListListClient
+};
+
+// Links MyAnimeList/AniList accounts and keeps their anime lists and the tracker in step.
+// Local changes are queued per account and pushed shortly after they happen; sync() pulls
+// the remote list, applies what changed there and pushes what changed here. State (tokens,
+// the last agreed updatedAt pair per title, queued ids, open conflicts) is kept under
+// CONFIG.storage.accounts.
+class AccountSync {
+    constructor(tracker, importer, { storage = localStorage, session = sessionStorage } = {}) {
+        this.tracker = tracker;
+        this.importer = importer;
+        this.storage = storage;
+        this.session = session;
+        this.listeners = new Set();
+        this.syncing = new Set();
+        this.pushing = new Set();
+        this.applying = null;
+        this.pushTimer = null;
+        this.accounts = this.load();
+        
+        tracker.subscribe((_, change) => this.handleLocalChange(change));
+    }
+    
+    // With a mock server configured, every URL moves there under /mal or /anilist
+    static getConfig(name) {
+        const { mockServer, providers } = CONFIG.accounts;
+        const config = providers[name];
+        if (!mockServer) return config;
+        
+        const mock = url => url.replace(/^https:\/\/[^/]+/, `${mockServer.replace(/\/$/, '')}/${name}`);
+        return {
+            ...config,
+            clientId: config.clientId || 'otakutrack-mock',
+            authorizeURL: mock(config.authorizeURL),
+            tokenURL: mock(config.tokenURL),
+            apiURL: mock(config.apiURL)
+        };
+    }
+    
+    static isConfigured(name) {
+        return Boolean(AccountSync.getConfig(name).clientId);
+    }
+    
+    static getRedirectURI() {
+        return CONFIG.accounts.redirectURI || `${location.origin}${location.pathname}`;
+    }
+    
+    // ---------- State ----------
+    load() {
+        try {
+            return JSON.parse(this.storage.getItem(CONFIG.storage.accounts)) || {};
+        } catch (error) {
+            console.error('Failed to load linked accounts:', error);
+            return {};
+        }
+    }
+    
+    save() {
+        try {
+            this.storage.setItem(CONFIG.storage.accounts, JSON.stringify(this.accounts));
+        } catch (error) {
+            console.error('Failed to save linked accounts:', error);
+        }
+        this.notifyListeners();
+    }
+    
+    getAccount(name) {
+        return this.accounts[name] || null;
+    }
+    
+    getLinked() {
+        return Object.keys(CONFIG.accounts.providers).filter(name => this.accounts[name]);
+    }
+    
+    isSyncing(name) {
+        return this.syncing.has(name);
+    }
+    
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    notifyListeners() {
+        this.listeners.forEach(listener => listener());
+    }
+    
+    // ---------- Linking ----------
+    // Resolves with the provider's sign-in URL to send the browser to
+    async beginLink(name) {
+        const config = AccountSync.getConfig(name);
+        const verifier = PKCE.createVerifier();
+        const state = PKCE.createVerifier();
+        const redirectURI = AccountSync.getRedirectURI();
+        
+        this.session.setItem(CONFIG.storage.oauth, JSON.stringify({ name, state, verifier, redirectURI }));
+        
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: config.clientId,
+            redirect_uri: redirectURI,
+            state,
+            code_challenge: await PKCE.createChallenge(verifier, config.challengeMethod),
+            code_challenge_method: config.challengeMethod
+        });
+        return `${config.authorizeURL}?${params}`;
+    }
+    
+    // The provider sends the browser back with ?code=&state= (or ?error=&state=); null when
+    // this page load isn't such a return
+    static readCallback(search = location.search) {
+        const params = new URLSearchParams(search);
+        if (!params.has('state') || !(params.has('code') || params.has('error'))) return null;
+        
+        return {
+            code: params.get('code'),
+            state: params.get('state'),
+            error: params.get('error_description') || params.get('error')
+        };
+    }
+    
+    // Trades the code for tokens and links the account. Resolves with the provider name.
+    async completeLink({ code, state, error }) {
+        const pending = JSON.parse(this.session.getItem(CONFIG.storage.oauth) || 'null');
+        this.session.removeItem(CONFIG.storage.oauth);
+        
+        if (!pending || pending.state !== state) {
+            throw new Error("This sign-in wasn't started from this browser tab");
+        }
+        if (error) {
+            throw new Error(error);
+        }
+        
+        const { name } = pending;
+        const token = await this.requestToken(name, {
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: pending.redirectURI,
+            code_verifier: pending.verifier
+        });
+        this.accounts[name] = {
+            user: null,
+            token,
+            linkedAt: Date.now(),
+            lastSyncAt: null,
+            lastError: null,
+            baseline: {},  // id -> { local, remote }: both updatedAt values when the sides last agreed
+            remoteIds: {},
+            pending: {},   // id -> true: local changes still to send
+            conflicts: []
+        };
+        
+        try {
+            this.accounts[name].user = await this.createClient(name).getUser();
+        } catch (userError) {
+            delete this.accounts[name];
+            throw userError;
+        }
+        this.save();
+        return name;
+    }
+    
+    unlink(name) {
+        delete this.accounts[name];
+        this.save();
+    }
+    
+    async requestToken(name, params) {
+        const config = AccountSync.getConfig(name);
+        const response = await fetch(config.tokenURL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body: new URLSearchParams({ client_id: config.clientId, ...params })
+        });
+        const body = await response.json().catch(() => ({}));
+        
+        if (!response.ok) {
+            const error = new Error(body.error_description || body.message || `HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        return {
+            accessToken: body.access_token,
+            refreshToken: body.refresh_token || params.refresh_token || null,
+            expiresAt: body.expires_in ? Date.now() + body.expires_in * 1000 : null
+        };
+    }
+    
+    async refreshToken(name) {
+        const account = this.accounts[name];
+        if (!account.token.refreshToken) {
+            const error = new Error(`Your ${CONFIG.accounts.providers[name].label} sign-in has expired; link the account again`);
+            error.status = 401;
+            throw error;
+        }
+        
+        account.token = await this.requestToken(name, {
+            grant_type: 'refresh_token',
+            refresh_token: account.token.refreshToken
+        });
+        this.save();
+    }
+    
+    // Authorized request resolving with the parsed JSON. An expired token (or a 401) gets
+    // one refresh before giving up.
+    async request(name, url, options = {}, retried = false) {
+        const account = this.accounts[name];
+        if (!account) {
+            throw new Error(`${CONFIG.accounts.providers[name].label} is not linked`);
+        }
+        if (!retried && account.token.refreshToken && account.token.expiresAt && account.token.expiresAt < Date.now() + 60 * 1000) {
+            await this.refreshToken(name);
+        }
+        
+        const response = await fetch(url, {
+            ...options,
+            headers: { Accept: 'application/json', ...options.headers, Authorization: `Bearer ${account.token.accessToken}` }
+        });
+        
+        if (response.status === 401 && !retried && account.token.refreshToken) {
+            await this.refreshToken(name);
+            return this.request(name, url, options, true);
+        }
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+    
+    createClient(name) {
+        return new ACCOUNT_CLIENTS[name](
+            AccountSync.getConfig(name),
+            (url, options) => this.request(name, url, options),
+            this.importer
+        );
+    }
+    
+    // ---------- Comparing ----------
+    // Anime are the only titles both sites track, keyed by MAL id like our entries
+    static isSyncable(entry) {
+        return (entry?.mediaType || 'anime') === 'anime';
+    }
+    
+    // The fields both sides keep, at the remote's precision (MAL scores are whole points)
+    static compareFields(entry, name) {
+        const rewatching = Boolean(entry.rewatching);
+        return {
+            status: entry.status,
+            episodes: entry.currentEpisode || 0,
+            score: Scoring.toDisplay(entry.rating, name === 'mal' ? 'point10' : 'point100'),
+            startedAt: entry.startedAt || null,
+            finishedAt: entry.finishedAt || null,
+            rewatchCount: entry.rewatchCount || 0,
+            rewatching,
+            rewatchProgress: rewatching ? entry.rewatchProgress || 0 : 0
+        };
+    }
+    
+    static isSame(local, remote, name) {
+        return JSON.stringify(AccountSync.compareFields(local, name)) === JSON.stringify(AccountSync.compareFields(remote, name));
+    }
+    
+    // Update data that takes over the remote side. Notes, lists and other fields only we
+    // have stay, and a score the remote rounded (8.6 here, 9 on MAL) keeps our decimal.
+    static toLocal(local, remote, name) {
+        const sameScore = Boolean(local) && AccountSync.compareFields(local, name).score === AccountSync.compareFields(remote, name).score;
+        
+        return {
+            title: local?.title || remote.title,
+            image: local?.image || remote.image,
+            status: remote.status,
+            currentEpisode: remote.currentEpisode || 0,
+            totalEpisodes: remote.totalEpisodes || local?.totalEpisodes || null,
+            ...(local?.watchedEpisodes ? {
+                watchedEpisodes: local.watchedEpisodes.filter(number => number > (remote.currentEpisode || 0))
+            } : {}),
+            rating: sameScore ? local.rating : remote.rating,
+            startedAt: remote.startedAt || null,
+            finishedAt: remote.finishedAt || null,
+            rewatchCount: remote.rewatchCount || 0,
+            rewatching: Boolean(remote.rewatching),
+            rewatchProgress: remote.rewatchProgress || 0
+        };
+    }
+    
+    // Three-way comparison with the updatedAt pair recorded when both sides last agreed:
+    // whichever side changed since wins. When both did, or a title that was never synced
+    // differs, it's a conflict for the user, defaulting to the more recently updated side.
+    plan(name, remote) {
+        const account = this.accounts[name];
+        const local = Object.fromEntries(
+            Object.entries(this.tracker.getAllEntries()).filter(([, entry]) => AccountSync.isSyncable(entry))
+        );
+        const plan = { same: [], pull: [], push: [], removeLocal: [], removeRemote: [], conflicts: [] };
+        
+        new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(id => {
+            const mine = local[id];
+            const theirs = remote[id];
+            const base = account.baseline[id];
+            const localChanged = Boolean(account.pending[id]) || !base || (mine?.updatedAt || 0) > base.local;
+            const remoteChanged = !base || (theirs?.updatedAt || 0) > base.remote;
+            
+            if (mine && theirs) {
+                if (AccountSync.isSame(mine, theirs, name)) {
+                    plan.same.push(id);
+                } else if (remoteChanged && !localChanged) {
+                    plan.pull.push(id);
+                } else if (localChanged && !remoteChanged) {
+                    plan.push.push(id);
+                } else {
+                    plan.conflicts.push({
+                        id,
+                        title: mine.title,
+                        local: {
+                            status: mine.status,
+                            currentEpisode: mine.currentEpisode || 0,
+                            rating: mine.rating,
+                            startedAt: mine.startedAt || null,
+                            finishedAt: mine.finishedAt || null,
+                            updatedAt: mine.updatedAt
+                        },
+                        remote: theirs,
+                        prefer: (mine.updatedAt || 0) >= (theirs.updatedAt || 0) ? 'local' : 'remote'
+                    });
+                }
+            } else if (mine) {
+                // Removed from the remote list, unless it was never synced or changed here since
+                (base && !localChanged ? plan.removeLocal : plan.push).push(id);
+            } else {
+                (base && !remoteChanged ? plan.removeRemote : plan.pull).push(id);
+            }
+        });
+        
+        return plan;
+    }
+    
+    // ---------- Syncing ----------
+    // Resolves with counts of what happened; conflicts wait for resolveConflicts()
+    async sync(name) {
+        const account = this.accounts[name];
+        if (!account || this.syncing.has(name)) return null;
+        
+        const { label } = CONFIG.accounts.providers[name];
+        this.syncing.add(name);
+        this.notifyListeners();
+        
+        try {
+            const { entries: remote, remoteIds } = await this.createClient(name).fetchList();
+            Object.assign(account.remoteIds, remoteIds);
+            
+            const plan = this.plan(name, remote);
+            const result = { pulled: 0, pushed: 0, removed: 0, conflicts: plan.conflicts.length };
+            
+            plan.same.forEach(id => {
+                account.baseline[id] = { local: this.tracker.getEntry(id).updatedAt, remote: remote[id].updatedAt || 0 };
+                delete account.pending[id];
+            });
+            
+            for (const id of plan.pull) {
+                if (await this.applyRemote(name, id, remote[id])) result.pulled++;
+            }
+            for (const id of plan.removeLocal) {
+                if (await this.removeLocal(name, id)) result.removed++;
+            }
+            
+            [...plan.push, ...plan.removeRemote].forEach(id => { account.pending[id] = true; });
+            account.conflicts = plan.conflicts;
+            this.syncing.delete(name);
+            
+            result.pushed = await this.pushPending(name);
+            account.lastSyncAt = Date.now();
+            if (result.pushed === plan.push.length + plan.removeRemote.length) {
+                account.lastError = null;
+            }
+            return result;
+        } catch (error) {
+            account.lastError = error.message;
+            throw error;
+        } finally {
+            this.syncing.delete(name);
+            this.save();
+        }
+    }
+    
+    async applyRemote(name, id, remote) {
+        const account = this.accounts[name];
+        const local = this.tracker.getEntry(id);
+        const data = AccountSync.toLocal(local, remote, name);
+        
+        // Changes made here are still news for the other linked account
+        this.applying = name;
+        let saved;
+        try {
+            saved = local
+                ? await this.tracker.updateEntry(id, data, { source: CONFIG.historySources.SYNC })
+                : await this.tracker.addEntry('anime', id, data, { source: CONFIG.historySources.SYNC });
+        } finally {
+            this.applying = null;
+        }
+        
+        if (saved) {
+            account.baseline[id] = { local: this.tracker.getEntry(id).updatedAt, remote: remote.updatedAt || 0 };
+            delete account.pending[id];
+        }
+        return saved;
+    }
+    
+    async removeLocal(name, id) {
+        const account = this.accounts[name];
+        
+        this.applying = name;
+        let removed;
+        try {
+            removed = await this.tracker.removeEntry(id, { source: CONFIG.historySources.SYNC });
+        } finally {
+            this.applying = null;
+        }
+        
+        if (removed) {
+            delete account.baseline[id];
+            delete account.remoteIds[id];
+        }
+        return removed;
+    }
+    
+    // `choices` maps conflicting ids to 'local' or 'remote'; ids left out stay open
+    async resolveConflicts(name, choices) {
+        const account = this.accounts[name];
+        if (!account) return;
+        
+        const open = [];
+        for (const conflict of account.conflicts) {
+            const choice = choices[conflict.id];
+            if (choice === 'remote') {
+                if (!(await this.applyRemote(name, conflict.id, conflict.remote))) open.push(conflict);
+            } else if (choice === 'local') {
+                account.pending[conflict.id] = true;
+            } else {
+                open.push(conflict);
+            }
+        }
+        
+        account.conflicts = open;
+        this.save();
+        await this.pushPending(name);
+    }
+    
+    // Local changes, pushed to every linked account except the one they came from
+    handleLocalChange(change) {
+        if (!change || !AccountSync.isSyncable(change.after || change.before)) return;
+        
+        const names = this.getLinked().filter(name => name !== this.applying);
+        if (names.length === 0) return;
+        
+        names.forEach(name => { this.accounts[name].pending[change.id] = true; });
+        this.save();
+        
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.pushAll(), CONFIG.accounts.pushDelay);
+    }
+    
+    async pushAll() {
+        for (const name of this.getLinked()) {
+            await this.pushPending(name);
+        }
+    }
+    
+    // Send the queued changes in order and resolve with how many went out. Titles with an
+    // open conflict wait for the review; the first failure (e.g. offline) keeps the rest
+    // queued for the next push or sync.
+    async pushPending(name) {
+        const account = this.accounts[name];
+        if (!account || this.syncing.has(name) || this.pushing.has(name)) return 0;
+        
+        const open = new Set(account.conflicts.map(conflict => String(conflict.id)));
+        const ids = Object.keys(account.pending).filter(id => !open.has(id));
+        if (ids.length === 0) return 0;
+        
+        const client = this.createClient(name);
+        let pushed = 0;
+        this.pushing.add(name);
+        
+        try {
+            for (const id of ids) {
+                const entry = this.tracker.getEntry(id);
+                
+                if (entry) {
+                    const { updatedAt, remoteId } = await client.saveEntry(id, entry, account.remoteIds[id]);
+                    account.baseline[id] = { local: entry.updatedAt, remote: updatedAt };
+                    if (remoteId) account.remoteIds[id] = remoteId;
+                } else {
+                    await client.deleteEntry(id, account.remoteIds[id]);
+                    delete account.baseline[id];
+                    delete account.remoteIds[id];
+                }
+                delete account.pending[id];
+                pushed++;
+            }
+        } catch (error) {
+            console.warn(`Failed to send changes to ${CONFIG.accounts.providers[name].label}:`, error);
+            account.lastError = error.message;
+        } finally {
+            this.pushing.delete(name);
+            this.save();
+        }
+        
+        return pushed;
+    }
+}
+
+// ==================== DEVICE SYNC ====================
+// Keeps the list in step across browsers through CONFIG.sync.endpoint (see
+// server/sync-server.js). Each sync is one POST of a change set:
+//   -> { device, since, changes: [{ key, revision, updatedAt, deleted, entry }] }
+//   <- { cursor, accepted: [{ key, revision }], conflicts: [record], changes: [record], reset }
+// A change is accepted when its revision is higher than the server's. Otherwise the server
+// answers with its copy as a conflict, and the more recently updated side wins: the local
+// copy by going out again with a higher revision. `changes` are what other devices sent
+// since `cursor`; removals travel as tombstones (see TombstoneStore in storage.js).
+class DeviceSync {
+    constructor(tracker, { storage = localStorage } = {}) {
+        this.tracker = tracker;
+        this.storage = storage;
+        this.listeners = new Set();
+        this.syncing = false;
+        this.pushTimer = null;
+        this.state = this.load();
+        
+        tracker.subscribe((_, change) => this.handleLocalChange(change));
+    }
+    
+    static isEnabled() {
+        return Boolean(CONFIG.sync.endpoint);
+    }
+    
+    // ---------- State ----------
+    // `revisions` holds the revision of each entry the server has confirmed. `device` is
+    // only created when sync first runs.
+    load() {
+        let state = null;
+        try {
+            state = JSON.parse(this.storage.getItem(CONFIG.storage.sync));
+        } catch (error) {
+            console.error('Failed to load sync state:', error);
+        }
+        
+        return {
+            device: null,
+            cursor: 0,
+            revisions: {},
+            lastSyncAt: null,
+            lastError: null,
+            ...state
+        };
+    }
+    
+    // crypto.randomUUID() is missing on plain http pages other than localhost
+    static createDeviceId() {
+        if (crypto.randomUUID) return crypto.randomUUID();
+        return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    save() {
+        try {
+            this.storage.setItem(CONFIG.storage.sync, JSON.stringify(this.state));
+        } catch (error) {
+            console.error('Failed to save sync state:', error);
+        }
+        this.notifyListeners();
+    }
+    
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    notifyListeners() {
+        this.listeners.forEach(listener => listener(this.getStatus()));
+    }
+    
+    // `state` is 'disabled', 'local', 'syncing', 'offline', 'error', 'pending' or 'synced'.
+    // Without an endpoint nothing is ever sent, so offline changes only stay 'local'.
+    getStatus() {
+        const pending = this.getPendingChanges().length;
+        const { lastSyncAt, lastError } = this.state;
+        let state = 'synced';
+        
+        if (!DeviceSync.isEnabled()) state = navigator.onLine ? 'disabled' : 'local';
+        else if (this.syncing) state = 'syncing';
+        else if (!navigator.onLine) state = 'offline';
+        else if (lastError) state = 'error';
+        else if (pending > 0) state = 'pending';
+        
+        return { state, pending, lastSyncAt, lastError };
+    }
+    
+    // ---------- Changes ----------
+    // Entries whose revision the server hasn't confirmed yet, and removals of entries it
+    // has (a title added and removed between two syncs never needs to go out)
+    isPending(key) {
+        const known = this.state.revisions[key];
+        const entry = this.tracker.getEntry(key);
+        if (entry) return (entry.revision || 0) !== known;
+        
+        const tombstone = this.tracker.getTombstones()[key];
+        return Boolean(tombstone) && known !== undefined && tombstone.revision !== known;
+    }
+    
+    getLocalRevision(key) {
+        const entry = this.tracker.getEntry(key);
+        return entry ? entry.revision || 0 : this.tracker.getTombstones()[key]?.revision;
+    }
+    
+    getPendingChanges() {
+        const entries = this.tracker.getAllEntries();
+        const changed = Object.entries(entries)
+            .filter(([key]) => this.isPending(key))
+            .map(([key, entry]) => ({
+                key,
+                revision: entry.revision || 0,
+                updatedAt: entry.updatedAt || 0,
+                deleted: false,
+                entry
+            }));
+        const removed = Object.entries(this.tracker.getTombstones())
+            .filter(([key]) => !entries[key] && this.isPending(key))
+            .map(([key, tombstone]) => ({
+                key,
+                revision: tombstone.revision,
+                updatedAt: tombstone.deletedAt,
+                deleted: true,
+                entry: tombstone
+            }));
+        
+        return [...changed, ...removed];
+    }
+    
+    // Local changes go out shortly after they happen
+    handleLocalChange(change) {
+        if (!change || this.applying || !DeviceSync.isEnabled()) return;
+        
+        this.notifyListeners();
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.sync().catch(() => {}), CONFIG.sync.pushDelay);
+    }
+    
+    // ---------- Syncing ----------
+    async request(body) {
+        const response = await fetch(`${CONFIG.sync.endpoint.replace(/\/$/, '')}/changes`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(CONFIG.sync.token ? { Authorization: `Bearer ${CONFIG.sync.token}` } : {})
+            },
+            body: JSON.stringify(body)
+        });
+        
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+    
+    // Send pending changes and bring in other devices' changes. Resolves with
+    // { sent, received, conflicts }, or null when sync is off, offline or already running.
+    async sync() {
+        if (!DeviceSync.isEnabled() || this.syncing || !navigator.onLine) return null;
+        
+        const result = { sent: 0, received: 0, conflicts: 0 };
+        if (!this.state.device) {
+            this.state.device = DeviceSync.createDeviceId();
+            this.save();
+        }
+        this.syncing = true;
+        this.notifyListeners();
+        
+        try {
+            for (let round = 0; round < CONFIG.sync.maxRounds; round++) {
+                const changes = this.getPendingChanges();
+                const response = await this.request({ device: this.state.device, since: this.state.cursor, changes });
+                
+                // The server lost its data (or is a different one): send everything again
+                if (response.reset) {
+                    this.state.revisions = {};
+                }
+                
+                response.accepted.forEach(({ key, revision }) => {
+                    this.state.revisions[key] = revision;
+                });
+                result.sent += response.accepted.length;
+                result.conflicts += response.conflicts.length;
+                
+                for (const record of response.conflicts) {
+                    if (await this.resolveConflict(record)) result.received++;
+                }
+                for (const record of response.changes) {
+                    if (await this.applyRecord(record)) result.received++;
+                }
+                
+                this.state.cursor = response.cursor;
+                if (this.getPendingChanges().length === 0) break;
+            }
+            
+            this.state.lastSyncAt = Date.now();
+            this.state.lastError = null;
+            return result;
+        } catch (error) {
+            console.warn('Sync failed:', error);
+            this.state.lastError = error.message;
+            throw error;
+        } finally {
+            this.syncing = false;
+            this.save();
+        }
+    }
+    
+    // Store a server record unless a local change made during the request is waiting to go
+    // out (the next round settles that one) or it's no newer than what's here
+    async applyRecord(record) {
+        if (this.isPending(record.key)) return false;
+        
+        const revision = this.getLocalRevision(record.key);
+        if (revision !== undefined && revision >= record.revision) {
+            this.state.revisions[record.key] = revision;
+            return false;
+        }
+        return this.store(record);
+    }
+    
+    async store(record) {
+        this.applying = true;
+        let saved;
+        try {
+            saved = await this.tracker.applySyncedEntry(record.key, record);
+        } finally {
+            this.applying = false;
+        }
+        
+        if (saved) {
+            this.state.revisions[record.key] = record.revision;
+        }
+        return saved;
+    }
+    
+    // The server kept another device's copy: the more recently updated side wins. Resolves
+    // with whether the other copy was stored.
+    async resolveConflict(record) {
+        const local = this.tracker.getEntry(record.key);
+        const updatedAt = local ? local.updatedAt || 0 : this.tracker.getTombstones()[record.key]?.deletedAt || 0;
+        
+        if (updatedAt > (record.updatedAt || 0)) {
+            await this.tracker.raiseRevision(record.key, record.revision + 1);
+            return false;
+        }
+        return this.store(record);
+    }
+}
+
+// ==================== CHARTS ====================
+// Charts are plain SVG strings with inline styles so the same markup renders on the page
+// and exports as a standalone .svg or .png file
+const CHART_COLORS = ['#667eea', '#f5576c', '#4facfe', '#43e97b', '#fa709a', '#fee140', '#a18cd1', '#30cfd0'];
+
+class ChartRenderer {
+    static escape(text) {
+        return SafeHTML.escape(text);
+    }
+    
+    // Round the axis maximum up to 1, 2 or 5 times a power of ten
+    static niceMax(value) {
+        if (value <= 0) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+        return step * magnitude;
+    }
+    
+    static wrap(width, height, title, body) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.escape(title)}" font-family="Poppins, sans-serif" font-size="11">` +
+            `<title>${this.escape(title)}</title>` +
+            `<rect width="${width}" height="${height}" fill="#ffffff"/>` +
+            body +
+            '</svg>';
+    }
+    
+    // Vertical bars; more than one series draws grouped bars with a legend
+    static barChart({ labels, series, title = '', width = 600, height = 280 }) {
+        const margin = { top: series.length > 1 ? 30 : 16, right: 12, bottom: 40, left: 40 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const max = this.niceMax(Math.max(0, ...series.flatMap(s => s.values)));
+        const slot = plotWidth / Math.max(labels.length, 1);
+        const barWidth = Math.max(2, (slot * 0.7) / series.length);
+        const y = value => margin.top + plotHeight - (value / max) * plotHeight;
+        const parts = [];
+        
+        for (let i = 0; i <= 4; i++) {
+            const value = (max / 4) * i;
+            parts.push(
+                `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(value)}" y2="${y(value)}" stroke="#e9ecef"/>`,
+                `<text x="${margin.left - 6}" y="${y(value) + 4}" text-anchor="end" fill="#6c757d">${Math.round(value * 10) / 10}</text>`
+            );
+        }
+        
+        // Thin out the x labels when there are too many to fit
+        const labelEvery = Math.ceil(labels.length / Math.max(Math.floor(plotWidth / 48), 1));
+        labels.forEach((label, index) => {
+            const x = margin.left + slot * index + (slot - barWidth * series.length) / 2;
+            series.forEach((s, seriesIndex) => {
+                const value = s.values[index] || 0;
+                parts.push(`<rect x="${x + barWidth * seriesIndex}" y="${y(value)}" width="${barWidth}" height="${y(0) - y(value)}" fill="${s.color}" rx="2"><title>${this.escape(`${label}: ${value}`)}</title></rect>`);
+            });
+            if (index % labelEvery === 0) {
+                parts.push(`<text x="${margin.left + slot * index + slot / 2}" y="${height - margin.bottom + 16}" text-anchor="middle" fill="#495057">${this.escape(label)}</text>`);
+            }
+        });
+        
+        parts.push(`<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(0)}" y2="${y(0)}" stroke="#adb5bd"/>`);
+        
+        if (series.length > 1) {
+            series.forEach((s, index) => {
+                const x = margin.left + index * 110;
+                parts.push(
+                    `<rect x="${x}" y="8" width="10" height="10" fill="${s.color}" rx="2"/>`,
+                    `<text x="${x + 14}" y="17" fill="#495057">${this.escape(s.label)}</text>`
+                );
+            });
+        }
+        
+        return this.wrap(width, height, title, parts.join(''));
+    }
+    
+    // One labelled row per item, longest bar first
+    static horizontalBarChart({ items, title = '', width = 600, color = CHART_COLORS[0] }) {
+        const rowHeight = 26;
+        const labelWidth = 140;
+        const height = Math.max(items.length, 1) * rowHeight + 16;
+        const max = Math.max(1, ...items.map(item => item.value));
+        const plotWidth = width - labelWidth - 48;
+        
+        const rows = items.map((item, index) => {
+            const y = 8 + index * rowHeight;
+            const barWidth = Math.max(2, (item.value / max) * plotWidth);
+            const label = item.label.length > 20 ? `${item.label.slice(0, 19)}…` : item.label;
+            return `<text x="${labelWidth - 8}" y="${y + 15}" text-anchor="end" fill="#495057">${this.escape(label)}</text>` +
+                `<rect x="${labelWidth}" y="${y + 4}" width="${barWidth}" height="${rowHeight - 8}" fill="${color}" rx="3"><title>${this.escape(`${item.label}: ${item.value}`)}</title></rect>` +
+                `<text x="${labelWidth + barWidth + 6}" y="${y + 15}" fill="#6c757d">${item.value}</text>`;
+        });
+        
+        return this.wrap(width, height, title, rows.join(''));
+    }
+    
+    // Rasterize through an <img> so the PNG matches the SVG exactly
+    static toPNGBlob(svg, scale = 2) {
+        const doc = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+        const width = parseFloat(doc.getAttribute('width'));
+        const height = parseFloat(doc.getAttribute('height'));
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width * scale;
+                canvas.height = height * scale;
+                
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not render chart')), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not render chart'));
+            };
+            image.src = url;
+        });
+    }
+}
+
+// ==================== STATISTICS SERVICE ====================
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StatisticsService {
+    constructor(tracker, api) {
+        this.tracker = tracker;
+        this.api = api;
+        this.durations = {}; // entry key -> minutes per episode, from loaded details
+    }
+    
+    // Minutes per episode from provider strings like "24 min per ep" or "1 hr 55 min"
+    static parseDuration(duration) {
+        if (!duration) return null;
+        
+        const text = String(duration);
+        const hours = parseFloat(text.match(/(\d+(?:\.\d+)?)\s*hr/)?.[1] || 0);
+        const minutes = parseFloat(text.match(/(\d+(?:\.\d+)?)\s*min/)?.[1] || 0);
+        const seconds = parseFloat(text.match(/(\d+(?:\.\d+)?)\s*sec/)?.[1] || 0);
+        const total = hours * 60 + minutes + seconds / 60;
+        
+        return total > 0 ? Math.round(total * 10) / 10 : null;
+    }
+    
+    // Details the list views already loaded feed the hours estimate without extra requests
+    rememberDetails(key, details) {
+        const minutes = StatisticsService.parseDuration(details?.duration);
+        if (minutes) this.durations[key] = minutes;
+    }
+    
+    async loadDetails(entries) {
+        const details = await Promise.all(entries.map(async ([key, entry]) => {
+            try {
+                const item = await this.api.getMediaDetails(entry.id || key, entry.mediaType);
+                this.rememberDetails(key, item);
+                return item;
+            } catch (error) {
+                console.warn(`Failed to load details for ${key}:`, error);
+                return null;
+            }
+        }));
+        
+        return entries.map(([key, entry], index) => ({ key, entry, details: details[index] }));
+    }
+    
+    async compute() {
+        const entries = Object.entries(this.tracker.getAllEntries());
+        const items = await this.loadDetails(entries);
+        const summary = this.tracker.getStats(this.durations);
+        
+        return {
+            summary,
+            scores: this.scoreDistribution(entries.map(([, entry]) => entry)),
+            genres: this.countBy(items, item => item.details?.genres),
+            studios: this.countBy(items.filter(item => (item.entry.mediaType || 'anime') === 'anime'), item => item.details?.studios),
+            activity: {
+                week: this.activity(entries.map(([, entry]) => entry), 'week'),
+                month: this.activity(entries.map(([, entry]) => entry), 'month')
+            },
+            rates: Object.entries(summary.byType)
+                .filter(([, stats]) => stats.total > 0)
+                .map(([mediaType, stats]) => ({ mediaType, ...stats }))
+        };
+    }
+    
+    scoreDistribution(entries) {
+        return Scoring.distribution(entries.map(entry => Scoring.normalize(entry.rating)).filter(score => score !== null));
+    }
+    
+    countBy(items, pick, limit = 10) {
+        const counts = {};
+        items.forEach(item => {
+            (pick(item) || []).forEach(name => { counts[name] = (counts[name] || 0) + 1; });
+        });
+        
+        return Object.entries(counts)
+            .map(([label, value]) => ({ label, value }))
+            .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label))
+            .slice(0, limit);
+    }
+    
+    // Start of the week (Monday) or month containing `time`, in local time
+    static bucketStart(time, period) {
+        const date = new Date(time);
+        date.setHours(0, 0, 0, 0);
+        
+        if (period === 'month') {
+            date.setDate(1);
+        } else {
+            date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        }
+        return date;
+    }
+    
+    static bucketLabel(date, period) {
+        return period === 'month'
+            ? date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+            : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+    
+    // Episodes and chapters gained per week or month, replayed from each entry's history.
+    // An entry's first event and imports only set the starting point: that progress
+    // happened before it was tracked here.
+    activity(entries, period = 'week', count = 12) {
+        const buckets = [];
+        let start = StatisticsService.bucketStart(Date.now(), period);
+        for (let i = 0; i < count; i++) {
+            buckets.unshift({ start: start.getTime(), episodes: 0, chapters: 0 });
+            start = period === 'month'
+                ? new Date(start.getFullYear(), start.getMonth() - 1, 1)
+                : StatisticsService.bucketStart(start.getTime() - DAY_MS, period);
+        }
+        const index = new Map(buckets.map((bucket, i) => [bucket.start, i]));
+        
+        entries.forEach(entry => {
+            const isRead = StorageMigrator.isReadType(entry.mediaType);
+            const field = isRead ? 'chapter' : 'episode';
+            let last = null;
+            
+            [...(entry.history || [])]
+                .sort((a, b) => a.at - b.at)
+                .forEach(event => {
+                    const value = event[field] || 0;
+                    // Imported or synced progress happened elsewhere, at some unknown time
+                    const brought = event.source === CONFIG.historySources.IMPORT || event.source === CONFIG.historySources.SYNC;
+                    if (last !== null && !brought) {
+                        // Rewatch events carry their own counter next to the unchanged original one
+                        const rewatched = event.previousRewatch !== undefined ? event.rewatch - event.previousRewatch : 0;
+                        const i = index.get(StatisticsService.bucketStart(event.at, period).getTime());
+                        if (i !== undefined) buckets[i][isRead ? 'chapters' : 'episodes'] += value - last + rewatched;
+                    }
+                    last = value;
+                });
+        });
+        
+        // Undoing progress made in an earlier period can leave a bucket below zero
+        return buckets.map(bucket => ({
+            label: StatisticsService.bucketLabel(new Date(bucket.start), period),
+            episodes: Math.max(0, bucket.episodes),
+            chapters: Math.max(0, bucket.chapters)
+        }));
+    }
+}
+
+// ==================== LIST QUERY ====================
+// Sort, filter and search state for "Your Progress". Saved to localStorage and mirrored
+// into the page URL, so a filtered view survives reloads and can be bookmarked.
+const LIST_SORTS = {
+    updated: 'Last updated',
+    added: 'Date added',
+    title: 'Title',
+    rating: 'Your rating',
+    progress: 'Progress %',
+    remaining: 'Remaining episodes'
+};
+
+const LIST_QUERY_DEFAULTS = {
+    status: 'all',
+    mediaType: 'all',
+    search: '',
+    sort: 'updated',
+    order: 'desc',
+    genre: '',
+    format: '', // Provider type: TV, Movie, Manhwa, ...
+    year: null,
+    season: '',
+    minRating: null,
+    maxRating: null,
+    unwatched: false,
+    list: '', // Custom list name
+    tag: ''
+};
+
+// URL parameter for each state field
+const LIST_QUERY_PARAMS = {
+    status: 'status',
+    mediaType: 'media',
+    search: 'q',
+    sort: 'sort',
+    order: 'order',
+    genre: 'genre',
+    format: 'format',
+    year: 'year',
+    season: 'season',
+    minRating: 'min',
+    maxRating: 'max',
+    unwatched: 'unwatched',
+    list: 'list',
+    tag: 'tag'
+};
+
+// The status filter starts from the "Default filter" setting each session
+// instead of being saved; it is still part of the URL
+const LIST_QUERY_UNSAVED = ['status'];
+
+const SEASONS = ['winter', 'spring', 'summer', 'fall'];
+
+class ListQuery {
+    constructor(state = {}) {
+        this.state = ListQuery.normalize({ ...LIST_QUERY_DEFAULTS, ...state });
+    }
+    
+    // URL parameters win over the saved state, which wins over `defaults`
+    static restore(storage = localStorage, search = location.search, defaults = {}) {
+        let saved = {};
+        try {
+            saved = JSON.parse(storage.getItem(CONFIG.storage.listQuery)) || {};
+            LIST_QUERY_UNSAVED.forEach(name => delete saved[name]);
+        } catch (error) {
+            console.error('Failed to load list filters:', error);
+        }
+        
+        return new ListQuery({ ...defaults, ...saved, ...ListQuery.fromParams(new URLSearchParams(search)) });
+    }
+    
+    static fromParams(params) {
+        return Object.entries(LIST_QUERY_PARAMS)
+            .filter(([, param]) => params.has(param))
+            .reduce((acc, [name, param]) => ({ ...acc, [name]: params.get(param) }), {});
+    }
+    
+    static normalize(state) {
+        const number = (value, min, max) => {
+            const parsed = parseFloat(value);
+            return value !== null && value !== '' && Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : null;
+        };
+        return {
+            status: CONFIG.settings.filters.includes(state.status) ? state.status : LIST_QUERY_DEFAULTS.status,
+            mediaType: Object.keys(CONFIG.mediaTypes).includes(state.mediaType) ? state.mediaType : 'all',
+            search: String(state.search || '').trim(),
+            sort: Object.keys(LIST_SORTS).includes(state.sort) ? state.sort : LIST_QUERY_DEFAULTS.sort,
+            order: state.order === 'asc' ? 'asc' : 'desc',
+            genre: String(state.genre || ''),
+            format: String(state.format || ''),
+            year: number(state.year, 1900, 2100),
+            season: SEASONS.includes(state.season) ? state.season : '',
+            // Stored scale (see Scoring); the filter inputs convert from the selected system
+            minRating: number(state.minRating, 0.1, 10),
+            maxRating: number(state.maxRating, 0.1, 10),
+            unwatched: state.unwatched === true || state.unwatched === 'true' || state.unwatched === '1',
+            list: String(state.list || '').trim(),
+            tag: String(state.tag || '').trim()
+        };
+    }
+    
+    set(changes) {
+        this.state = ListQuery.normalize({ ...this.state, ...changes });
+    }
+    
+    // Replace the whole state, e.g. from a `#/list?...` link; missing fields get their defaults
+    reset(state = {}) {
+        this.state = ListQuery.normalize({ ...LIST_QUERY_DEFAULTS, ...state });
+    }
+    
+    // Clears the extra filters and search, keeping status, media type and sort
+    clearFilters() {
+        const { status, mediaType, sort, order } = this.state;
+        this.state = ListQuery.normalize({ ...LIST_QUERY_DEFAULTS, status, mediaType, sort, order });
+    }
+    
+    // Whether the result can change as provider details load (stored entries alone can't decide)
+    get dependsOnDetails() {
+        const { search, genre, format, year, season, unwatched, sort } = this.state;
+        return Boolean(search || genre || format || year !== null || season || unwatched) ||
+            ['title', 'progress', 'remaining'].includes(sort);
+    }
+    
+    // Filters in the "Filters" panel that differ from their defaults
+    get activeFilterCount() {
+        return ['genre', 'format', 'year', 'season', 'minRating', 'maxRating', 'unwatched', 'list', 'tag']
+            .filter(name => this.state[name] !== LIST_QUERY_DEFAULTS[name])
+            .length;
+    }
+    
+    // Only values that differ from the defaults, to keep URLs short
+    toParams() {
+        const params = new URLSearchParams();
+        Object.entries(LIST_QUERY_PARAMS).forEach(([name, param]) => {
+            const value = this.state[name];
+            if (value !== LIST_QUERY_DEFAULTS[name]) {
+                params.set(param, value === true ? '1' : value);
+            }
+        });
+        return params;
+    }
+    
+    save(storage = localStorage) {
+        const state = { ...this.state };
+        LIST_QUERY_UNSAVED.forEach(name => delete state[name]);
+        
+        try {
+            storage.setItem(CONFIG.storage.listQuery, JSON.stringify(state));
+        } catch (error) {
+            console.warn('List filters could not be saved:', error);
+        }
+    }
+    
+    // Filters that only need the stored entry; run before any details are fetched
+    matchesEntry(entry) {
+        const { status, mediaType, minRating, maxRating, list, tag } = this.state;
+        const rating = parseFloat(entry.rating) || null;
+        
+        if (mediaType !== 'all' && (entry.mediaType || 'anime') !== mediaType) return false;
+        // 'watching' covers 'reading' too (see Utils.getStatusGroup()); 'reading' only itself
+        if (status !== 'all' && entry.status !== status && Utils.getStatusGroup(entry.status) !== status) return false;
+        if (minRating !== null && (rating === null || rating < minRating)) return false;
+        if (maxRating !== null && (rating === null || rating > maxRating)) return false;
+        if (list && !Utils.hasName(entry.lists, list)) return false;
+        if (tag && !Utils.hasName(entry.tags, tag)) return false;
+        return true;
+    }
+    
+    // `item` is { entry, details, behindBy } as built by ProgressListView.buildItem()
+    matchesDetails({ entry, details, behindBy }) {
+        const { search, genre, format, year, season, unwatched } = this.state;
+        
+        if (search) {
+            const needle = search.toLowerCase();
+            // Titles, plus the entry's own tags and notes
+            const texts = [entry.title, details.title, details.titleEnglish, details.titleJapanese, ...(entry.tags || []), entry.notes];
+            if (!texts.some(text => text && text.toLowerCase().includes(needle))) return false;
+        }
+        
+        if (genre && !(details.genres || []).includes(genre)) return false;
+        if (format && details.type !== format) return false;
+        if (year !== null && ListQuery.getYear(details) !== year) return false;
+        if (season && ListQuery.getSeason(details) !== season) return false;
+        if (unwatched && !(behindBy > 0)) return false;
+        return true;
+    }
+    
+    static getYear(details) {
+        if (details.year) return details.year;
+        const from = details.aired?.from || details.published?.from;
+        return from ? new Date(from).getFullYear() : null;
+    }
+    
+    static getSeason(details) {
+        if (details.season) return details.season;
+        return details.aired?.from ? Utils.getSeason(new Date(details.aired.from)).season : null;
+    }
+    
+    // Numeric sort key; null (unknown) sorts last in either direction
+    sortValue({ entry, details }) {
+        const { current, total } = Utils.getEntryProgress(entry);
+        const length = total || details.episodes || details.chapters || null;
+        
+        switch (this.state.sort) {
+            case 'added': return entry.addedAt || null;
+            case 'rating': return parseFloat(entry.rating) || null;
+            case 'progress': return length ? current / length : null;
+            case 'remaining': return length ? Math.max(length - current, 0) : null;
+            default: return entry.updatedAt || null;
+        }
+    }
+    
+    compare(a, b) {
+        const direction = this.state.order === 'asc' ? 1 : -1;
+        
+        if (this.state.sort === 'title') {
+            return direction * Utils.getDisplayTitle(a.details).localeCompare(Utils.getDisplayTitle(b.details), undefined, { numeric: true, sensitivity: 'base' });
+        }
+        
+        const valueA = this.sortValue(a);
+        const valueB = this.sortValue(b);
+        if (valueA === null || valueB === null) {
+            return (valueA === null) - (valueB === null);
+        }
+        return direction * (valueA - valueB);
+    }
+    
+    apply(items) {
+        return items
+            .filter(item => this.matchesDetails(item))
+            .sort((a, b) => this.compare(a, b));
+    }
+}
+
+// ==================== SEARCH QUERY ====================
+// Query text, facets and page of the search page. They live in `#/search?...` only, so a
+// search can be linked and paged through with back/forward. Facet values are CONFIG.search keys.
+const SEARCH_QUERY_PARAMS = {
+    query: 'q',
+    type: 'type',
+    status: 'status',
+    genre: 'genre',
+    year: 'year',
+    season: 'season',
+    minScore: 'min_score',
+    rating: 'rating',
+    page: 'page'
+};
+
+const SEARCH_FACETS = ['type', 'status', 'genre', 'year', 'season', 'minScore', 'rating'];
+
+class SearchQuery {
+    // Unknown facet values are dropped; a season only counts together with a year
+    static fromParams(params) {
+        const { types, statuses, ratings, genres, minScores, firstYear } = CONFIG.search;
+        const get = (name) => (params.get(SEARCH_QUERY_PARAMS[name]) || '').trim();
+        const oneOf = (value, options) => options.includes(value) ? value : '';
+        const year = parseInt(get('year'));
+        const minScore = parseInt(get('minScore'));
+        const page = parseInt(get('page'));
+        const hasYear = year >= firstYear && year <= new Date().getFullYear() + 1;
+        
+        return {
+            query: get('query'),
+            type: oneOf(get('type'), Object.keys(types)),
+            status: oneOf(get('status'), Object.keys(statuses)),
+            genre: oneOf(get('genre'), Object.keys(genres)),
+            year: hasYear ? year : null,
+            season: hasYear ? oneOf(get('season'), SEASONS) : '',
+            minScore: minScores.includes(minScore) ? minScore : null,
+            rating: oneOf(get('rating'), Object.keys(ratings)),
+            page: page > 1 ? page : 1
+        };
+    }
+    
+    // Empty facets and page 1 are left out to keep links short
+    static toParams(state) {
+        const params = new URLSearchParams();
+        Object.entries(SEARCH_QUERY_PARAMS).forEach(([name, param]) => {
+            const value = state[name];
+            if (value && !(name === 'page' && value === 1)) {
+                params.set(param, value);
+            }
+        });
+        return params;
+    }
+    
+    static href(state) {
+        return Router.href('/search', SearchQuery.toParams(state));
+    }
+    
+    // The facets as passed to APIService.searchAnime()
+    static filters(state) {
+        return SEARCH_FACETS.reduce((acc, name) => state[name] ? { ...acc, [name]: state[name] } : acc, {});
+    }
+    
+    static activeFacetCount(state) {
+        return SEARCH_FACETS.filter(name => state[name]).length;
+    }
+}
+
+// ==================== PROGRESS LIST VIEW ====================
+// Renders "Your Progress" straight from tracker data and fills in provider details in
+// the background. Only the rows around the viewport are in the DOM; spacers stand in
+// for the rest so the page keeps its full scroll height.
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/300x400?text=No+Image';
+
+class ProgressListView {
+    constructor(container, { tracker, api, schedule, query, renderCard, renderEmpty, onDetails = () => {}, onRefresh = () => {} }) {
+        this.container = container;
+        this.tracker = tracker;
+        this.api = api;
+        this.schedule = schedule;
+        this.query = query;
+        this.renderCard = renderCard;
+        this.renderEmpty = renderEmpty;
+        this.onDetails = onDetails;
+        this.onRefresh = Utils.debounce(onRefresh, 300);
+        
+        this.details = new Map(); // entry key -> details, or null when the lookup failed
+        this.candidates = []; // Entries passing the stored-data filters
+        this.items = null; // Entries currently listed, in order; null until the first refresh
+        this.range = null;
+        this.rowHeight = 260; // Estimate until a rendered row has been measured
+        this.overscan = 2;
+        
+        // Background detail lookups: a few at a time, visible rows first
+        this.queue = [];
+        this.pending = new Set();
+        this.concurrency = 4;
+        
+        this.frames = {};
+        window.addEventListener('scroll', () => this.nextFrame('window', () => this.renderWindow()), { passive: true });
+        window.addEventListener('resize', () => this.nextFrame('window', () => this.renderWindow()));
+    }
+    
+    // Coalesce repeated requests for the same work into one animation frame
+    nextFrame(name, work) {
+        if (this.frames[name]) return;
+        this.frames[name] = requestAnimationFrame(() => {
+            this.frames[name] = null;
+            work();
+        });
+    }
+    
+    scheduleRefresh() {
+        this.nextFrame('refresh', () => this.refresh());
+    }
+    
+    // Details built from the stored entry, shown until the provider's arrive
+    stub(key, entry) {
+        return {
+            id: entry.id || key,
+            title: entry.title || key,
+            image: entry.image || PLACEHOLDER_IMAGE,
+            episodes: entry.totalEpisodes || null,
+            chapters: entry.totalChapters || null,
+            genres: []
+        };
+    }
+    
+    buildItem(key, entry) {
+        const details = this.details.get(key) || this.stub(key, entry);
+        const behindBy = (entry.mediaType || 'anime') === 'anime'
+            ? this.schedule.computeSchedule(details, entry).behindBy
+            : 0;
+        
+        return { key, entry, details, behindBy };
+    }
+    
+    // Re-run the list query over tracker data; cheap, nothing is fetched here
+    refresh() {
+        this.candidates = Object.entries(this.tracker.getAllEntries())
+            .filter(([, entry]) => this.query.matchesEntry(entry))
+            .map(([key, entry]) => this.buildItem(key, entry));
+        this.items = this.query.apply(this.candidates);
+        
+        // Queue in list order before rendering so the visible rows can jump the queue
+        this.enqueue([...this.items, ...this.candidates].map(item => item.key));
+        this.renderWindow(true);
+        this.pump();
+        this.onRefresh(this.candidates);
+    }
+    
+    layout() {
+        const style = getComputedStyle(this.container);
+        return {
+            columns: Math.max(style.gridTemplateColumns.split(' ').filter(Boolean).length, 1),
+            gap: parseFloat(style.rowGap) || 0
+        };
+    }
+    
+    renderWindow(force = false) {
+        if (this.items === null) return;
+        
+        if (this.items.length === 0) {
+            this.range = null;
+            this.container.innerHTML = this.renderEmpty(this.isLoadingDetails());
+            return;
+        }
+        
+        const { columns, gap } = this.layout();
+        const rows = Math.ceil(this.items.length / columns);
+        const scrolled = -this.container.getBoundingClientRect().top;
+        const first = Math.min(Math.max(Math.floor(scrolled / this.rowHeight) - this.overscan, 0), rows - 1);
+        const last = Math.min(Math.max(Math.ceil((scrolled + window.innerHeight) / this.rowHeight) + this.overscan, first + 1), rows);
+        
+        const range = `${first}:${last}:${columns}`;
+        if (!force && range === this.range) return;
+        this.range = range;
+        
+        // Spacers are grid items too, so each one is followed by a gap
+        const spacer = height => height > 0
+            ? `<div class="progress-spacer" style="height: ${height}px" aria-hidden="true"></div>`
+            : '';
+        const visible = this.items.slice(first * columns, last * columns);
+        
+        this.container.innerHTML =
+            spacer(first * this.rowHeight - gap) +
+            visible.map(item => this.renderItem(item)).join('') +
+            spacer((rows - last) * this.rowHeight - gap);
+        
+        this.prioritize(visible.map(item => item.key));
+        this.measure(last - first, gap);
+    }
+    
+    // Average rendered row height; re-render once if the estimate was off
+    measure(rowCount, gap) {
+        const cards = this.container.querySelectorAll('.progress-item');
+        if (cards.length === 0) return;
+        
+        const firstCard = cards[0];
+        const lastCard = cards[cards.length - 1];
+        const height = (lastCard.offsetTop + lastCard.offsetHeight - firstCard.offsetTop + gap) / rowCount;
+        
+        if (height > 0 && Math.abs(height - this.rowHeight) > 2) {
+            this.rowHeight = height;
+            this.nextFrame('window', () => this.renderWindow(true));
+        }
+    }
+    
+    renderItem({ key, entry, details }) {
+        return this.renderCard(key, details, entry);
+    }
+    
+    // Replace one card in place, if it is currently rendered
+    patch(key) {
+        const item = this.items?.find(candidate => candidate.key === key);
+        const element = [...this.container.querySelectorAll('.progress-item')]
+            .find(card => card.dataset.animeId === String(key));
+        if (!item || !element) return;
+        
+        const template = document.createElement('template');
+        template.innerHTML = String(this.renderItem(item)).trim();
+        element.replaceWith(template.content.firstElementChild);
+    }
+    
+    // Tracker change listener. Edits that keep the entry in the list patch its card;
+    // anything that changes membership re-runs the query on the next frame.
+    handleChange(change) {
+        if (this.items === null) return;
+        if (!change?.before || !change?.after) {
+            this.scheduleRefresh();
+            return;
+        }
+        
+        const item = this.buildItem(change.id, change.after);
+        const index = this.items.findIndex(candidate => candidate.key === change.id);
+        const matches = this.query.matchesEntry(change.after) && this.query.matchesDetails(item);
+        
+        if (index === -1 && !matches) return;
+        if (index === -1 || !matches) {
+            this.scheduleRefresh();
+            return;
+        }
+        
+        this.items[index] = item;
+        this.candidates = this.candidates.map(candidate => candidate.key === change.id ? item : candidate);
+        this.patch(change.id);
+    }
+    
+    isLoadingDetails() {
+        return this.query.dependsOnDetails && (this.queue.length > 0 || this.pending.size > 0);
+    }
+    
+    enqueue(keys) {
+        const queued = new Set(this.queue);
+        keys.forEach(key => {
+            if (this.details.has(key) || this.pending.has(key) || queued.has(key)) return;
+            this.queue.push(key);
+            queued.add(key);
+        });
+    }
+    
+    prioritize(keys) {
+        const front = keys.filter(key => this.queue.includes(key));
+        if (front.length === 0) return;
+        
+        this.queue = [...front, ...this.queue.filter(key => !front.includes(key))];
+    }
+    
+    pump() {
+        while (this.pending.size < this.concurrency && this.queue.length > 0) {
+            const key = this.queue.shift();
+            const entry = this.tracker.getEntry(key);
+            if (!entry || this.details.has(key)) continue;
+            
+            this.pending.add(key);
+            this.loadDetails(key, entry).finally(() => {
+                this.pending.delete(key);
+                this.pump();
+            });
+        }
+    }
+    
+    async loadDetails(key, entry) {
+        let details = null;
+        try {
+            details = await this.api.getMediaDetails(entry.id || key, entry.mediaType);
+        } catch (error) {
+            console.error(`Failed to load ${key}:`, error);
+        }
+        
+        this.details.set(key, details);
+        if (details) this.onDetails(key, details);
+        
+        // Filters and sorts that look at details may move or hide the entry
+        if (this.query.dependsOnDetails) {
+            this.scheduleRefresh();
+            return;
+        }
+        if (!details) return;
+        
+        const current = this.tracker.getEntry(key);
+        const index = this.items?.findIndex(item => item.key === key) ?? -1;
+        if (current && index !== -1) {
+            this.items[index] = this.buildItem(key, current);
+            this.patch(key);
+        }
+        this.candidates = this.candidates.map(item => item.key === key && current ? this.buildItem(key, current) : item);
+        this.onRefresh(this.candidates);
+    }
+}
+
+// ==================== ROUTER ====================
+// Hash routes like `#/anime/21` or `#/list?status=watching`. The query after the path
+// belongs to the route, so every view can be bookmarked and reloaded. Entries pushed
+// by navigate() carry their depth in history.state, which tells back() whether there
+// is an earlier in-app page to return to.
+class Router {
+    constructor(routes, { fallback = '/' } = {}) {
+        this.routes = Object.entries(routes).map(([pattern, handler]) => ({ ...Router.compile(pattern), handler }));
+        this.fallback = fallback;
+        this.current = null;
+    }
+    
+    // '/anime/:id' -> /^\/anime\/([^/]+)\/?$/ capturing `id`
+    static compile(pattern) {
+        const names = [];
+        const source = pattern.replace(/\/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '/([^/]+)';
+        });
+        return { pattern, names, regex: new RegExp(`^${source}/?$`) };
+    }
+    
+    static parse(hash) {
+        const route = hash.replace(/^#/, '');
+        const queryStart = route.indexOf('?');
+        return {
+            path: (queryStart === -1 ? route : route.slice(0, queryStart)) || '/',
+            query: new URLSearchParams(queryStart === -1 ? '' : route.slice(queryStart + 1))
+        };
+    }
+    
+    static href(path, params = '') {
+        const query = new URLSearchParams(params).toString();
+        return `#${path}${query ? `?${query}` : ''}`;
+    }
+    
+    // Segments with a malformed escape (e.g. '%E0%A4%A') don't match, so they end up on the fallback
+    match(path) {
+        for (const route of this.routes) {
+            const match = route.regex.exec(path);
+            const values = match ? match.slice(1).map(Router.decode) : [];
+            if (match && !values.includes(null)) {
+                const params = route.names.reduce((acc, name, index) => ({ ...acc, [name]: values[index] }), {});
+                return { route, params };
+            }
+        }
+        return null;
+    }
+    
+    static decode(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Links to `#/...` go through navigate() so they get a depth like programmatic navigation
+    start() {
+        window.addEventListener('hashchange', () => this.resolve());
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#/"]');
+            if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            
+            e.preventDefault();
+            this.navigate(link.getAttribute('href'));
+        });
+        return this.resolve();
+    }
+    
+    // Plain in-page anchors (`#trending`) are left to the browser
+    resolve() {
+        if (location.hash && !location.hash.startsWith('#/')) return;
+        
+        const { path, query } = Router.parse(location.hash);
+        const found = this.match(path);
+        if (!found) {
+            return this.navigate(this.fallback, { replace: true });
+        }
+        
+        const previous = this.current;
+        this.current = { path, query, pattern: found.route.pattern, params: found.params };
+        return found.route.handler({ params: found.params, query, previous });
+    }
+    
+    // `silent` only rewrites the URL, for state the page already shows (e.g. list filters)
+    navigate(target, { replace = false, silent = false } = {}) {
+        const hash = target.startsWith('#') ? target : `#${target}`;
+        
+        if (replace) {
+            history.replaceState(history.state, '', hash);
+        } else {
+            history.pushState({ depth: this.depth() + 1 }, '', hash);
+        }
+        
+        if (silent) {
+            const { path, query } = Router.parse(hash);
+            const found = this.match(path);
+            this.current = { path, query, pattern: found?.route.pattern, params: found?.params || {} };
+            return;
+        }
+        return this.resolve();
+    }
+    
+    depth() {
+        return history.state?.depth || 0;
+    }
+    
+    // history.back() when we navigated here ourselves, so the page isn't pushed twice;
+    // otherwise (deep link, reload) replace this entry with `fallback`
+    back(fallback = this.fallback) {
+        if (this.depth() > 0) {
+            history.back();
+        } else {
+            this.navigate(fallback, { replace: true });
+        }
+    }
+}
+
+// ==================== MAIN APPLICATION CLASS ====================
+// Home page section each page route scrolls to ('/' goes to the top)
+const PAGE_SECTIONS = {
+    '/list': '.progress-section',
+    '/trending': '#trending'
+};
+
+// Sections of <main> that replace the home page while their route is open
+const ROUTED_VIEWS = ['animeDetailView', 'searchView', 'seasonView'];
+
+// Bootstrap modals that have their own route
+const ROUTED_MODALS = {
+    statisticsModal: '/stats',
+    settingsModal: '/settings',
+    accountModal: '/account'
+};
+
+class OtakuTrackApp {
+    constructor() {
+        this.api = new APIService();
+        this.tracker = new ProgressTracker();
+        this.notifications = new NotificationSystem();
+        this.importExport = new ImportExportService(this.tracker);
+        this.undo = new UndoManager(this.tracker);
+        this.accounts = new AccountSync(this.tracker, this.importExport);
+        this.schedule = new ScheduleService(this.api);
+        this.recommender = new RecommendationEngine(this.api, this.tracker);
+        this.statistics = new StatisticsService(this.tracker, this.api);
+        this.deviceSync = new DeviceSync(this.tracker);
+        
+        const route = Router.parse(location.hash);
+        this.listQuery = ListQuery.restore(
+            localStorage,
+            route.path === '/list' ? route.query.toString() : location.search,
+            { status: settings.get('defaultFilter') }
+        );
+        this.listFacets = { genres: [], formats: [] };
+        this.listLabels = { lists: [], tags: [] };
+        this.progressList = new ProgressListView(document.getElementById('currentProgressItems'), {
+            tracker: this.tracker,
+            api: this.api,
+            schedule: this.schedule,
+            query: this.listQuery,
+            renderCard: (key, details, entry) => this.createProgressCard(key, details, entry),
+            renderEmpty: (loading) => this.createProgressEmptyState(loading),
+            onDetails: (key, details) => this.statistics.rememberDetails(key, details),
+            onRefresh: (items) => this.updateListFacets(items)
+        });
+        this.currentView = settings.get('defaultView');
+        this.trendingPeriod = CONFIG.trending.periods[0];
+        this.searchCache = new Map();
+        this.charts = {};
+        this.statisticsData = null;
+        this.activityPeriod = 'week';
+        this.detail = null;
+        this.detailPreview = null;
+        this.searchPage = null;
+        this.seasonChart = null;
+        this.activeView = null;
+        this.viewScroll = {};
+        this.router = null;
+        this.lastPageRoute = '#/';
+        
+        this.init();
+    }
+    
+    async init() {
+        this.applyTheme();
+        this.setupEventListeners();
+        this.setupScrollListener();
+        this.initializeTooltips();
+        this.updateFilterButtons();
+        this.updateStatusFilterLabels();
+        this.renderListControls();
+        this.setView(this.currentView);
+        await this.tracker.ready;
+        this.updateListLabels();
+        await this.completeAccountLink();
+        this.setupRouter();
+        this.syncDevices();
+        await this.loadInitialData();
+        this.updateStats();
+    }
+    
+    setupEventListeners() {
+        // Search functionality
+        const searchInput = document.getElementById('searchInput');
+        const searchButton = document.getElementById('searchButton');
+        const newTitleSearch = document.getElementById('newTitleSearch');
+        
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce(
+                (e) => this.handleSearch(e.target.value), 
+                CONFIG.debounce.search
+            ));
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.searchFor(searchInput.value);
+            });
+        }
+        
+        if (searchButton) {
+            searchButton.addEventListener('click', () => 
+                this.searchFor(searchInput.value));
+        }
+        
+        if (newTitleSearch) {
+            newTitleSearch.addEventListener('input', Utils.debounce(
+                (e) => this.handleNewTitleSearch(e.target.value),
+                CONFIG.debounce.search
+            ));
+        }
+        
+        const addMediaTypeSelect = document.getElementById('addMediaTypeSelect');
+        if (addMediaTypeSelect) {
+            addMediaTypeSelect.addEventListener('change', (e) => this.setAddMediaType(e.target.value));
+        }
+        
+        // Modal controls
+        this.setupModalControls();
+        
+        // Progress controls
+        this.setupProgressControls();
+        
+        // Quick actions
+        this.setupQuickActions();
+        
+        // Filter and view controls
+        this.setupFilterControls();
+        
+        // Import / export
+        this.setupImportExport();
+        
+        // Device sync status and online/offline handling
+        this.setupDeviceSync();
+        
+        // Statistics dashboard
+        this.setupStatistics();
+        
+        // Settings modal and live updates
+        this.setupSettings();
+        
+        // Linked MyAnimeList / AniList accounts
+        this.setupAccounts();
+        
+        // Search page facets
+        this.setupSearchPage();
+        
+        // Seasonal chart season picker
+        this.setupSeasonChart();
+        
+        // data-action buttons inside rendered cards and lists
+        this.setupActions();
+        
+        // FAB
+        const fab = document.getElementById('quickAddBtn');
+        if (fab) {
+            fab.addEventListener('click', () => this.showAddModal());
+        }
+        
+        // Close dropdowns when clicking outside
+        document.addEventListener('click', (e) => this.handleOutsideClick(e));
+        
+        // Undo / redo shortcuts
+        document.addEventListener('keydown', (e) => this.handleUndoShortcut(e));
+        
+        // Subscribe to progress changes
+        this.tracker.subscribe(() => this.updateStats());
+        this.tracker.subscribe(() => this.updateListLabels());
+        this.tracker.subscribe((_, change) => this.progressList.handleChange(change));
+        this.tracker.subscribe((_, change) => this.handleDetailChange(change));
+        this.tracker.subscribe(() => this.handleRoutedViewChange());
+        
+        // Tell the user when a metadata source goes down or recovers
+        this.api.providers.subscribe((health) => this.handleProviderHealth(health));
+    }
+    
+    setupModalControls() {
+        const addNewProgressBtn = document.getElementById('addNewProgressBtn');
+        const closeAddModal = document.getElementById('closeAddModal');
+        const cancelAddProgressBtn = document.getElementById('cancelAddProgressBtn');
+        const confirmAddProgressBtn = document.getElementById('confirmAddProgressBtn');
+        
+        if (addNewProgressBtn) {
+            addNewProgressBtn.addEventListener('click', () => this.showAddModal());
+        }
+        
+        if (closeAddModal) {
+            closeAddModal.addEventListener('click', () => this.hideAddModal());
+        }
+        
+        if (cancelAddProgressBtn) {
+            cancelAddProgressBtn.addEventListener('click', () => this.hideAddModal());
+        }
+        
+        if (confirmAddProgressBtn) {
+            confirmAddProgressBtn.addEventListener('click', () => this.addNewAnime());
+        }
+        
+        // Progress modal
+        const saveProgressBtn = document.getElementById('saveProgressBtn');
+        const removeAnimeBtn = document.getElementById('removeAnimeBtn');
+        
+        if (saveProgressBtn) {
+            saveProgressBtn.addEventListener('click', () => this.saveAnimeProgress());
+        }
+        
+        if (removeAnimeBtn) {
+            removeAnimeBtn.addEventListener('click', () => this.removeAnime());
+        }
+        
+        // Update progress preview when values change
+        const currentChapter = document.getElementById('currentChapter');
+        const totalChapters = document.getElementById('totalChapters');
+        
+        if (currentChapter && totalChapters) {
+            [currentChapter, totalChapters].forEach(input => {
+                input.addEventListener('input', () => this.updateProgressPreview());
+            });
+        }
+        
+        // Rewatch fields follow the status and the rewatching switch
+        const statusSelectModal = document.getElementById('statusSelectModal');
+        const rewatchingSwitch = document.getElementById('rewatchingSwitch');
+        
+        if (statusSelectModal && rewatchingSwitch) {
+            [statusSelectModal, rewatchingSwitch].forEach(input => {
+                input.addEventListener('change', () => this.updateRewatchFields());
+            });
+        }
+        
+        // Category scores roll up into the overall rating as they change
+        const subScoreFields = document.getElementById('subScoreFields');
+        
+        if (subScoreFields) {
+            ['input', 'change'].forEach(type => {
+                subScoreFields.addEventListener(type, () => this.updateOverallScore());
+            });
+        }
+        
+        // Custom lists and notes
+        const newListInput = document.getElementById('newListInput');
+        const addListBtn = document.getElementById('addListBtn');
+        const notesPreviewBtn = document.getElementById('entryNotesPreviewBtn');
+        
+        if (newListInput && addListBtn) {
+            addListBtn.addEventListener('click', () => this.addEntryListOption());
+            newListInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.addEntryListOption();
+                }
+            });
+        }
+        
+        if (notesPreviewBtn) {
+            notesPreviewBtn.addEventListener('click', () => this.setNotesPreview(notesPreviewBtn.getAttribute('aria-pressed') !== 'true'));
+        }
+    }
+    
+    setupProgressControls() {
+        const mediaTypeFilter = document.getElementById('mediaTypeFilter');
+        if (mediaTypeFilter) {
+            mediaTypeFilter.addEventListener('change', (e) => this.setMediaTypeFilter(e.target.value));
+        }
+        
+        const listSearch = document.getElementById('listSearchInput');
+        if (listSearch) {
+            listSearch.addEventListener('input', Utils.debounce(
+                (e) => this.updateListQuery({ search: e.target.value }),
+                CONFIG.debounce.search
+            ));
+        }
+        
+        const sortSelect = document.getElementById('listSortSelect');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => this.updateListQuery({ sort: e.target.value }));
+        }
+        
+        const sortOrderBtn = document.getElementById('listSortOrderBtn');
+        if (sortOrderBtn) {
+            sortOrderBtn.addEventListener('click', () => this.updateListQuery({
+                order: this.listQuery.state.order === 'asc' ? 'desc' : 'asc'
+            }));
+        }
+        
+        const filterForm = document.getElementById('listFilterForm');
+        if (filterForm) {
+            filterForm.addEventListener('change', () => this.updateListQuery(this.readListFilters()));
+            filterForm.addEventListener('submit', (e) => e.preventDefault());
+        }
+        
+        const clearFiltersBtn = document.getElementById('clearListFiltersBtn');
+        if (clearFiltersBtn) {
+            clearFiltersBtn.addEventListener('click', () => this.clearListFilters());
+        }
+        
+        // Filter buttons
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('filter-btn')) {
+                const filter = e.target.dataset.filter;
+                this.setFilter(filter);
+            }
+            
+            if (e.target.classList.contains('view-btn')) {
+                const view = e.target.dataset.view;
+                this.setView(view);
+            }
+        });
+    }
+    
+    setupQuickActions() {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.quick-action-card')) {
+                const action = e.target.closest('.quick-action-card').dataset.action;
+                this.handleQuickAction(action);
+            }
+        });
+    }
+    
+    setupFilterControls() {
+        // Trending tabs
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('tab-btn')) {
+                const tab = e.target.dataset.tab;
+                this.setTrendingTab(tab);
+            }
+        });
+    }
+    
+    setupImportExport() {
+        const menuItem = document.getElementById('importExportMenuItem');
+        const fileInput = document.getElementById('importFileInput');
+        const confirmImportBtn = document.getElementById('confirmImportBtn');
+        
+        if (menuItem) {
+            menuItem.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showImportExportModal();
+            });
+        }
+        
+        document.querySelectorAll('.export-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.exportLibrary(btn.dataset.format));
+        });
+        
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => this.handleImportFile(e.target.files[0]));
+        }
+        
+        if (confirmImportBtn) {
+            confirmImportBtn.addEventListener('click', () => this.confirmImport());
+        }
+    }
+    
+    setupDeviceSync() {
+        this.deviceSync.subscribe(() => this.renderSyncStatus());
+        this.renderSyncStatus();
+        
+        window.addEventListener('online', () => {
+            this.notifications.show('Back online', CONFIG.notifications.SUCCESS, 3000);
+            this.renderSyncStatus();
+            this.syncDevices();
+        });
+        
+        window.addEventListener('offline', () => {
+            this.renderSyncStatus();
+            this.notifications.show(
+                DeviceSync.isEnabled()
+                    ? "You're offline. Changes are saved on this device and will sync when you reconnect."
+                    : "You're offline. Changes are saved on this device only; set a sync endpoint to share them with your other devices.",
+                CONFIG.notifications.WARNING
+            );
+        });
+        
+        if (DeviceSync.isEnabled()) {
+            setInterval(() => this.syncDevices(), CONFIG.sync.interval);
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') this.syncDevices();
+            });
+        }
+    }
+    
+    // Rendered markup carries data-action attributes instead of inline handlers; one listener
+    // dispatches them, and the innermost action wins so card buttons don't also open the card
+    setupActions() {
+        const actions = {
+            'open-entry': ({ id, title, image }) => this.openAnimeModal(id, title, image),
+            'quick-update': ({ id, value }) => this.quickUpdateProgress(id, Number(value)),
+            'start-rewatch': ({ id }) => this.startRewatch(id),
+            'select-search-result': ({ id, title, image }) => this.selectSearchResult(id, title, image),
+            'select-new-title': ({ id, title, image, total, volumes }) =>
+                this.selectNewAnime(id, title, image, Number(total), Number(volumes)),
+            'add-title': () => this.showAddModal(),
+            'add-search-result': (data) => this.addSearchResult(data),
+            'toggle-season-pick': ({ id }, target) => this.toggleSeasonPick(id, target),
+            'pick-season-group': ({ group }) => this.pickSeasonGroup(group),
+            'clear-season-picks': () => this.clearSeasonPicks(),
+            'add-season-picks': () => this.addSeasonPicks(),
+            'open-detail': ({ id, title, image }) => this.openAnimeDetail(id, title ? { id, title, image, genres: [] } : null),
+            'close-detail': () => this.router.back(this.lastPageRoute),
+            'save-detail-progress': () => this.saveDetailProgress(),
+            'remove-detail-entry': () => this.removeDetailEntry(),
+            'toggle-episode': ({ episode }, target) => this.toggleEpisode(Number(episode), target.checked),
+            'more-episodes': () => this.loadMoreEpisodes(),
+            'show-all-characters': () => {
+                this.detail.showAllCharacters = true;
+                this.renderDetailCharacters();
+            },
+            'link-account': ({ name }) => this.linkAccount(name),
+            'sync-account': ({ name }) => this.syncAccount(name),
+            'unlink-account': ({ name }) => this.unlinkAccount(name),
+            'resolve-sync-conflicts': ({ name }) => this.resolveSyncConflicts(name),
+            'logout': () => this.logout(),
+            'sync-now': () => this.syncDevices(true)
+        };
+        
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            const action = target && actions[target.dataset.action];
+            if (!action) return;
+            
+            if (target.tagName === 'A') {
+                e.preventDefault();
+            }
+            action(target.dataset, target);
+        });
+    }
+    
+    // The menu and footer links open `#/stats`; see setupRouter()
+    setupStatistics() {
+        const content = document.getElementById('statisticsContent');
+        if (content) {
+            content.addEventListener('click', (e) => {
+                const exportBtn = e.target.closest('.chart-export-btn');
+                if (exportBtn) {
+                    this.exportChart(exportBtn.dataset.chart, exportBtn.dataset.format);
+                }
+                
+                const periodBtn = e.target.closest('.chart-period-btn');
+                if (periodBtn) {
+                    this.setActivityPeriod(periodBtn.dataset.period);
+                }
+            });
+        }
+    }
+    
+    setupSettings() {
+        const saveBtn = document.getElementById('saveSettingsBtn');
+        const resetBtn = document.getElementById('resetSettingsBtn');
+        
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveSettings());
+        }
+        
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => this.fillSettingsForm(CONFIG.settings.defaults));
+        }
+        
+        settings.subscribe((values, changed) => this.applySettings(changed));
+        
+        // "Match system" follows the OS theme while the page is open
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+            if (settings.get('theme') === 'auto') this.applyTheme();
+        });
+    }
+    
+    setupScrollListener() {
+        let ticking = false;
+        
+        const updateNavbar = () => {
+            const navbar = document.querySelector('.navbar');
+            if (navbar) {
+                if (window.scrollY > 50) {
+                    navbar.classList.add('scrolled');
+                } else {
+                    navbar.classList.remove('scrolled');
+                }
+            }
+            ticking = false;
+        };
+        
+        window.addEventListener('scroll', () => {
+            if (!ticking) {
+                requestAnimationFrame(updateNavbar);
+                ticking = true;
+            }
+        });
+    }
+    
+    initializeTooltips() {
+        // Initialize Bootstrap tooltips
+        const tooltipTriggerList = [].slice.call(document.querySelectorAll('[data-bs-toggle="tooltip"]'));
+        tooltipTriggerList.map(tooltipTriggerEl => 
+            new bootstrap.Tooltip(tooltipTriggerEl)
+        );
+    }
+    
+    async loadInitialData() {
+        await Promise.all([
+            this.loadUserProgress(),
+            this.loadTrendingAnime(),
+            this.loadRecommendations(),
+            this.loadContinueWatching(),
+            this.loadUpcomingEpisodes()
+        ]);
+    }
+    
+    // Cards render from tracker data right away; ProgressListView fetches details behind them
+    loadUserProgress() {
+        this.progressList.refresh();
+    }
+    
+    createProgressEmptyState(loading) {
+        if (Object.keys(this.tracker.getAllEntries()).length === 0) {
+            return `
+                <div class="empty-state">
+                    <div class="text-center py-5">
+                        <i class="fas fa-plus-circle fa-3x text-muted mb-3"></i>
+                        <h3>Nothing in your list yet</h3>
+                        <p class="text-muted">Start tracking by adding your first anime, manga or light novel!</p>
+                        <button class="btn btn-primary" data-action="add-title">
+                            <i class="fas fa-plus me-2"></i>Add Your First Title
+                        </button>
+                    </div>
+                </div>
+            `;
+        }
+        
+        return loading
+            ? '<div class="text-center py-4">Loading details to apply your filters...</div>'
+            : '<div class="text-center py-4">Nothing found for the selected filters.</div>';
+    }
+    
+    // The current cards stay, dimmed, while another tab loads; a response for a tab that is
+    // no longer selected is dropped (it is still in the API cache for next time)
+    async loadTrendingAnime(period = this.trendingPeriod) {
+        const container = document.getElementById('trendingContent');
+        this.trendingPeriod = period;
+        container.classList.add('is-loading');
+        container.setAttribute('aria-busy', 'true');
+        
+        try {
+            const trending = await this.api.getTrendingAnime(period);
+            if (this.trendingPeriod !== period) return;
+            
+            container.innerHTML = html`${trending.slice(0, CONFIG.trending.limit).map(anime => this.createAnimeCard(anime, 'trending'))}`;
+        } catch (error) {
+            if (this.trendingPeriod !== period) return;
+            
+            console.error('Failed to load trending anime:', error);
+            container.innerHTML = '<div class="text-center py-4">Failed to load trending anime.</div>';
+        }
+        
+        container.classList.remove('is-loading');
+        container.removeAttribute('aria-busy');
+    }
+    
+    async loadRecommendations() {
+        const container = document.getElementById('recommendations');
+        
+        try {
+            const recommendations = await this.recommender.recommend(4);
+            
+            container.innerHTML = recommendations.length > 0
+                ? html`${recommendations.map(anime => this.createAnimeCard(anime, 'recommendation'))}`
+                : '<div class="text-center py-4">No recommendations yet.</div>';
+        } catch (error) {
+            console.error('Failed to load recommendations:', error);
+            container.innerHTML = '<div class="text-center py-4">Failed to load recommendations.</div>';
+        }
+    }
+    
+    async loadContinueWatching() {
+        const container = document.getElementById('continue-watching');
+        // Rewatches count as in progress too
+        const inProgress = {
+            ...this.tracker.getEntriesByStatus(['watching', 'reading']),
+            ...Object.fromEntries(Object.entries(this.tracker.getEntriesByStatus('completed')).filter(([, entry]) => entry.rewatching))
+        };
+        
+        if (Object.keys(inProgress).length === 0) {
+            container.innerHTML = `
+                <div class="col-12 text-center py-4">
+                    <p>Nothing in progress right now. <a href="#" data-action="add-title">Add something</a> to get started!</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const entries = Object.entries(inProgress)
+            .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0))
+            .slice(0, 4);
+        
+        const cards = await Promise.all(entries.map(async ([key, data]) => {
+            try {
+                const details = await this.api.getMediaDetails(data.id || key, data.mediaType) || this.createFallbackAnime(key, data);
+                this.statistics.rememberDetails(key, details);
+                return this.createContinueWatchingCard(key, details, data);
+            } catch (error) {
+                console.error(`Failed to load ${key}:`, error);
+                return null;
+            }
+        }));
+        
+        container.innerHTML = html`${cards}`;
+    }
+    
+    async loadUpcomingEpisodes() {
+        const container = document.getElementById('upcoming-releases');
+        const watchingAnime = this.tracker.getEntriesByStatus('watching', 'anime');
+        
+        const schedules = (await this.schedule.getUpcoming(watchingAnime))
+            .filter(item => item.nextAirDate || item.behindBy > 0)
+            .slice(0, 5);
+        
+        if (schedules.length === 0) {
+            container.innerHTML = '<div class="text-center py-4">No upcoming episodes.</div>';
+        } else {
+            container.innerHTML = html`${schedules.map(item => {
+                const airTime = item.nextAirDate
+                    ? new Intl.DateTimeFormat(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' }).format(item.nextAirDate)
+                    : null;
+                
+                return html`
+                    <div class="upcoming-item">
+                        <div>
+                            <div class="upcoming-title">${item.title}</div>
+                            <div class="upcoming-time">
+                                ${item.nextAirDate ? `Episode ${item.nextEpisode} • ${airTime}` : 'Finished airing'}
+                            </div>
+                            ${item.behindBy > 0 ? html`
+                                <span class="badge bg-warning text-dark mt-1">${item.behindBy} episode${item.behindBy === 1 ? '' : 's'} behind</span>
+                            ` : ''}
+                        </div>
+                        ${item.nextAirDate ? html`
+                            <span class="badge bg-primary countdown" data-air-time="${item.nextAirDate.getTime()}">
+                                ${Utils.formatCountdown(item.nextAirDate - Date.now())}
+                            </span>
+                        ` : ''}
+                    </div>
+                `;
+            })}`;
+        }
+        
+        this.startCountdowns();
+    }
+    
+    startCountdowns() {
+        if (this.countdownTimer) return;
+        
+        this.countdownTimer = setInterval(() => {
+            let aired = false;
+            
+            document.querySelectorAll('.countdown[data-air-time]').forEach(badge => {
+                const remaining = parseInt(badge.dataset.airTime) - Date.now();
+                badge.textContent = Utils.formatCountdown(remaining);
+                if (remaining <= 0) aired = true;
+            });
+            
+            // An episode just aired: recompute next slots and behind counts
+            if (aired) {
+                this.loadUpcomingEpisodes();
+            }
+        }, 60 * 1000);
+    }
+    
+    // ==================== SEARCH FUNCTIONALITY ====================
+    async handleSearch(query) {
+        const resultsContainer = document.getElementById('searchResults');
+        
+        if (!query || query.length < 2) {
+            resultsContainer.style.display = 'none';
+            return;
+        }
+        
+        resultsContainer.style.display = 'block';
+        resultsContainer.innerHTML = '<div class="p-3">Searching...</div>';
+        
+        try {
+            const results = await this.api.searchAnime(query);
+            
+            if (results.data.length === 0) {
+                resultsContainer.innerHTML = '<div class="p-3">No results found</div>';
+                return;
+            }
+            
+            // The dropdown previews the first few; the search page has every page and the facets
+            const total = results.pagination?.items?.total;
+            resultsContainer.innerHTML = html`${results.data.slice(0, 5).map(anime => html`
+                <div class="search-result-item p-3 border-bottom" data-action="select-search-result" data-id="${anime.id}" data-title="${anime.title}" data-image="${SafeHTML.url(anime.image)}">
+                    <div class="d-flex align-items-center">
+                        <img src="${SafeHTML.url(anime.image)}" alt="${anime.title}" class="me-3" style="width: 50px; height: 70px; object-fit: cover; border-radius: 8px;">
+                        <div>
+                            <div class="fw-bold">${Utils.getDisplayTitle(anime)}</div>
+                            <div class="small text-muted">${anime.episodes || '?'} episodes • ${anime.score || 'N/A'}/10</div>
+                            <div class="small">${anime.genres.slice(0, 2).join(', ')}</div>
+                        </div>
+                    </div>
+                </div>
+            `)}
+                <a class="d-block p-3 text-center fw-semibold" href="${SearchQuery.href({ query })}">
+                    See all results${total ? ` (${Utils.formatNumber(total)})` : ''}
+                </a>`;
+        } catch (error) {
+            console.error('Search failed:', error);
+            resultsContainer.innerHTML = '<div class="p-3 text-danger">Search failed</div>';
+        }
+    }
+    
+    async handleNewTitleSearch(query) {
+        const resultsContainer = document.getElementById('newTitleResults');
+        const confirmBtn = document.getElementById('confirmAddProgressBtn');
+        
+        if (!query || query.length < 2) {
+            resultsContainer.style.display = 'none';
+            confirmBtn.disabled = true;
+            return;
+        }
+        
+        resultsContainer.style.display = 'block';
+        resultsContainer.innerHTML = '<div class="p-3">Searching...</div>';
+        
+        const mediaType = this.addMediaType || 'anime';
+        const isRead = StorageMigrator.isReadType(mediaType);
+        
+        try {
+            const results = await this.api.searchMedia(query, mediaType);
+            
+            if (results.data.length === 0) {
+                resultsContainer.innerHTML = '<div class="p-3">No results found</div>';
+                confirmBtn.disabled = true;
+                return;
+            }
+            
+            resultsContainer.innerHTML = html`${results.data.slice(0, 5).map(anime => {
+                const total = isRead ? anime.chapters : anime.episodes;
+                return html`
+                    <div class="search-result-item p-3 border-bottom" data-action="select-new-title" data-id="${anime.id}" data-title="${anime.title}" data-image="${SafeHTML.url(anime.image)}" data-total="${total || 0}" data-volumes="${anime.volumes || 0}">
+                        <div class="d-flex align-items-center">
+                            <img src="${SafeHTML.url(anime.image)}" alt="${anime.title}" class="me-3" style="width: 50px; height: 70px; object-fit: cover; border-radius: 8px;">
+                            <div>
+                                <div class="fw-bold">${Utils.getDisplayTitle(anime)}</div>
+                                <div class="small text-muted">${total || '?'} ${isRead ? 'chapters' : 'episodes'} • ${anime.score || 'N/A'}/10</div>
+                                <div class="small">${anime.genres.slice(0, 2).join(', ')}</div>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            })}`;
+        } catch (error) {
+            console.error('Search failed:', error);
+            resultsContainer.innerHTML = '<div class="p-3 text-danger">Search failed</div>';
+            confirmBtn.disabled = true;
+        }
+    }
+    
+    selectSearchResult(id, title, image) {
+        // Hide search results
+        document.getElementById('searchResults').style.display = 'none';
+        document.getElementById('searchInput').value = '';
+        
+        this.openAnimeDetail(id, { id, title, image, genres: [] });
+    }
+    
+    selectNewAnime(id, title, image, total, volumes = 0) {
+        this.selectedAnime = { id, title, image, total, volumes };
+        
+        // Update form
+        document.getElementById('newTitleSearch').value = title;
+        document.getElementById('totalProgressInput').value = total || '';
+        document.getElementById('totalVolumeInput').value = volumes || '';
+        document.getElementById('confirmAddProgressBtn').disabled = false;
+        
+        // Hide results
+        document.getElementById('newTitleResults').style.display = 'none';
+    }
+    
+    // ==================== MODAL FUNCTIONALITY ====================
+    showAddModal() {
+        const modal = document.getElementById('addProgressModal');
+        modal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+        
+        // Reset form
+        this.resetAddModal();
+    }
+    
+    hideAddModal() {
+        const modal = document.getElementById('addProgressModal');
+        modal.style.display = 'none';
+        document.body.style.overflow = '';
+        
+        this.resetAddModal();
+    }
+    
+    resetAddModal() {
+        document.getElementById('newTitleSearch').value = '';
+        document.getElementById('currentProgressInput').value = '0';
+        document.getElementById('totalProgressInput').value = '';
+        document.getElementById('currentVolumeInput').value = '0';
+        document.getElementById('totalVolumeInput').value = '';
+        Scoring.replaceInput('ratingSelect', null);
+        document.getElementById('confirmAddProgressBtn').disabled = true;
+        document.getElementById('newTitleResults').style.display = 'none';
+        this.selectedAnime = null;
+        this.setAddMediaType(document.getElementById('addMediaTypeSelect').value);
+    }
+    
+    // Switch the add form between episode and chapter/volume counters
+    setAddMediaType(mediaType) {
+        const isRead = StorageMigrator.isReadType(mediaType);
+        const { unit } = Utils.getProgressFields(mediaType);
+        const label = Utils.getMediaTypeLabel(mediaType);
+        
+        this.addMediaType = mediaType;
+        document.getElementById('addModalTitle').textContent = `Add New ${label}`;
+        document.getElementById('newTitleSearchLabel').textContent = `Search for ${label}`;
+        document.getElementById('newTitleSearch').placeholder = `Search ${label.toLowerCase()}...`;
+        document.getElementById('currentProgressLabel').textContent = `Current ${unit}`;
+        document.getElementById('totalProgressLabel').textContent = `Total ${unit}s`;
+        document.getElementById('addVolumeFields').style.display = isRead ? '' : 'none';
+        this.renderStatusOptions(document.getElementById('statusSelect'), mediaType);
+        
+        // Results and selection from the previous type no longer apply
+        if (this.selectedAnime) {
+            this.selectedAnime = null;
+            document.getElementById('newTitleSearch').value = '';
+            document.getElementById('confirmAddProgressBtn').disabled = true;
+        }
+        document.getElementById('newTitleResults').style.display = 'none';
+    }
+    
+    renderStatusOptions(select, mediaType, selected = Utils.getDefaultStatus(mediaType)) {
+        select.innerHTML = html`${CONFIG.mediaTypes[mediaType].statuses.map(status => html`
+            <option value="${status}" ${status === selected ? 'selected' : ''}>${Utils.getStatusLabel(status)}</option>
+        `)}`;
+    }
+    
+    async openAnimeModal(id, title, image) {
+        const modal = new bootstrap.Modal(document.getElementById('progressModal'));
+        const progress = this.tracker.getEntry(id);
+        const mediaType = progress?.mediaType || 'anime';
+        const isRead = StorageMigrator.isReadType(mediaType);
+        const counts = progress ? Utils.getEntryProgress(progress) : { current: 0, total: null, unit: 'Episode' };
+        
+        // Set modal content
+        document.getElementById('modalAnimeImage').src = SafeHTML.url(image, PLACEHOLDER_IMAGE);
+        document.getElementById('mediaTitle').value = title;
+        document.getElementById('currentChapterLabel').textContent = `Current ${counts.unit}`;
+        document.getElementById('totalChaptersLabel').textContent = `Total ${counts.unit}s`;
+        document.getElementById('modalVolumeFields').style.display = isRead ? '' : 'none';
+        this.renderStatusOptions(
+            document.getElementById('statusSelectModal'),
+            mediaType,
+            progress?.status || Utils.getDefaultStatus(mediaType)
+        );
+        
+        document.getElementById('currentChapter').value = counts.current;
+        document.getElementById('totalChapters').value = counts.total || '';
+        document.getElementById('currentVolume').value = progress?.currentVolume || 0;
+        document.getElementById('totalVolumes').value = progress?.totalVolumes || '';
+        Scoring.replaceInput('userRating', progress?.rating);
+        this.renderSubScoreInputs(progress?.subScores);
+        document.getElementById('entryStartedAt').value = progress?.startedAt || '';
+        document.getElementById('entryFinishedAt').value = progress?.finishedAt || '';
+        document.getElementById('rewatchCount').value = progress?.rewatchCount || 0;
+        document.getElementById('rewatchingSwitch').checked = Boolean(progress?.rewatching);
+        document.getElementById('rewatchProgress').value = progress?.rewatching ? progress.rewatchProgress || 0 : 0;
+        this.renderRewatchLabels(mediaType);
+        this.updateRewatchFields();
+        document.getElementById('entryTags').value = (progress?.tags || []).join(', ');
+        document.getElementById('entryNotes').value = progress?.notes || '';
+        document.getElementById('newListInput').value = '';
+        this.renderEntryListOptions(progress?.lists || []);
+        this.setNotesPreview(false);
+        
+        this.currentAnimeId = id;
+        this.updateProgressPreview();
+        this.renderHistory(id);
+        modal.show();
+    }
+    
+    renderRewatchLabels(mediaType) {
+        const { unit, repeat, repeated } = Utils.getProgressFields(mediaType);
+        document.getElementById('rewatchCountLabel').textContent = `Times ${repeated}`;
+        document.getElementById('rewatchingLabel').textContent = `${repeat}ing`;
+        document.getElementById('rewatchProgressLabel').textContent = `${repeat} ${unit}`;
+    }
+    
+    // Rewatching is only offered for completed titles
+    updateRewatchFields() {
+        const rewatching = document.getElementById('rewatchingSwitch');
+        const completed = document.getElementById('statusSelectModal').value === 'completed';
+        
+        rewatching.disabled = !completed;
+        document.getElementById('rewatchProgressField').hidden = !(completed && rewatching.checked);
+    }
+    
+    renderSubScoreInputs(subScores = {}) {
+        document.getElementById('subScoreFields').innerHTML = html`${Object.entries(CONFIG.scoring.categories).map(([category, label]) => html`
+            <div class="col-6 col-md-4">
+                <label for="${category}Score" class="form-label small mb-1">${label}</label>
+                ${Scoring.renderInput({ id: `${category}Score`, name: category, score: subScores?.[category], small: true })}
+            </div>
+        `)}`;
+        this.updateOverallScore();
+    }
+    
+    readSubScores() {
+        const { categories } = CONFIG.scoring;
+        return Scoring.normalizeCategories(Object.keys(categories).reduce((scores, category) => (
+            { ...scores, [category]: Scoring.read(document.getElementById(`${category}Score`)) }
+        ), {}));
+    }
+    
+    // With any category scored the overall rating is their average and can't be picked by hand
+    updateOverallScore() {
+        const overall = document.getElementById('userRating');
+        const average = Scoring.average(this.readSubScores());
+        
+        if (average !== null) {
+            Scoring.write(overall, average);
+        } else if (overall.disabled) {
+            Scoring.write(overall, null);
+        }
+        overall.disabled = average !== null;
+    }
+    
+    // One checkbox per custom list in use, ticked for the lists in `selected`
+    renderEntryListOptions(selected) {
+        const names = Utils.parseNames([...this.tracker.getLabels('lists'), ...selected]);
+        const container = document.getElementById('entryListOptions');
+        
+        container.innerHTML = names.length
+            ? html`${names.map((name, index) => html`
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" id="entryList${index}" value="${name}" ${Utils.hasName(selected, name) ? 'checked' : ''}>
+                    <label class="form-check-label" for="entryList${index}">${name}</label>
+                </div>
+            `)}`
+            : html`<p class="small text-muted mb-0">No custom lists yet. Name one below to start.</p>`;
+    }
+    
+    // The list only exists once the entry is saved in it
+    addEntryListOption() {
+        const input = document.getElementById('newListInput');
+        const [name] = Utils.parseNames([input.value]);
+        if (!name) return;
+        
+        this.renderEntryListOptions(Utils.parseNames([...this.readEntryLists(), name]));
+        input.value = '';
+    }
+    
+    readEntryLists() {
+        return [...document.querySelectorAll('#entryListOptions input:checked')].map(input => input.value);
+    }
+    
+    setNotesPreview(preview) {
+        const notes = document.getElementById('entryNotes');
+        const container = document.getElementById('entryNotesPreview');
+        const button = document.getElementById('entryNotesPreviewBtn');
+        
+        if (preview) {
+            container.innerHTML = notes.value.trim()
+                ? Markdown.render(notes.value)
+                : html`<p class="text-muted">Nothing to preview.</p>`;
+        }
+        notes.hidden = preview;
+        container.hidden = !preview;
+        button.textContent = preview ? 'Edit' : 'Preview';
+        button.setAttribute('aria-pressed', String(preview));
+    }
+    
+    renderHistory(id) {
+        const container = document.getElementById('modalHistory');
+        if (!container) return;
+        
+        const entry = this.tracker.getEntry(id);
+        const { unit, repeat } = Utils.getProgressFields(entry?.mediaType);
+        const sourceLabels = {
+            [CONFIG.historySources.QUICK]: `+1 ${unit}`,
+            [CONFIG.historySources.MODAL]: 'Edited',
+            [CONFIG.historySources.IMPORT]: 'Imported',
+            [CONFIG.historySources.EPISODE]: 'Episode list',
+            [CONFIG.historySources.SEASONAL]: 'Seasonal chart',
+            [CONFIG.historySources.UNDO]: 'Undo',
+            [CONFIG.historySources.REDO]: 'Redo',
+            [CONFIG.historySources.SYNC]: 'Synced'
+        };
+        const history = [...this.tracker.getHistory(id)].reverse();
+        
+        if (history.length === 0) {
+            container.innerHTML = '<li class="text-muted small">No changes recorded yet.</li>';
+            return;
+        }
+        
+        const was = (previous) => previous !== undefined ? html` <span class="text-muted">(was ${previous})</span>` : '';
+        const counter = (event) => event.chapter !== undefined
+            ? html`Chapter ${event.chapter}${was(event.previousChapter)}${event.volume ? html` • Vol. ${event.volume}${was(event.previousVolume)}` : ''}`
+            : html`Episode ${event.episode}${was(event.previousEpisode)}`;
+        const rewatch = (event) => {
+            if (event.rewatchCount && event.previousRewatch !== undefined) return html` • Finished ${repeat.toLowerCase()} #${event.rewatchCount}`;
+            if (event.rewatching === true) return html` • Started a ${repeat.toLowerCase()}`;
+            if (event.rewatching === false) return html` • Stopped the ${repeat.toLowerCase()}`;
+            if (event.previousRewatch !== undefined) return html` • ${repeat}: ${unit} ${event.rewatch}${was(event.previousRewatch)}`;
+            return '';
+        };
+        
+        container.innerHTML = html`${history.map(event => html`
+            <li class="history-item">
+                <div>
+                    ${counter(event)}${rewatch(event)}
+                    ${event.previousStatus ? html` • ${Utils.getStatusLabel(event.previousStatus)} &rarr; ${Utils.getStatusLabel(event.status)}` : ''}
+                </div>
+                <div class="small text-muted">${sourceLabels[event.source] || event.source} • ${Utils.formatDateTime(event.at)}</div>
+            </li>
+        `)}`;
+    }
+    
+    // ==================== PROGRESS MANAGEMENT ====================
+    async addNewAnime() {
+        if (!this.selectedAnime) {
+            this.notifications.show('Please select an anime from the search results', CONFIG.notifications.WARNING);
+            return;
+        }
+        
+        const mediaType = this.addMediaType || 'anime';
+        const fields = Utils.getProgressFields(mediaType);
+        const status = document.getElementById('statusSelect').value;
+        const rating = Scoring.read(document.getElementById('ratingSelect'));
+        
+        const progressData = {
+            title: this.selectedAnime.title,
+            image: this.selectedAnime.image,
+            [fields.current]: parseInt(document.getElementById('currentProgressInput').value) || 0,
+            [fields.total]: parseInt(document.getElementById('totalProgressInput').value) || null,
+            ...(StorageMigrator.isReadType(mediaType) ? {
+                currentVolume: parseInt(document.getElementById('currentVolumeInput').value) || 0,
+                totalVolumes: parseInt(document.getElementById('totalVolumeInput').value) || null
+            } : {}),
+            status,
+            rating
+        };
+        
+        if (await this.tracker.addEntry(mediaType, this.selectedAnime.id, progressData)) {
+            this.notifyWithUndo(`Added "${this.selectedAnime.title}" to your list!`);
+            this.hideAddModal();
+            await this.refreshProgressViews();
+        } else {
+            this.showStorageError('Failed to add to your list');
+        }
+    }
+    
+    async saveAnimeProgress() {
+        if (!this.currentAnimeId) return;
+        
+        const mediaType = this.tracker.getEntry(this.currentAnimeId)?.mediaType;
+        const fields = Utils.getProgressFields(mediaType);
+        const subScores = this.readSubScores();
+        const status = document.getElementById('statusSelectModal').value;
+        
+        const updateData = {
+            [fields.current]: parseInt(document.getElementById('currentChapter').value) || 0,
+            [fields.total]: parseInt(document.getElementById('totalChapters').value) || null,
+            ...(StorageMigrator.isReadType(mediaType) ? {
+                currentVolume: parseInt(document.getElementById('currentVolume').value) || 0,
+                totalVolumes: parseInt(document.getElementById('totalVolumes').value) || null
+            } : {}),
+            rating: Scoring.average(subScores) ?? Scoring.read(document.getElementById('userRating')),
+            subScores,
+            status,
+            startedAt: document.getElementById('entryStartedAt').value || null,
+            finishedAt: document.getElementById('entryFinishedAt').value || null,
+            rewatchCount: Math.max(0, parseInt(document.getElementById('rewatchCount').value) || 0),
+            rewatching: false,
+            lists: this.readEntryLists(),
+            tags: Utils.parseNames(document.getElementById('entryTags').value),
+            notes: document.getElementById('entryNotes').value.trim()
+        };
+        
+        // Like +1, a rewatch that reaches the total here is finished and counted
+        if (status === 'completed' && document.getElementById('rewatchingSwitch').checked) {
+            const value = parseInt(document.getElementById('rewatchProgress').value) || 0;
+            Object.assign(updateData, ProgressTracker.startRewatch(), ProgressTracker.moveRewatch({ ...updateData, mediaType }, value));
+        }
+        
+        if (await this.tracker.updateEntry(this.currentAnimeId, updateData, { source: CONFIG.historySources.MODAL })) {
+            this.notifyWithUndo('Progress updated successfully!');
+            bootstrap.Modal.getInstance(document.getElementById('progressModal')).hide();
+            this.refreshProgressViews();
+        } else {
+            this.showStorageError('Failed to update progress');
+        }
+    }
+    
+    async removeAnime() {
+        if (!this.currentAnimeId) return;
+        
+        if (confirm('Are you sure you want to remove this title from your list?')) {
+            if (await this.tracker.removeEntry(this.currentAnimeId)) {
+                this.notifyWithUndo('Removed from your list');
+                bootstrap.Modal.getInstance(document.getElementById('progressModal')).hide();
+                this.refreshProgressViews();
+            } else {
+                this.showStorageError('Failed to remove from your list');
+            }
+        }
+    }
+    
+    updateProgressPreview() {
+        const current = parseInt(document.getElementById('currentChapter').value) || 0;
+        const total = parseInt(document.getElementById('totalChapters').value) || 0;
+        
+        const percentage = total > 0 ? Math.min((current / total) * 100, 100) : 0;
+        
+        document.getElementById('progressPercentage').textContent = `${Math.round(percentage)}%`;
+        document.getElementById('progressBar').style.width = `${percentage}%`;
+    }
+    
+    // ==================== FILTER AND VIEW CONTROLS ====================
+    setFilter(filter) {
+        this.updateListQuery({ status: filter });
+        this.updateFilterButtons();
+    }
+    
+    // A reading status (say, a default filter of "Reading") lights up its group's button
+    updateFilterButtons() {
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.remove('active');
+            if (btn.dataset.filter === Utils.getStatusGroup(this.listQuery.state.status)) {
+                btn.classList.add('active');
+            }
+        });
+    }
+    
+    setMediaTypeFilter(mediaType) {
+        this.updateListQuery({ mediaType });
+        this.updateStatusFilterLabels();
+    }
+    
+    // Saves the change, mirrors it into the `#/list` route and re-renders the list
+    updateListQuery(changes) {
+        this.listQuery.set(changes);
+        this.listQuery.save();
+        
+        if (this.router) {
+            this.router.navigate(Router.href('/list', this.listQuery.toParams()), { replace: true, silent: true });
+            this.lastPageRoute = location.hash;
+        }
+        
+        this.renderListControls();
+        this.loadUserProgress();
     }
     
-    setupScrollListener() {
-        let ticking = false;
-        
-        const updateNavbar = () => {
-            const navbar = document.querySelector('.navbar');
-            if (navbar) {
-                if (window.scrollY > 50) {
-                    navbar.classList.add('scrolled');
-                } else {
-                    navbar.classList.remove('scrolled');
-                }
-            }
-            ticking = false;
+    clearListFilters() {
+        this.listQuery.clearFilters();
+        this.updateListQuery({});
+    }
+    
+    readListFilters() {
+        const { elements } = document.getElementById('listFilterForm');
+        return {
+            genre: elements.genre.value,
+            format: elements.format.value,
+            year: elements.year.value,
+            season: elements.season.value,
+            minRating: Scoring.range(elements.minRating.value)?.[0] ?? null,
+            maxRating: Scoring.range(elements.maxRating.value)?.[1] ?? null,
+            unwatched: elements.unwatched.checked,
+            list: elements.list.value,
+            tag: elements.tag.value
+        };
+    }
+    
+    // Genre and type options come from the titles currently in the list
+    updateListFacets(items) {
+        const collect = (pick) => [...new Set(items.flatMap(pick).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+        const facets = {
+            genres: collect(item => item.details.genres || []),
+            formats: collect(item => [item.details.type])
         };
         
-        window.addEventListener('scroll', () => {
-            if (!ticking) {
-                requestAnimationFrame(updateNavbar);
-                ticking = true;
-            }
-        });
+        if (JSON.stringify(facets) !== JSON.stringify(this.listFacets)) {
+            this.listFacets = facets;
+            this.renderListControls();
+        }
     }
     
-    initializeTooltips() {
-        // Initialize Bootstrap tooltips
-        const tooltipTriggerList = [].slice.call(document.querySelectorAll('[data-bs-toggle="tooltip"]'));
-        tooltipTriggerList.map(tooltipTriggerEl => 
-            new bootstrap.Tooltip(tooltipTriggerEl)
-        );
+    // Custom list and tag options come from the entries themselves, so follow tracker changes
+    updateListLabels() {
+        const labels = { lists: this.tracker.getLabels('lists'), tags: this.tracker.getLabels('tags') };
+        
+        if (JSON.stringify(labels) !== JSON.stringify(this.listLabels)) {
+            this.listLabels = labels;
+            this.renderListControls();
+        }
     }
     
-    async loadInitialData() {
-        await Promise.all([
-            this.loadUserProgress(),
-            this.loadTrendingAnime(),
-            this.loadRecommendations(),
-            this.loadContinueWatching(),
-            this.loadUpcomingEpisodes()
-        ]);
+    // The current list query narrowed to one custom list or tag, for the links on cards
+    listLabelHref(field, name) {
+        const params = this.listQuery.toParams();
+        params.set(LIST_QUERY_PARAMS[field], name);
+        return Router.href('/list', params);
     }
     
-    async loadUserProgress() {
-        const container = document.getElementById('currentProgressItems');
-        const progress = this.tracker.getAllAnime();
+    // Reflect the list query in the search box, sort controls and filter panel
+    renderListControls() {
+        const { state, activeFilterCount } = this.listQuery;
+        const options = (select, values, selected, anyLabel) => {
+            const all = selected && !values.includes(selected) ? [...values, selected] : values;
+            select.innerHTML = html`<option value="">${anyLabel}</option>${all.map(value => html`
+                <option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>
+            `)}`;
+        };
         
-        if (Object.keys(progress).length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="text-center py-5">
-                        <i class="fas fa-plus-circle fa-3x text-muted mb-3"></i>
-                        <h3>No anime in your list yet</h3>
-                        <p class="text-muted">Start tracking your anime journey by adding your first series!</p>
-                        <button class="btn btn-primary" onclick="app.showAddModal()">
-                            <i class="fas fa-plus me-2"></i>Add Your First Anime
-                        </button>
-                    </div>
-                </div>
-            `;
-            return;
+        const listSearch = document.getElementById('listSearchInput');
+        if (listSearch && document.activeElement !== listSearch) {
+            listSearch.value = state.search;
         }
         
-        let html = '';
-        const filteredProgress = this.getFilteredProgress(progress);
+        const sortSelect = document.getElementById('listSortSelect');
+        if (sortSelect) {
+            sortSelect.innerHTML = html`${Object.entries(LIST_SORTS).map(([value, label]) => html`
+                <option value="${value}" ${value === state.sort ? 'selected' : ''}>${label}</option>
+            `)}`;
+        }
         
-        for (const [id, data] of Object.entries(filteredProgress)) {
-            try {
-                const animeDetails = await this.api.getAnimeDetails(id) || this.createFallbackAnime(id, data);
-                html += this.createProgressCard(id, animeDetails, data);
-            } catch (error) {
-                console.error(`Failed to load anime ${id}:`, error);
-                const fallbackAnime = this.createFallbackAnime(id, data);
-                html += this.createProgressCard(id, fallbackAnime, data);
-            }
+        const sortOrderBtn = document.getElementById('listSortOrderBtn');
+        if (sortOrderBtn) {
+            const ascending = state.order === 'asc';
+            sortOrderBtn.innerHTML = `<i class="fas fa-sort-amount-${ascending ? 'up' : 'down'}"></i>`;
+            sortOrderBtn.setAttribute('aria-label', ascending ? 'Ascending, switch to descending' : 'Descending, switch to ascending');
         }
         
-        container.innerHTML = html || '<div class="text-center py-4">No anime found for the selected filter.</div>';
-    }
-    
-    async loadTrendingAnime() {
-        const container = document.getElementById('trendingContent');
+        const mediaTypeFilter = document.getElementById('mediaTypeFilter');
+        if (mediaTypeFilter) {
+            mediaTypeFilter.value = state.mediaType;
+        }
         
-        try {
-            const trending = await this.api.getTrendingAnime();
-            let html = '';
-            
-            trending.slice(0, 8).forEach(anime => {
-                html += this.createAnimeCard(anime, 'trending');
-            });
-            
-            container.innerHTML = html;
-        } catch (error) {
-            console.error('Failed to load trending anime:', error);
-            container.innerHTML = '<div class="text-center py-4">Failed to load trending anime.</div>';
+        const filterForm = document.getElementById('listFilterForm');
+        if (filterForm) {
+            const { elements } = filterForm;
+            options(elements.genre, this.listFacets.genres, state.genre, 'Any genre');
+            options(elements.format, this.listFacets.formats, state.format, 'Any type');
+            options(elements.list, this.listLabels.lists, state.list, 'Any list');
+            options(elements.tag, this.listLabels.tags, state.tag, 'Any tag');
+            elements.year.value = state.year ?? '';
+            elements.season.value = state.season;
+            const [min, max, step] = Scoring.inputRange();
+            [elements.minRating, elements.maxRating].forEach(input => Object.assign(input, { min, max, step }));
+            elements.minRating.value = Scoring.toDisplay(state.minRating) ?? '';
+            elements.maxRating.value = Scoring.toDisplay(state.maxRating) ?? '';
+            const scale = { point100: 'out of 100', stars5: 'stars', smiley3: 'smileys, 1-3' }[Scoring.system] || 'out of 10';
+            filterForm.querySelector('label[for="listFilterMinRating"]').textContent = `Your rating (${scale})`;
+            elements.unwatched.checked = state.unwatched;
+        }
+        
+        const filterCount = document.getElementById('listFilterCount');
+        if (filterCount) {
+            filterCount.textContent = activeFilterCount || '';
         }
     }
     
-    async loadRecommendations() {
-        const container = document.getElementById('recommendations');
+    // "Watching" covers "Reading" too; name the buttons after the selected media type
+    updateStatusFilterLabels() {
+        const statuses = CONFIG.mediaTypes[this.listQuery.state.mediaType]?.statuses;
+        const labels = statuses
+            ? { watching: Utils.getStatusLabel(statuses[0]), plan_to_watch: Utils.getStatusLabel(statuses[statuses.length - 1]) }
+            : { watching: 'In Progress', plan_to_watch: 'Planned' };
         
-        try {
-            // Get recommendations based on user's completed anime
-            const completedAnime = this.tracker.getAnimeByStatus('completed');
-            let recommendations = [];
-            
-            if (Object.keys(completedAnime).length > 0) {
-                // In a real app, you'd use recommendation algorithms
-                // For now, just show trending anime as recommendations
-                recommendations = await this.api.getTrendingAnime();
-            } else {
-                recommendations = await this.api.getTrendingAnime();
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            if (labels[btn.dataset.filter]) {
+                btn.textContent = labels[btn.dataset.filter];
             }
-            
-            let html = '';
-            recommendations.slice(0, 4).forEach(anime => {
-                html += this.createAnimeCard(anime, 'recommendation');
-            });
-            
-            container.innerHTML = html;
-        } catch (error) {
-            console.error('Failed to load recommendations:', error);
-            container.innerHTML = '<div class="text-center py-4">Failed to load recommendations.</div>';
-        }
+        });
     }
     
-    async loadContinueWatching() {
-        const container = document.getElementById('continue-watching');
-        const watchingAnime = this.tracker.getAnimeByStatus('watching');
-        
-        if (Object.keys(watchingAnime).length === 0) {
-            container.innerHTML = `
-                <div class="col-12 text-center py-4">
-                    <p>No anime currently being watched. <a href="#" onclick="app.showAddModal()">Add some anime</a> to get started!</p>
-                </div>
-            `;
-            return;
-        }
-        
-        let html = '';
-        const entries = Object.entries(watchingAnime).slice(0, 4);
+    setView(view) {
+        this.currentView = view;
         
-        for (const [id, data] of entries) {
-            try {
-                const animeDetails = await this.api.getAnimeDetails(id) || this.createFallbackAnime(id, data);
-                html += this.createContinueWatchingCard(id, animeDetails, data);
-            } catch (error) {
-                console.error(`Failed to load anime ${id}:`, error);
+        // Update active button
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            btn.classList.remove('active');
+            if (btn.dataset.view === view) {
+                btn.classList.add('active');
             }
+        });
+        
+        // Update grid class
+        const container = document.getElementById('currentProgressItems');
+        if (view === 'list') {
+            container.classList.add('list-view');
+        } else {
+            container.classList.remove('list-view');
         }
         
-        container.innerHTML = html;
+        // Columns (and so the rendered window) depend on the layout
+        this.progressList.renderWindow(true);
     }
     
-    loadUpcomingEpisodes() {
-        const container = document.getElementById('upcoming-releases');
-        const watchingAnime = this.tracker.getAnimeByStatus('watching');
+    setTrendingTab(tab) {
+        if (!CONFIG.trending.periods.includes(tab)) return;
         
-        let html = '';
-        const upcomingEpisodes = this.generateUpcomingEpisodes(watchingAnime);
+        // Update active tab
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            const active = btn.dataset.tab === tab;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active);
+        });
         
-        if (upcomingEpisodes.length === 0) {
-            html = '<div class="text-center py-4">No upcoming episodes.</div>';
-        } else {
-            upcomingEpisodes.forEach(episode => {
-                html += `
-                    <div class="upcoming-item">
-                        <div>
-                            <div class="upcoming-title">${episode.title}</div>
-                            <div class="upcoming-time">Episode ${episode.episode}</div>
-                        </div>
-                        <span class="badge bg-primary">${episode.timeUntil}</span>
-                    </div>
-                `;
-            });
+        this.loadTrendingAnime(tab);
+    }
+    
+    // ==================== QUICK ACTIONS ====================
+    async handleQuickAction(action) {
+        switch (action) {
+            case 'add-anime':
+                this.showAddModal();
+                break;
+            case 'discover':
+            case 'trending':
+                this.router.navigate('/trending');
+                break;
+            case 'random':
+                await this.showRandomAnime();
+                break;
+        }
+    }
+    
+    async showRandomAnime() {
+        try {
+            const randomAnime = await this.api.getRandomAnime();
+            this.openAnimeDetail(randomAnime.id, randomAnime);
+        } catch (error) {
+            this.notifications.show('Failed to get random anime', CONFIG.notifications.ERROR);
         }
-        
-        container.innerHTML = html;
     }
     
-    generateUpcomingEpisodes(watchingAnime) {
-        // This is a mock function - in a real app, you'd get this from an API
-        const episodes = [];
-        const animeEntries = Object.entries(watchingAnime).slice(0, 5);
+    // ==================== ROUTING ====================
+    setupRouter() {
+        // Bookmarks from before the router kept the list filters in the query string
+        if (location.search && !location.hash.startsWith('#/')) {
+            history.replaceState(history.state, '', `${location.pathname}${Router.href('/list', location.search)}`);
+        }
         
-        animeEntries.forEach(([id, data], index) => {
-            const nextEpisode = (data.currentEpisode || 0) + 1;
-            const daysUntil = (index + 1) * 7; // Mock: episodes every week
-            
-            episodes.push({
-                title: data.title || `Anime ${id}`,
-                episode: nextEpisode,
-                timeUntil: daysUntil === 1 ? '1 day' : `${daysUntil} days`
+        this.router = new Router({
+            '/': ({ previous }) => this.showPage('/', previous),
+            '/list': ({ query, previous }) => this.showList(query, previous),
+            '/trending': ({ previous }) => this.showPage('/trending', previous),
+            '/anime/:id': ({ params }) => this.showAnimeRoute(params.id),
+            '/search': ({ query }) => this.showSearchPage(SearchQuery.fromParams(query)),
+            '/seasons': ({ query }) => this.showSeasonChart(Utils.getSeason(), query),
+            '/seasons/:year/:season': ({ params, query }) => this.showSeasonChart(params, query),
+            '/stats': () => this.showRoutedModal('statisticsModal', () => this.showStatistics()),
+            '/settings': () => this.showRoutedModal('settingsModal', () => this.showSettingsModal()),
+            '/account': () => this.showRoutedModal('accountModal', () => this.showAccountModal())
+        });
+        
+        // Closing a routed modal leaves its route, so back/forward and reloads agree with the screen
+        Object.entries(ROUTED_MODALS).forEach(([modalId, path]) => {
+            document.getElementById(modalId)?.addEventListener('hidden.bs.modal', () => {
+                if (this.router.current?.path === path) {
+                    this.router.back(this.lastPageRoute);
+                }
             });
         });
         
-        return episodes;
+        this.router.start();
     }
     
-    // ==================== SEARCH FUNCTIONALITY ====================
-    async handleSearch(query) {
-        const resultsContainer = document.getElementById('searchResults');
+    // '/', '/list' and '/trending' are the home page scrolled to different sections.
+    // Coming back from the detail view or search page restores the home page's scroll instead.
+    showPage(path, previous) {
+        this.closeRoutedModals();
+        this.lastPageRoute = location.hash || '#/';
+        this.updateNavLinks(path);
         
-        if (!query || query.length < 2) {
-            resultsContainer.style.display = 'none';
-            return;
+        if (this.activeView) {
+            this.detail = null;
+            this.setActiveView(null);
+        } else if (previous && previous.path !== path) {
+            const section = PAGE_SECTIONS[path] && document.querySelector(PAGE_SECTIONS[path]);
+            if (section) {
+                section.scrollIntoView({ behavior: 'smooth' });
+            } else {
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            }
         }
+    }
+    
+    // A bare `#/list` (the nav link) keeps the current filters and writes them into the URL;
+    // with parameters, the URL describes the whole list state
+    showList(query, previous) {
+        const params = query.toString();
+        const current = this.listQuery.toParams().toString();
         
-        resultsContainer.style.display = 'block';
-        resultsContainer.innerHTML = '<div class="p-3">Searching...</div>';
+        if (params && params !== current) {
+            this.listQuery.reset({ status: settings.get('defaultFilter'), ...ListQuery.fromParams(query) });
+            this.listQuery.save();
+            this.updateFilterButtons();
+            this.updateStatusFilterLabels();
+            this.renderListControls();
+            this.loadUserProgress();
+        } else if (!params && current) {
+            this.router.navigate(Router.href('/list', current), { replace: true, silent: true });
+        }
         
-        try {
-            const results = await this.api.searchAnime(query);
-            
-            if (results.data.length === 0) {
-                resultsContainer.innerHTML = '<div class="p-3">No results found</div>';
-                return;
-            }
-            
-            let html = '';
-            results.data.slice(0, 5).forEach(anime => {
-                html += `
-                    <div class="search-result-item p-3 border-bottom" onclick="app.selectSearchResult('${anime.id}', '${anime.title}', '${anime.image}')">
-                        <div class="d-flex align-items-center">
-                            <img src="${anime.image}" alt="${anime.title}" class="me-3" style="width: 50px; height: 70px; object-fit: cover; border-radius: 8px;">
-                            <div>
-                                <div class="fw-bold">${anime.title}</div>
-                                <div class="small text-muted">${anime.episodes || '?'} episodes • ${anime.score || 'N/A'}/10</div>
-                                <div class="small">${anime.genres.slice(0, 2).join(', ')}</div>
-                            </div>
-                        </div>
-                    </div>
-                `;
-            });
-            
-            resultsContainer.innerHTML = html;
-        } catch (error) {
-            console.error('Search failed:', error);
-            resultsContainer.innerHTML = '<div class="p-3 text-danger">Search failed</div>';
+        this.showPage('/list', previous);
+    }
+    
+    // Cards and search results pass what they already know so the view isn't blank while loading
+    openAnimeDetail(id, preview = null) {
+        this.detailPreview = preview;
+        this.router.navigate(`/anime/${encodeURIComponent(id)}`);
+    }
+    
+    showAnimeRoute(id) {
+        const preview = String(this.detailPreview?.id) === id ? this.detailPreview : null;
+        this.detailPreview = null;
+        this.closeRoutedModals();
+        this.updateNavLinks(null);
+        return this.showAnimeDetail(id, preview);
+    }
+    
+    searchFor(query) {
+        const q = query.trim();
+        if (q) {
+            this.router.navigate(SearchQuery.href({ query: q }));
         }
     }
     
-    async handleNewTitleSearch(query) {
-        const resultsContainer = document.getElementById('newTitleResults');
-        const confirmBtn = document.getElementById('confirmAddProgressBtn');
+    // Modal routes open over whatever page is showing (the home page after a reload)
+    showRoutedModal(modalId, show) {
+        this.closeRoutedModals(modalId);
+        return show();
+    }
+    
+    closeRoutedModals(except = null) {
+        Object.keys(ROUTED_MODALS)
+            .filter(modalId => modalId !== except)
+            .forEach(modalId => {
+                const element = document.getElementById(modalId);
+                if (element) {
+                    bootstrap.Modal.getInstance(element)?.hide();
+                }
+            });
+    }
+    
+    updateNavLinks(path) {
+        document.querySelectorAll('.navbar-nav .nav-link[href^="#/"]').forEach(link => {
+            const active = link.getAttribute('href') === `#${path}`;
+            link.classList.toggle('active', active);
+            if (active) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+    
+    // The home sections and the ROUTED_VIEWS are siblings in <main>; only one of them shows.
+    // Each keeps its scroll position, so going back lands where the user left off.
+    setActiveView(viewId = null) {
+        if (viewId === this.activeView) return;
         
-        if (!query || query.length < 2) {
-            resultsContainer.style.display = 'none';
-            confirmBtn.disabled = true;
-            return;
+        this.viewScroll[this.activeView || 'home'] = window.scrollY;
+        this.activeView = viewId;
+        document.querySelectorAll('#main-content > section').forEach(section => {
+            section.hidden = viewId ? section.id !== viewId : ROUTED_VIEWS.includes(section.id);
+        });
+        window.scrollTo(0, this.viewScroll[viewId || 'home'] || 0);
+    }
+    
+    // Adding or removing titles elsewhere updates the "in your list" badges of the open view
+    handleRoutedViewChange() {
+        if (this.activeView === 'searchView') {
+            this.renderSearchPage();
+        } else if (this.activeView === 'seasonView') {
+            this.renderSeasonChart();
         }
+    }
+    
+    // ==================== SEARCH PAGE ====================
+    // Every page of results for a title and/or facets. Facet changes replace the current
+    // history entry; a new query and the page links push one.
+    setupSearchPage() {
+        const form = document.getElementById('searchPageForm');
+        if (!form) return;
         
-        resultsContainer.style.display = 'block';
-        resultsContainer.innerHTML = '<div class="p-3">Searching...</div>';
+        const { elements } = form;
+        const { types, statuses, genres, ratings, minScores, firstYear } = CONFIG.search;
+        const lastYear = new Date().getFullYear() + 1;
+        const years = Array.from({ length: lastYear - firstYear + 1 }, (_, index) => lastYear - index);
+        const options = (select, entries, anyLabel) => {
+            select.innerHTML = html`<option value="">${anyLabel}</option>${entries.map(([value, label]) => html`
+                <option value="${value}">${label}</option>
+            `)}`;
+        };
         
-        try {
-            const results = await this.api.searchAnime(query);
-            
-            if (results.data.length === 0) {
-                resultsContainer.innerHTML = '<div class="p-3">No results found</div>';
-                confirmBtn.disabled = true;
-                return;
+        options(elements.type, Object.entries(types), 'Any type');
+        options(elements.status, Object.entries(statuses), 'Any status');
+        options(elements.genre, Object.keys(genres).map(genre => [genre, genre]), 'Any genre');
+        options(elements.rating, Object.entries(ratings), 'Any rating');
+        options(elements.year, years.map(year => [year, year]), 'Any year');
+        options(elements.minScore, minScores.map(score => [score, `${score}+`]), 'Any score');
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.router.navigate(SearchQuery.href(this.readSearchForm()));
+        });
+        
+        // The title only searches on submit
+        form.addEventListener('change', (e) => {
+            if (e.target.name !== 'query') {
+                this.router.navigate(SearchQuery.href(this.readSearchForm()), { replace: true });
             }
-            
-            let html = '';
-            results.data.slice(0, 5).forEach(anime => {
-                html += `
-                    <div class="search-result-item p-3 border-bottom" onclick="app.selectNewAnime('${anime.id}', '${anime.title}', '${anime.image}', ${anime.episodes || 0})">
-                        <div class="d-flex align-items-center">
-                            <img src="${anime.image}" alt="${anime.title}" class="me-3" style="width: 50px; height: 70px; object-fit: cover; border-radius: 8px;">
-                            <div>
-                                <div class="fw-bold">${anime.title}</div>
-                                <div class="small text-muted">${anime.episodes || '?'} episodes • ${anime.score || 'N/A'}/10</div>
-                                <div class="small">${anime.genres.slice(0, 2).join(', ')}</div>
-                            </div>
-                        </div>
-                    </div>
-                `;
-            });
-            
-            resultsContainer.innerHTML = html;
-        } catch (error) {
-            console.error('Search failed:', error);
-            resultsContainer.innerHTML = '<div class="p-3 text-danger">Search failed</div>';
-            confirmBtn.disabled = true;
+        });
+        
+        const clearBtn = document.getElementById('clearSearchFacetsBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () =>
+                this.router.navigate(SearchQuery.href({ query: elements.query.value.trim() }), { replace: true }));
+        }
+    }
+    
+    // New facets start again from the first page
+    readSearchForm() {
+        const { elements } = document.getElementById('searchPageForm');
+        return {
+            query: elements.query.value.trim(),
+            ...Object.fromEntries(SEARCH_FACETS.map(name => [name, elements[name].value])),
+            page: 1
+        };
+    }
+    
+    // Returning to the same search (e.g. back from a result's detail view) shows the
+    // loaded page again instead of repeating the request
+    async showSearchPage(state) {
+        if (!document.getElementById('searchView')) return;
+        
+        this.closeRoutedModals();
+        this.updateNavLinks(null);
+        this.detail = null;
+        document.getElementById('searchResults').style.display = 'none';
+        
+        const href = SearchQuery.href(state);
+        if (this.searchPage?.href === href) {
+            this.renderSearchPage();
+            this.setActiveView('searchView');
+            return;
         }
+        
+        const searchPage = {
+            state,
+            href,
+            loading: Boolean(state.query || SearchQuery.activeFacetCount(state)),
+            results: [],
+            pagination: null
+        };
+        
+        this.searchPage = searchPage;
+        this.renderSearchPage();
+        this.setActiveView('searchView');
+        window.scrollTo(0, 0);
+        if (!searchPage.loading) return;
+        
+        const results = await this.api.searchAnime(state.query, state.page, SearchQuery.filters(state));
+        if (this.searchPage !== searchPage) return;
+        
+        searchPage.results = results.data;
+        searchPage.pagination = results.pagination;
+        searchPage.loading = false;
+        this.renderSearchPage();
     }
     
-    selectSearchResult(id, title, image) {
-        // Hide search results
-        document.getElementById('searchResults').style.display = 'none';
-        document.getElementById('searchInput').value = '';
+    renderSearchPage() {
+        const form = document.getElementById('searchPageForm');
+        if (!this.searchPage || !form) return;
+        
+        const { state, loading, results, pagination } = this.searchPage;
+        const { elements } = form;
+        
+        if (document.activeElement !== elements.query) {
+            elements.query.value = state.query;
+        }
+        SEARCH_FACETS.forEach(name => {
+            elements[name].value = state[name] ?? '';
+        });
+        elements.season.disabled = !state.year;
+        
+        document.getElementById('searchPageTitle').textContent = state.query ? `Results for "${state.query}"` : 'Browse anime';
         
-        // Open anime in progress modal or navigate to details
-        this.openAnimeModal(id, title, image);
+        const total = pagination?.items?.total;
+        const lastPage = pagination?.last_visible_page;
+        document.getElementById('searchPageSummary').textContent = loading || !results.length ? '' : [
+            total ? `${Utils.formatNumber(total)} results` : null,
+            lastPage > 1 ? `page ${state.page} of ${Utils.formatNumber(lastPage)}` : null
+        ].filter(Boolean).join(' • ');
+        
+        const container = document.getElementById('searchPageResults');
+        if (loading) {
+            container.innerHTML = '<div class="text-center py-5"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Searching...</span></div></div>';
+        } else if (!state.query && !SearchQuery.activeFacetCount(state)) {
+            container.innerHTML = '<p class="text-muted">Type a title or pick a filter to start browsing.</p>';
+        } else if (!results.length) {
+            container.innerHTML = '<p class="text-muted">No anime match this search. Try fewer filters.</p>';
+        } else {
+            container.innerHTML = html`${results.map(anime => this.createAnimeCard(anime, 'search'))}`;
+        }
+        
+        this.renderSearchPagination();
     }
     
-    selectNewAnime(id, title, image, episodes) {
-        this.selectedAnime = { id, title, image, episodes };
+    // Numbered links around the current page, plus the first and last page when known
+    renderSearchPagination() {
+        const nav = document.getElementById('searchPagePagination');
+        const { state, loading, pagination } = this.searchPage;
         
-        // Update form
-        document.getElementById('newTitleSearch').value = title;
-        document.getElementById('totalProgressInput').value = episodes || '';
-        document.getElementById('confirmAddProgressBtn').disabled = false;
+        if (loading || !pagination || (state.page === 1 && !pagination.has_next_page)) {
+            nav.innerHTML = '';
+            return;
+        }
         
-        // Hide results
-        document.getElementById('newTitleResults').style.display = 'none';
+        const current = state.page;
+        const last = Math.max(pagination.last_visible_page || 0, current + (pagination.has_next_page ? 1 : 0));
+        const pages = [...new Set([1, current - 2, current - 1, current, current + 1, current + 2, last])]
+            .filter(page => page >= 1 && page <= last)
+            .sort((a, b) => a - b);
+        const link = (page, label, { active = false, disabled = false } = {}) => html`
+            <li class="page-item ${active ? 'active' : ''} ${disabled ? 'disabled' : ''}">
+                <a class="page-link" href="${SearchQuery.href({ ...state, page })}" aria-current="${active ? 'page' : 'false'}">${label}</a>
+            </li>
+        `;
+        
+        nav.innerHTML = html`
+            <ul class="pagination justify-content-center flex-wrap">
+                ${link(current - 1, 'Previous', { disabled: current === 1 })}
+                ${pages.map((page, index) => html`
+                    ${index && page - pages[index - 1] > 1 ? html`<li class="page-item disabled"><span class="page-link">&hellip;</span></li>` : ''}
+                    ${link(page, page, { active: page === current })}
+                `)}
+                ${link(current + 1, 'Next', { disabled: !pagination.has_next_page })}
+            </ul>
+        `;
     }
     
-    // ==================== MODAL FUNCTIONALITY ====================
-    showAddModal() {
-        const modal = document.getElementById('addProgressModal');
-        modal.style.display = 'flex';
-        document.body.style.overflow = 'hidden';
+    // Adds straight to "Plan to Watch"; progress can be edited from the detail view
+    async addSearchResult({ id, title, image, total }) {
+        const data = {
+            title,
+            image,
+            currentEpisode: 0,
+            totalEpisodes: Number(total) || null,
+            status: Utils.getDefaultStatus('anime'),
+            rating: null
+        };
         
-        // Reset form
-        this.resetAddModal();
+        if (await this.tracker.addEntry('anime', id, data)) {
+            this.notifyWithUndo(`Added "${title}" to your list!`);
+            await this.refreshProgressViews();
+        } else {
+            this.showStorageError('Failed to add to your list');
+        }
     }
     
-    hideAddModal() {
-        const modal = document.getElementById('addProgressModal');
-        modal.style.display = 'none';
-        document.body.style.overflow = '';
+    // ==================== SEASONAL CHART ====================
+    // One season's anime grouped by type (CONFIG.seasonal.groups). Untracked titles can be
+    // picked and added to "Plan to Watch" together, as a single undo step.
+    setupSeasonChart() {
+        const form = document.getElementById('seasonForm');
+        if (!form) return;
         
-        this.resetAddModal();
+        const { elements } = form;
+        const lastYear = new Date().getFullYear() + 1;
+        const years = Array.from({ length: lastYear - CONFIG.search.firstYear + 1 }, (_, index) => lastYear - index);
+        
+        elements.year.innerHTML = html`${years.map(year => html`<option value="${year}">${year}</option>`)}`;
+        elements.sort.innerHTML = html`${Object.entries(CONFIG.seasonal.sorts).map(([value, label]) => html`
+            <option value="${value}">Sort by ${label.toLowerCase()}</option>
+        `)}`;
+        
+        // Picking another season is a new page; the sort order only replaces the URL
+        form.addEventListener('change', (e) => {
+            const season = { year: elements.year.value, season: elements.season.value };
+            this.router.navigate(this.seasonHref(season, elements.sort.value), { replace: e.target.name === 'sort' });
+        });
+        form.addEventListener('submit', (e) => e.preventDefault());
     }
     
-    resetAddModal() {
-        document.getElementById('newTitleSearch').value = '';
-        document.getElementById('currentProgressInput').value = '0';
-        document.getElementById('totalProgressInput').value = '';
-        document.getElementById('statusSelect').value = 'plan_to_watch';
-        document.getElementById('ratingSelect').value = '';
-        document.getElementById('confirmAddProgressBtn').disabled = true;
-        document.getElementById('newTitleResults').style.display = 'none';
-        this.selectedAnime = null;
+    seasonHref({ year, season }, sort = 'popularity') {
+        return Router.href(`/seasons/${year}/${season}`, sort === 'popularity' ? '' : { sort });
     }
     
-    async openAnimeModal(id, title, image) {
-        const modal = new bootstrap.Modal(document.getElementById('progressModal'));
-        const progress = this.tracker.getAnime(id);
+    // Switching the sort order or coming back from a title's detail view keeps the
+    // loaded season and the picked titles
+    async showSeasonChart({ year, season }, query) {
+        if (!document.getElementById('seasonView')) return;
         
-        // Set modal content
-        document.getElementById('modalAnimeImage').src = image;
-        document.getElementById('mediaTitle').value = title;
+        const number = parseInt(year);
+        if (!SEASONS.includes(season) || !(number >= CONFIG.search.firstYear && number <= new Date().getFullYear() + 1)) {
+            return this.router.navigate('/seasons', { replace: true });
+        }
         
-        if (progress) {
-            document.getElementById('currentChapter').value = progress.currentEpisode || 0;
-            document.getElementById('totalChapters').value = progress.totalEpisodes || '';
-            document.getElementById('userRating').value = progress.rating || '';
-            document.getElementById('statusSelectModal').value = progress.status || 'plan_to_watch';
-        } else {
-            document.getElementById('currentChapter').value = 0;
-            document.getElementById('totalChapters').value = '';
-            document.getElementById('userRating').value = '';
-            document.getElementById('statusSelectModal').value = 'plan_to_watch';
+        this.closeRoutedModals();
+        this.updateNavLinks('/seasons');
+        this.detail = null;
+        
+        const sort = Object.keys(CONFIG.seasonal.sorts).includes(query.get('sort')) ? query.get('sort') : 'popularity';
+        const key = `${number}/${season}`;
+        if (this.seasonChart?.key === key) {
+            this.seasonChart.sort = sort;
+            this.renderSeasonChart();
+            this.setActiveView('seasonView');
+            return;
         }
         
-        this.currentAnimeId = id;
-        this.updateProgressPreview();
-        modal.show();
+        const chart = {
+            key,
+            year: number,
+            season,
+            sort,
+            loading: true,
+            complete: true,
+            anime: [],
+            picked: new Set()
+        };
+        
+        this.seasonChart = chart;
+        this.renderSeasonChart();
+        this.setActiveView('seasonView');
+        window.scrollTo(0, 0);
+        
+        const result = await this.api.getSeasonChart(number, season);
+        if (this.seasonChart !== chart) return;
+        
+        chart.anime = result.data;
+        chart.complete = result.complete;
+        chart.loading = false;
+        this.renderSeasonChart();
     }
     
-    // ==================== PROGRESS MANAGEMENT ====================
-    async addNewAnime() {
-        if (!this.selectedAnime) {
-            this.notifications.show('Please select an anime from the search results', CONFIG.notifications.WARNING);
-            return;
+    isTracked(id) {
+        return Boolean(this.tracker.getEntry(StorageMigrator.entryKey('anime', id)));
+    }
+    
+    // Groups in CONFIG.seasonal.groups order, each sorted by the chosen order; unknown
+    // scores and member counts go last
+    getSeasonGroups() {
+        const { anime, sort } = this.seasonChart;
+        const { groups } = CONFIG.seasonal;
+        const sortKey = sort === 'score' ? 'score' : 'members';
+        const sorted = [...anime].sort((a, b) => (b[sortKey] || 0) - (a[sortKey] || 0));
+        
+        return [...groups, 'Other']
+            .map(name => ({
+                name,
+                anime: sorted.filter(item => name === 'Other' ? !groups.includes(item.type) : item.type === name)
+            }))
+            .filter(group => group.anime.length);
+    }
+    
+    renderSeasonChart() {
+        const container = document.getElementById('seasonContent');
+        if (!this.seasonChart || !container) return;
+        
+        const { year, season, sort, loading, complete, anime, picked } = this.seasonChart;
+        const current = { year, season };
+        const { elements } = document.getElementById('seasonForm');
+        
+        elements.year.value = year;
+        elements.season.value = season;
+        elements.sort.value = sort;
+        document.getElementById('seasonTitle').textContent = `${season[0].toUpperCase()}${season.slice(1)} ${year}`;
+        document.getElementById('seasonPrevLink').setAttribute('href', this.seasonHref(Utils.shiftSeason(current, -1), sort));
+        document.getElementById('seasonNextLink').setAttribute('href', this.seasonHref(Utils.shiftSeason(current, 1), sort));
+        
+        if (loading) {
+            container.innerHTML = '<div class="text-center py-5"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div></div>';
+        } else if (!anime.length) {
+            container.innerHTML = complete
+                ? '<p class="text-muted">No anime found for this season.</p>'
+                : '<div class="alert alert-warning">Could not load this season. Please try again later.</div>';
+        } else {
+            container.innerHTML = html`
+                ${complete ? '' : html`<div class="alert alert-info">Showing the first ${anime.length} titles of this season.</div>`}
+                ${this.getSeasonGroups().map(group => {
+                    const untracked = group.anime.filter(item => !this.isTracked(item.id));
+                    return html`
+                        <h2 class="h5 season-group-title">
+                            ${group.name} <span class="badge bg-secondary">${group.anime.length}</span>
+                            ${untracked.length ? html`
+                                <button type="button" class="btn btn-link btn-sm ms-auto" data-action="pick-season-group" data-group="${group.name}">Select all untracked</button>
+                            ` : ''}
+                        </h2>
+                        <div class="season-grid">
+                            ${group.anime.map(item => this.createAnimeCard(item, 'season', picked.has(String(item.id))))}
+                        </div>
+                    `;
+                })}
+            `;
         }
         
-        const currentEpisode = parseInt(document.getElementById('currentProgressInput').value) || 0;
-        const totalEpisodes = parseInt(document.getElementById('totalProgressInput').value) || null;
-        const status = document.getElementById('statusSelect').value;
-        const rating = document.getElementById('ratingSelect').value;
+        this.renderSeasonBulkBar();
+    }
+    
+    renderSeasonBulkBar() {
+        const bar = document.getElementById('seasonBulkBar');
+        const count = this.seasonChart?.picked.size || 0;
         
-        const progressData = {
-            title: this.selectedAnime.title,
-            image: this.selectedAnime.image,
-            currentEpisode,
-            totalEpisodes,
-            status,
-            rating: rating || null
-        };
+        bar.hidden = count === 0;
+        document.getElementById('seasonSelectedCount').textContent = `${count} selected`;
+    }
+    
+    toggleSeasonPick(id, checkbox) {
+        if (!this.seasonChart) return;
         
-        if (this.tracker.addAnime(this.selectedAnime.id, progressData)) {
-            this.notifications.show(`Added "${this.selectedAnime.title}" to your list!`, CONFIG.notifications.SUCCESS);
-            this.hideAddModal();
-            await this.loadUserProgress();
-            this.updateStats();
+        if (checkbox.checked) {
+            this.seasonChart.picked.add(id);
         } else {
-            this.notifications.show('Failed to add anime', CONFIG.notifications.ERROR);
+            this.seasonChart.picked.delete(id);
         }
+        checkbox.closest('.anime-card').classList.toggle('picked', checkbox.checked);
+        this.renderSeasonBulkBar();
     }
     
-    saveAnimeProgress() {
-        if (!this.currentAnimeId) return;
+    pickSeasonGroup(name) {
+        const group = this.seasonChart && this.getSeasonGroups().find(item => item.name === name);
+        if (!group) return;
         
-        const currentEpisode = parseInt(document.getElementById('currentChapter').value) || 0;
-        const totalEpisodes = parseInt(document.getElementById('totalChapters').value) || null;
-        const rating = document.getElementById('userRating').value;
-        const status = document.getElementById('statusSelectModal').value;
+        group.anime
+            .filter(item => !this.isTracked(item.id))
+            .forEach(item => this.seasonChart.picked.add(String(item.id)));
+        this.renderSeasonChart();
+    }
+    
+    clearSeasonPicks() {
+        if (!this.seasonChart) return;
         
-        const updateData = {
-            currentEpisode,
-            totalEpisodes,
-            rating: rating || null,
-            status
-        };
+        this.seasonChart.picked.clear();
+        this.renderSeasonChart();
+    }
+    
+    async addSeasonPicks() {
+        if (!this.seasonChart) return;
         
-        if (this.tracker.updateAnime(this.currentAnimeId, updateData)) {
-            this.notifications.show('Progress updated successfully!', CONFIG.notifications.SUCCESS);
-            bootstrap.Modal.getInstance(document.getElementById('progressModal')).hide();
-            this.loadUserProgress();
-            this.updateStats();
+        const { anime, picked } = this.seasonChart;
+        const items = anime
+            .filter(item => picked.has(String(item.id)) && !this.isTracked(item.id))
+            .map(item => ({
+                id: item.id,
+                title: item.title,
+                image: item.image,
+                currentEpisode: 0,
+                totalEpisodes: item.episodes || null,
+                status: Utils.getDefaultStatus('anime'),
+                rating: null
+            }));
+        if (!items.length) return;
+        
+        const added = await this.undo.transaction(`Add ${items.length} from the seasonal chart`, () =>
+            this.tracker.addEntries('anime', items, { source: CONFIG.historySources.SEASONAL }));
+        
+        picked.clear();
+        this.renderSeasonChart();
+        
+        if (added === items.length) {
+            this.notifyWithUndo(`Added ${added} ${added === 1 ? 'title' : 'titles'} to Plan to Watch`);
         } else {
-            this.notifications.show('Failed to update progress', CONFIG.notifications.ERROR);
+            this.showStorageError(`Only ${added} of ${items.length} titles could be added`);
         }
+        await this.refreshProgressViews();
     }
     
-    removeAnime() {
-        if (!this.currentAnimeId) return;
+    // ==================== ANIME DETAIL VIEW ====================
+    // Full details for one anime in place of the home sections. Details render first;
+    // characters and episodes follow as their own requests come back.
+    async showAnimeDetail(id, preview = null) {
+        if (!document.getElementById('animeDetailView')) return;
         
-        if (confirm('Are you sure you want to remove this anime from your list?')) {
-            if (this.tracker.removeAnime(this.currentAnimeId)) {
-                this.notifications.show('Anime removed from your list', CONFIG.notifications.SUCCESS);
-                bootstrap.Modal.getInstance(document.getElementById('progressModal')).hide();
-                this.loadUserProgress();
-                this.updateStats();
-            } else {
-                this.notifications.show('Failed to remove anime', CONFIG.notifications.ERROR);
-            }
+        const key = StorageMigrator.entryKey('anime', id);
+        const entry = this.tracker.getEntry(key);
+        const detail = {
+            id: String(id),
+            key,
+            anime: preview || (entry ? { id, title: entry.title, image: entry.image, genres: [] } : null),
+            loading: true,
+            characters: null,
+            showAllCharacters: false,
+            episodes: null,
+            episodePage: 0,
+            hasMoreEpisodes: false
+        };
+        
+        this.detail = detail;
+        this.setActiveView('animeDetailView');
+        this.renderAnimeDetail();
+        window.scrollTo(0, 0);
+        
+        const anime = await this.api.getAnimeDetails(id);
+        if (this.detail !== detail) return;
+        
+        if (anime) {
+            detail.anime = anime;
+            this.statistics.rememberDetails(key, anime);
         }
+        detail.loading = false;
+        this.renderAnimeDetail();
+        
+        await Promise.all([
+            this.loadDetailCharacters(detail),
+            this.loadMoreEpisodes(detail)
+        ]);
     }
     
-    updateProgressPreview() {
-        const current = parseInt(document.getElementById('currentChapter').value) || 0;
-        const total = parseInt(document.getElementById('totalChapters').value) || 0;
+    async loadDetailCharacters(detail) {
+        detail.characters = await this.api.getAnimeCharacters(detail.id);
+        if (this.detail === detail) this.renderDetailCharacters();
+    }
+    
+    async loadMoreEpisodes(detail = this.detail) {
+        if (!detail) return;
         
-        const percentage = total > 0 ? Math.min((current / total) * 100, 100) : 0;
+        const page = detail.episodePage + 1;
+        const result = await this.api.getAnimeEpisodes(detail.id, page);
         
-        document.getElementById('progressPercentage').textContent = `${Math.round(percentage)}%`;
-        document.getElementById('progressBar').style.width = `${percentage}%`;
+        detail.episodes = [...(detail.episodes || []), ...result.data];
+        detail.episodePage = page;
+        detail.hasMoreEpisodes = Boolean(result.pagination?.has_next_page);
+        if (this.detail === detail) this.renderDetailEpisodes();
     }
     
-    // ==================== FILTER AND VIEW CONTROLS ====================
-    setFilter(filter) {
-        this.currentFilter = filter;
+    handleDetailChange(change) {
+        if (!this.detail || change.id !== this.detail.key) return;
         
-        // Update active button
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.filter === filter) {
-                btn.classList.add('active');
-            }
-        });
+        this.renderDetailProgress();
+        this.renderDetailEpisodes();
+    }
+    
+    renderAnimeDetail() {
+        const container = document.getElementById('animeDetailContent');
+        const { anime, loading } = this.detail;
         
-        this.loadUserProgress();
+        if (!anime) {
+            container.innerHTML = loading
+                ? '<div class="text-center py-5"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div></div>'
+                : '<div class="alert alert-warning">Could not load this title. Please try again later.</div>';
+            return;
+        }
+        
+        const altTitles = [anime.titleEnglish, anime.titleJapanese, anime.title]
+            .filter((title, index, titles) => title && title !== Utils.getDisplayTitle(anime) && titles.indexOf(title) === index);
+        const facts = [
+            anime.type,
+            anime.status,
+            anime.season && anime.year ? `${anime.season[0].toUpperCase()}${anime.season.slice(1)} ${anime.year}` : anime.year,
+            anime.episodes ? `${anime.episodes} episodes` : null,
+            anime.duration,
+            anime.rating
+        ].filter(Boolean);
+        const numbers = [
+            ['Score', anime.score],
+            ['Rank', anime.rank && `#${Utils.formatNumber(anime.rank)}`],
+            ['Popularity', anime.popularity && `#${Utils.formatNumber(anime.popularity)}`],
+            ['Members', anime.members && Utils.formatNumber(anime.members)],
+            ['Favorites', anime.favorites && Utils.formatNumber(anime.favorites)]
+        ].filter(([, value]) => value);
+        const paragraphs = (anime.synopsis || '').split(/\n\s*\n/).filter(text => text.trim());
+        
+        container.innerHTML = html`
+            <div class="row g-4">
+                <div class="col-md-4 col-lg-3">
+                    <img src="${SafeHTML.url(anime.image, PLACEHOLDER_IMAGE)}" alt="${anime.title}" class="img-fluid rounded detail-cover mb-3">
+                    <div id="detailProgressPanel"></div>
+                </div>
+                <div class="col-md-8 col-lg-9">
+                    <h1 class="detail-title">${Utils.getDisplayTitle(anime)}</h1>
+                    ${altTitles.length ? html`<p class="text-muted mb-2">${altTitles.join(' • ')}</p>` : ''}
+                    <div class="detail-facts mb-3">
+                        ${facts.map(fact => html`<span class="badge bg-secondary me-1">${fact}</span>`)}
+                    </div>
+                    ${numbers.length ? html`
+                        <dl class="detail-numbers">
+                            ${numbers.map(([label, value]) => html`<div><dt>${label}</dt><dd>${value}</dd></div>`)}
+                        </dl>
+                    ` : ''}
+                    ${anime.studios?.length ? html`<p class="mb-1"><strong>Studios:</strong> ${anime.studios.join(', ')}</p>` : ''}
+                    ${anime.genres?.length ? html`<p><strong>Genres:</strong> ${anime.genres.join(', ')}</p>` : ''}
+                    
+                    <h2 class="h5 mt-4">Synopsis</h2>
+                    ${paragraphs.length
+                        ? paragraphs.map(text => html`<p class="detail-synopsis">${text.trim()}</p>`)
+                        : html`<p class="text-muted">${loading ? 'Loading...' : 'No synopsis available.'}</p>`}
+                    
+                    ${anime.trailer ? html`
+                        <h2 class="h5 mt-4">Trailer</h2>
+                        <div class="ratio ratio-16x9 detail-trailer">
+                            <iframe src="https://www.youtube-nocookie.com/embed/${encodeURIComponent(anime.trailer)}" title="${anime.title} trailer" loading="lazy" allow="encrypted-media; picture-in-picture" allowfullscreen></iframe>
+                        </div>
+                    ` : ''}
+                    
+                    ${anime.relations?.length ? html`
+                        <h2 class="h5 mt-4">Related</h2>
+                        <dl class="detail-relations">
+                            ${anime.relations.map(({ relation, entries }) => html`
+                                <dt>${relation}</dt>
+                                <dd>${entries.map((entry, index) => html`${index ? ', ' : ''}${entry.type === 'anime'
+                                    ? html`<a href="#" data-action="open-detail" data-id="${entry.id}" data-title="${entry.title}">${entry.title}</a>`
+                                    : html`${entry.title} <span class="badge bg-light text-dark">${Utils.getMediaTypeLabel('manga')}</span>`}`)}</dd>
+                            `)}
+                        </dl>
+                    ` : ''}
+                    
+                    <h2 class="h5 mt-4">Characters &amp; Voice Actors</h2>
+                    <div id="detailCharacters"></div>
+                    
+                    <h2 class="h5 mt-4">Episodes</h2>
+                    <div id="detailEpisodes"></div>
+                </div>
+            </div>
+        `;
+        
+        this.renderDetailProgress();
+        this.renderDetailCharacters();
+        this.renderDetailEpisodes();
     }
     
-    setView(view) {
-        this.currentView = view;
+    // Add/edit form for the open title; the same fields as the progress modal
+    renderDetailProgress() {
+        const container = document.getElementById('detailProgressPanel');
+        if (!container) return;
         
-        // Update active button
-        document.querySelectorAll('.view-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.view === view) {
-                btn.classList.add('active');
-            }
-        });
+        const { key, anime } = this.detail;
+        const entry = this.tracker.getEntry(key);
+        const status = entry?.status || Utils.getDefaultStatus('anime');
+        const total = entry?.totalEpisodes || anime.episodes || '';
+        const subScores = Object.entries(entry?.subScores || {});
         
-        // Update grid class
-        const container = document.getElementById('currentProgressItems');
-        if (view === 'list') {
-            container.classList.add('list-view');
-        } else {
-            container.classList.remove('list-view');
-        }
+        container.innerHTML = html`
+            <form class="detail-panel" id="detailProgressForm" novalidate>
+                <h2 class="h6">${entry ? 'Your progress' : 'Track this anime'}</h2>
+                <div class="mb-2">
+                    <label for="detailStatus" class="form-label small">Status</label>
+                    <select class="form-select form-select-sm" id="detailStatus" name="status">
+                        ${CONFIG.mediaTypes.anime.statuses.map(value => html`
+                            <option value="${value}" ${value === status ? 'selected' : ''}>${Utils.getStatusLabel(value)}</option>
+                        `)}
+                    </select>
+                </div>
+                <div class="row g-2 mb-2">
+                    <div class="col-6">
+                        <label for="detailCurrentEpisode" class="form-label small">Episode</label>
+                        <input type="number" class="form-control form-control-sm" id="detailCurrentEpisode" name="currentEpisode" min="0" value="${entry?.currentEpisode || 0}">
+                    </div>
+                    <div class="col-6">
+                        <label for="detailTotalEpisodes" class="form-label small">Total</label>
+                        <input type="number" class="form-control form-control-sm" id="detailTotalEpisodes" name="totalEpisodes" min="1" placeholder="Unknown" value="${total}">
+                    </div>
+                </div>
+                <div class="mb-3">
+                    <label for="detailRating" class="form-label small">Your Rating</label>
+                    ${Scoring.renderInput({ id: 'detailRating', name: 'rating', score: entry?.rating, small: true, disabled: subScores.length > 0 })}
+                    ${subScores.length ? html`
+                        <ul class="list-unstyled small text-muted mt-1 mb-0">
+                            ${subScores.map(([category, score]) => html`
+                                <li>${CONFIG.scoring.categories[category]}: ${Scoring.format(score)}</li>
+                            `)}
+                        </ul>
+                        <div class="form-text">Averaged from your category scores; edit them from the progress dialog.</div>
+                    ` : ''}
+                </div>
+                <div class="d-grid gap-2">
+                    <button type="button" class="btn btn-primary btn-sm" data-action="save-detail-progress">
+                        <i class="fas ${entry ? 'fa-save' : 'fa-plus'} me-2"></i>${entry ? 'Save Changes' : 'Add to List'}
+                    </button>
+                    ${entry ? html`
+                        <button type="button" class="btn btn-outline-danger btn-sm" data-action="remove-detail-entry">
+                            <i class="fas fa-trash me-2"></i>Remove
+                        </button>
+                    ` : ''}
+                </div>
+            </form>
+        `;
     }
     
-    setTrendingTab(tab) {
-        // Update active tab
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.tab === tab) {
-                btn.classList.add('active');
-            }
-        });
+    renderDetailCharacters() {
+        const container = document.getElementById('detailCharacters');
+        if (!container) return;
         
-        this.loadTrendingAnime(tab);
+        const { characters, showAllCharacters } = this.detail;
+        if (!characters) {
+            container.innerHTML = '<p class="text-muted small">Loading characters...</p>';
+            return;
+        }
+        if (characters.length === 0) {
+            container.innerHTML = '<p class="text-muted small">No character information available.</p>';
+            return;
+        }
+        
+        const shown = showAllCharacters ? characters : characters.slice(0, 12);
+        const person = (image, name, meta) => html`
+            <div class="detail-person">
+                <img src="${SafeHTML.url(image, PLACEHOLDER_IMAGE)}" alt="" loading="lazy">
+                <div>
+                    <div class="fw-bold small">${name}</div>
+                    <div class="text-muted small">${meta}</div>
+                </div>
+            </div>
+        `;
+        
+        container.innerHTML = html`
+            <div class="detail-characters">
+                ${shown.map(character => {
+                    // Japanese cast first, since that's the original track
+                    const actor = character.voiceActors.find(va => va.language === 'Japanese') || character.voiceActors[0];
+                    return html`
+                        <div class="detail-character">
+                            ${person(character.image, character.name, character.role)}
+                            ${actor ? person(actor.image, actor.name, actor.language) : ''}
+                        </div>
+                    `;
+                })}
+            </div>
+            ${shown.length < characters.length ? html`
+                <button type="button" class="btn btn-link btn-sm px-0" data-action="show-all-characters">Show all ${characters.length} characters</button>
+            ` : ''}
+        `;
     }
     
-    getFilteredProgress(progress) {
-        if (this.currentFilter === 'all') {
-            return progress;
+    // Episode titles come from the API; without them, numbered rows up to the known total
+    renderDetailEpisodes() {
+        const container = document.getElementById('detailEpisodes');
+        if (!container) return;
+        
+        const { key, anime, episodes, hasMoreEpisodes } = this.detail;
+        if (!episodes) {
+            container.innerHTML = '<p class="text-muted small">Loading episodes...</p>';
+            return;
+        }
+        
+        const entry = this.tracker.getEntry(key);
+        const total = anime.episodes || entry?.totalEpisodes || 0;
+        const rows = episodes.length > 0
+            ? episodes
+            : Array.from({ length: total }, (_, index) => ({ number: index + 1 }));
+        
+        if (rows.length === 0) {
+            container.innerHTML = '<p class="text-muted small">No episode information available.</p>';
+            return;
         }
         
-        return Object.entries(progress)
-            .filter(([_, data]) => data.status === this.currentFilter)
-            .reduce((acc, [id, data]) => ({ ...acc, [id]: data }), {});
+        container.innerHTML = html`
+            ${entry ? '' : html`<p class="text-muted small">Add this anime to your list to tick off episodes.</p>`}
+            <ul class="list-group detail-episodes">
+                ${rows.map(episode => html`
+                    <li class="list-group-item">
+                        <label class="form-check mb-0 d-flex align-items-center gap-2">
+                            <input type="checkbox" class="form-check-input mt-0" data-action="toggle-episode" data-episode="${episode.number}" ${ProgressTracker.isEpisodeWatched(entry, episode.number) ? 'checked' : ''} ${entry ? '' : 'disabled'}>
+                            <span class="episode-number">${episode.number}</span>
+                            <span class="flex-grow-1">${episode.title || `Episode ${episode.number}`}</span>
+                            ${episode.filler ? html`<span class="badge bg-warning text-dark">Filler</span>` : ''}
+                            ${episode.recap ? html`<span class="badge bg-info text-dark">Recap</span>` : ''}
+                            ${episode.aired ? html`<span class="text-muted small">${Utils.formatDate(episode.aired)}</span>` : ''}
+                        </label>
+                    </li>
+                `)}
+            </ul>
+            ${hasMoreEpisodes ? html`
+                <button type="button" class="btn btn-outline-secondary btn-sm mt-2" data-action="more-episodes">Load more episodes</button>
+            ` : ''}
+        `;
     }
     
-    // ==================== QUICK ACTIONS ====================
-    async handleQuickAction(action) {
-        switch (action) {
-            case 'add-anime':
-                this.showAddModal();
-                break;
-            case 'discover':
-                await this.loadTrendingAnime();
-                document.getElementById('trending').scrollIntoView({ behavior: 'smooth' });
-                break;
-            case 'trending':
-                await this.loadTrendingAnime();
-                document.getElementById('trending').scrollIntoView({ behavior: 'smooth' });
-                break;
-            case 'random':
-                await this.showRandomAnime();
-                break;
+    async saveDetailProgress() {
+        const form = document.getElementById('detailProgressForm');
+        if (!this.detail || !form) return;
+        
+        const { id, key, anime } = this.detail;
+        const entry = this.tracker.getEntry(key);
+        const data = {
+            currentEpisode: parseInt(form.elements.currentEpisode.value) || 0,
+            totalEpisodes: parseInt(form.elements.totalEpisodes.value) || null,
+            status: form.elements.status.value,
+            rating: Scoring.read(form.elements.rating)
+        };
+        
+        if (entry) {
+            if (entry.watchedEpisodes) {
+                data.watchedEpisodes = entry.watchedEpisodes.filter(number => number > data.currentEpisode);
+            }
+            
+            if (await this.tracker.updateEntry(key, data, { source: CONFIG.historySources.MODAL })) {
+                this.notifyWithUndo('Progress updated successfully!');
+                this.refreshProgressViews();
+            } else {
+                this.showStorageError('Failed to update progress');
+            }
+        } else if (await this.tracker.addEntry('anime', id, { title: anime.title, image: anime.image, ...data })) {
+            this.notifyWithUndo(`Added "${anime.title}" to your list!`);
+            this.refreshProgressViews();
+        } else {
+            this.showStorageError('Failed to add to your list');
         }
     }
     
-    async showRandomAnime() {
-        try {
-            const randomAnime = await this.api.getRandomAnime();
-            this.notifications.show(`Random anime: ${randomAnime.title}`, CONFIG.notifications.INFO);
-            // You could open a modal or navigate to the anime details
-        } catch (error) {
-            this.notifications.show('Failed to get random anime', CONFIG.notifications.ERROR);
+    async removeDetailEntry() {
+        if (!this.detail || !confirm('Are you sure you want to remove this title from your list?')) return;
+        
+        if (await this.tracker.removeEntry(this.detail.key)) {
+            this.notifyWithUndo('Removed from your list');
+            this.refreshProgressViews();
+        } else {
+            this.showStorageError('Failed to remove from your list');
+        }
+    }
+    
+    // Ticking the last episode completes the entry, like the +1 button does
+    async toggleEpisode(episode, watched) {
+        const entry = this.detail && this.tracker.getEntry(this.detail.key);
+        if (!entry) return;
+        
+        const updateData = ProgressTracker.markEpisode(entry, episode, watched);
+        const total = entry.totalEpisodes || this.detail.anime?.episodes;
+        if (total && updateData.currentEpisode >= total && entry.status !== 'completed') {
+            updateData.status = 'completed';
+        }
+        
+        if (await this.tracker.updateEntry(this.detail.key, updateData, { source: CONFIG.historySources.EPISODE })) {
+            if (updateData.status === 'completed') {
+                this.notifyWithUndo(`Completed "${entry.title}"!`);
+            }
+            this.refreshProgressViews();
+        } else {
+            this.showStorageError('Failed to update episode');
+            this.renderDetailEpisodes();
         }
     }
     
     // ==================== CARD CREATION METHODS ====================
+    // During a rewatch the card shows (and +1 moves) the rewatch; completed titles get a
+    // Rewatch button instead of +1
     createProgressCard(id, anime, progress) {
-        const percentage = Utils.calculateProgress(progress.currentEpisode || 0, progress.totalEpisodes);
+        const { current, total, unit } = Utils.getCurrentPass(progress);
+        const { repeat, repeated } = Utils.getProgressFields(progress.mediaType);
+        const percentage = Utils.calculateProgress(current, total);
         const statusColor = Utils.getStatusColor(progress.status);
         const statusLabel = Utils.getStatusLabel(progress.status);
+        const mediaType = progress.mediaType || 'anime';
+        const image = SafeHTML.url(anime.image, PLACEHOLDER_IMAGE);
+        const dates = [progress.startedAt, progress.finishedAt].map(day => day ? Utils.formatDay(day) : '?');
         
-        return `
-            <div class="progress-item" data-anime-id="${id}">
+        return html`
+            <div class="progress-item" data-anime-id="${id}" data-media-type="${mediaType}">
                 <div class="d-flex align-items-start mb-3">
-                    <img src="${anime.image}" alt="${anime.title}" class="anime-thumbnail me-3" style="width: 80px; height: 120px; object-fit: cover; border-radius: 12px;">
+                    <img src="${image}" alt="${anime.title}" class="anime-thumbnail me-3" style="width: 80px; height: 120px; object-fit: cover; border-radius: 12px;">
                     <div class="flex-grow-1">
-                        <h3 class="h5 mb-2">${anime.title}</h3>
+                        <h3 class="h5 mb-2">${Utils.getDisplayTitle(anime)}</h3>
                         <div class="d-flex align-items-center mb-2">
+                            ${mediaType !== 'anime' ? html`<span class="badge media-type-badge me-2">${Utils.getMediaTypeLabel(mediaType)}</span>` : ''}
                             <span class="badge me-2" style="background-color: ${statusColor}">${statusLabel}</span>
-                            ${anime.score ? `<div class="rating-display">
+                            ${progress.rewatching ? html`<span class="badge rewatch-badge me-2"><i class="fas fa-redo me-1"></i>${repeat}ing</span>` : ''}
+                            ${Scoring.normalize(progress.rating) ? html`<span class="badge user-score-badge me-2" title="Your rating">${Scoring.format(progress.rating)}</span>` : ''}
+                            ${anime.score ? html`<div class="rating-display">
                                 <span class="rating-stars">${this.generateStars(anime.score)}</span>
                                 <span class="rating-score ms-1">${anime.score}/10</span>
                             </div>` : ''}
+                            ${progress.notes ? html`<span class="entry-notes-indicator ms-2" title="${Utils.truncateText(Markdown.toPlainText(progress.notes), 140)}" aria-label="Has notes">
+                                <i class="fas fa-sticky-note"></i>
+                            </span>` : ''}
                         </div>
+                        ${progress.lists?.length || progress.tags?.length ? html`
+                            <div class="entry-labels mb-2">
+                                ${(progress.lists || []).map(name => html`
+                                    <a class="entry-list-badge" href="${this.listLabelHref('list', name)}"><i class="fas fa-list-ul me-1"></i>${name}</a>
+                                `)}
+                                ${(progress.tags || []).map(tag => html`
+                                    <a class="entry-tag" href="${this.listLabelHref('tag', tag)}">#${tag}</a>
+                                `)}
+                            </div>
+                        ` : ''}
+                        ${progress.startedAt || progress.finishedAt || progress.rewatchCount ? html`
+                            <div class="entry-dates small text-muted mb-2">
+                                ${progress.startedAt || progress.finishedAt ? html`<span><i class="far fa-calendar me-1"></i>${dates[0]} &ndash; ${dates[1]}</span>` : ''}
+                                ${progress.rewatchCount ? html`<span>${repeated} ${progress.rewatchCount}&times;</span>` : ''}
+                            </div>
+                        ` : ''}
                         <div class="progress-info mb-3">
                             <div class="d-flex justify-content-between mb-1">
-                                <span>Episode ${progress.currentEpisode || 0}${progress.totalEpisodes ? ` of ${progress.totalEpisodes}` : ''}</span>
+                                <span>${progress.rewatching ? `${repeat}: ` : ''}${unit} ${current}${total ? ` of ${total}` : ''}</span>
                                 <span>${percentage}%</span>
                             </div>
-                            ${progress.totalEpisodes ? `
+                            ${progress.currentVolume ? html`
+                                <div class="small text-muted mb-1">Volume ${progress.currentVolume}${progress.totalVolumes ? ` of ${progress.totalVolumes}` : ''}</div>
+                            ` : ''}
+                            ${total ? html`
                                 <div class="progress" style="height: 8px;">
                                     <div class="progress-bar" style="width: ${percentage}%"></div>
                                 </div>
                             ` : ''}
                         </div>
                         <div class="card-actions">
-                            <button class="btn btn-primary btn-sm" onclick="app.openAnimeModal('${id}', '${anime.title}', '${anime.image}')">
+                            <button class="btn btn-primary btn-sm" data-action="open-entry" data-id="${id}" data-title="${anime.title}" data-image="${image}">
                                 <i class="fas fa-edit me-1"></i>Update
                             </button>
-                            <button class="btn btn-outline-secondary btn-sm" onclick="app.quickUpdateEpisode('${id}', ${(progress.currentEpisode || 0) + 1})">
-                                <i class="fas fa-plus me-1"></i>+1 Episode
-                            </button>
+                            ${progress.status === 'completed' && !progress.rewatching ? html`
+                                <button class="btn btn-outline-secondary btn-sm" data-action="start-rewatch" data-id="${id}">
+                                    <i class="fas fa-redo me-1"></i>${repeat}
+                                </button>
+                            ` : html`
+                                <button class="btn btn-outline-secondary btn-sm" data-action="quick-update" data-id="${id}" data-value="${current + 1}">
+                                    <i class="fas fa-plus me-1"></i>+1 ${unit}
+                                </button>
+                            `}
+                            ${mediaType === 'anime' ? html`
+                                <button class="btn btn-outline-secondary btn-sm" data-action="open-detail" data-id="${progress.id || id}" aria-label="Details">
+                                    <i class="fas fa-info-circle"></i>
+                                </button>
+                            ` : ''}
                         </div>
                     </div>
                 </div>
@@ -1289,51 +7850,76 @@ class OtakuTrackApp {
         `;
     }
     
-    createAnimeCard(anime, type = 'default') {
-        return `
-            <div class="anime-card" onclick="app.openAnimeModal('${anime.id}', '${anime.title}', '${anime.image}')">
+    // Search and seasonal chart cards also show whether the title is in the list; untracked
+    // titles get an add button (search) or a checkbox for bulk adding (`picked`, season)
+    createAnimeCard(anime, type = 'default', picked = false) {
+        const image = SafeHTML.url(anime.image, PLACEHOLDER_IMAGE);
+        const entry = ['search', 'season'].includes(type) ? this.tracker.getEntry(StorageMigrator.entryKey('anime', anime.id)) : null;
+        
+        return html`
+            <div class="anime-card ${picked ? 'picked' : ''}" data-action="open-detail" data-id="${anime.id}" data-title="${anime.title}" data-image="${image}">
                 <div class="position-relative">
-                    <img src="${anime.image}" alt="${anime.title}" class="card-img-top">
-                    ${anime.rank ? `<span class="position-absolute top-0 end-0 badge bg-warning m-2">#${anime.rank}</span>` : ''}
+                    <img src="${image}" alt="${anime.title}" class="card-img-top">
+                    ${anime.rank ? html`<span class="position-absolute top-0 end-0 badge bg-warning m-2">#${anime.rank}</span>` : ''}
+                    ${entry ? html`
+                        <span class="position-absolute top-0 start-0 badge tracked-badge m-2" style="background-color: ${Utils.getStatusColor(entry.status)}">
+                            <i class="fas fa-check me-1"></i>${Utils.getStatusLabel(entry.status)}
+                        </span>
+                    ` : ''}
+                    ${type === 'season' && !entry ? html`
+                        <input type="checkbox" class="form-check-input position-absolute top-0 start-0 season-pick" data-action="toggle-season-pick" data-id="${anime.id}" aria-label="Select ${anime.title}" ${picked ? 'checked' : ''}>
+                    ` : ''}
                 </div>
                 <div class="card-body">
-                    <h5 class="card-title">${Utils.truncateText(anime.title, 30)}</h5>
-                    ${anime.synopsis ? `<p class="card-text text-muted small">${Utils.truncateText(anime.synopsis, 100)}</p>` : ''}
+                    <h5 class="card-title">${Utils.truncateText(Utils.getDisplayTitle(anime), 30)}</h5>
+                    ${type === 'recommendation' && anime.reason ? html`
+                        <p class="recommendation-reason small mb-1">
+                            <i class="fas fa-heart me-1"></i>${anime.reason}
+                        </p>
+                    ` : ''}
+                    ${anime.synopsis ? html`<p class="card-text text-muted small">${Utils.truncateText(anime.synopsis, 100)}</p>` : ''}
                     <div class="d-flex justify-content-between align-items-center">
                         <div class="rating-display">
-                            ${anime.score ? `
+                            ${anime.score ? html`
                                 <span class="rating-stars">${this.generateStars(anime.score)}</span>
                                 <span class="rating-score ms-1">${anime.score}</span>
                             ` : 'Not Rated'}
                         </div>
                         <small class="text-muted">${anime.episodes || '?'} eps</small>
                     </div>
-                    ${anime.genres ? `
+                    ${anime.genres ? html`
                         <div class="mt-2">
                             ${anime.genres.slice(0, 2).map(genre => 
-                                `<span class="badge bg-secondary me-1 small">${genre}</span>`
-                            ).join('')}
+                                html`<span class="badge bg-secondary me-1 small">${genre}</span>`
+                            )}
                         </div>
                     ` : ''}
+                    ${type === 'search' && !entry ? html`
+                        <button type="button" class="btn btn-primary btn-sm w-100 mt-3" data-action="add-search-result" data-id="${anime.id}" data-title="${anime.title}" data-image="${image}" data-total="${anime.episodes || 0}">
+                            <i class="fas fa-plus me-1"></i>Add to Plan to Watch
+                        </button>
+                    ` : ''}
                 </div>
             </div>
         `;
     }
     
     createContinueWatchingCard(id, anime, progress) {
-        const percentage = Utils.calculateProgress(progress.currentEpisode || 0, progress.totalEpisodes);
+        const { current, total, unit } = Utils.getCurrentPass(progress);
+        const percentage = Utils.calculateProgress(current, total);
+        const image = SafeHTML.url(anime.image, PLACEHOLDER_IMAGE);
         
-        return `
+        return html`
             <div class="col-md-6">
-                <div class="anime-card continue-watching-card" onclick="app.openAnimeModal('${id}', '${anime.title}', '${anime.image}')">
+                <div class="anime-card continue-watching-card" data-action="open-entry" data-id="${id}" data-title="${anime.title}" data-image="${image}">
                     <div class="position-relative">
-                        <img src="${anime.image}" alt="${anime.title}" class="card-img-top" style="height: 200px;">
+                        <img src="${image}" alt="${anime.title}" class="card-img-top" style="height: 200px;">
                         <div class="position-absolute bottom-0 start-0 end-0 bg-dark bg-opacity-75 text-white p-2">
                             <div class="d-flex justify-content-between align-items-center">
-                                <span class="small">Episode ${progress.currentEpisode || 0}${progress.totalEpisodes ? ` of ${progress.totalEpisodes}` : ''}</span>
+                                <span class="small">${progress.rewatching ? `${Utils.getProgressFields(progress.mediaType).repeat}: ` : ''}${unit} ${current}${total ? ` of ${total}` : ''}</span>
                                 <span class="small">${percentage}%</span>
                             </div>
-                            ${progress.totalEpisodes ? `
+                            ${total ? html`
                                 <div class="progress mt-1" style="height: 4px;">
                                     <div class="progress-bar" style="width: ${percentage}%"></div>
                                 </div>
@@ -1341,12 +7927,12 @@ class OtakuTrackApp {
                         </div>
                     </div>
                     <div class="card-body">
-                        <h5 class="card-title">${Utils.truncateText(anime.title, 25)}</h5>
+                        <h5 class="card-title">${Utils.truncateText(Utils.getDisplayTitle(anime), 25)}</h5>
                         <div class="d-flex justify-content-between">
-                            <button class="btn btn-primary btn-sm" onclick="event.stopPropagation(); app.quickUpdateEpisode('${id}', ${(progress.currentEpisode || 0) + 1})">
+                            <button class="btn btn-primary btn-sm" data-action="quick-update" data-id="${id}" data-value="${current + 1}">
                                 <i class="fas fa-play me-1"></i>Continue
                             </button>
-                            <button class="btn btn-outline-secondary btn-sm" onclick="event.stopPropagation(); app.openAnimeModal('${id}', '${anime.title}', '${anime.image}')">
+                            <button class="btn btn-outline-secondary btn-sm" data-action="open-entry" data-id="${id}" data-title="${anime.title}" data-image="${image}" aria-label="Edit progress">
                                 <i class="fas fa-cog"></i>
                             </button>
                         </div>
@@ -1357,75 +7943,629 @@ class OtakuTrackApp {
     }
     
     generateStars(score) {
-        const stars = Math.round(score / 2); // Convert 10-point to 5-star scale
-        let html = '';
+        const stars = Math.round(score) / 2; // Nearest whole point as half stars (8.6 -> 4.5)
+        let markup = '';
         
         for (let i = 1; i <= 5; i++) {
             if (i <= stars) {
-                html += '<i class="fas fa-star"></i>';
+                markup += '<i class="fas fa-star"></i>';
             } else if (i - 0.5 <= stars) {
-                html += '<i class="fas fa-star-half-alt"></i>';
+                markup += '<i class="fas fa-star-half-alt"></i>';
             } else {
-                html += '<i class="far fa-star"></i>';
+                markup += '<i class="far fa-star"></i>';
             }
         }
         
-        return html;
+        return SafeHTML.raw(markup);
     }
     
     createFallbackAnime(id, data) {
         return {
             id,
             title: data.title || id.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-            image: data.image || 'https://via.placeholder.com/300x400?text=No+Image',
+            image: data.image || PLACEHOLDER_IMAGE,
             score: Math.floor(Math.random() * 3) + 7 + Math.random(),
             episodes: data.totalEpisodes || null,
+            chapters: data.totalChapters || null,
             synopsis: 'No description available.',
             genres: ['Unknown']
         };
     }
     
     // ==================== QUICK UPDATE FUNCTIONALITY ====================
-    quickUpdateEpisode(id, newEpisode) {
-        const anime = this.tracker.getAnime(id);
-        if (anime) {
+    // Set the episode (or chapter) counter, completing the entry once it reaches the total.
+    // During a rewatch the rewatch counter moves instead.
+    async quickUpdateProgress(id, value) {
+        const entry = this.tracker.getEntry(id);
+        if (entry?.rewatching) {
+            await this.quickUpdateRewatch(id, entry, value);
+        } else if (entry) {
+            const fields = Utils.getProgressFields(entry.mediaType);
+            const total = entry[fields.total];
             const updateData = {
-                currentEpisode: newEpisode
+                [fields.current]: value
             };
             
-            // Auto-complete if reached total episodes
-            if (anime.totalEpisodes && newEpisode >= anime.totalEpisodes) {
+            // Auto-complete if reached the total
+            if (total && value >= total) {
                 updateData.status = 'completed';
-                updateData.currentEpisode = anime.totalEpisodes;
+                updateData[fields.current] = total;
             }
             
-            if (this.tracker.updateAnime(id, updateData)) {
+            if (await this.tracker.updateEntry(id, updateData, { source: CONFIG.historySources.QUICK })) {
                 const statusMessage = updateData.status === 'completed' 
-                    ? `Completed "${anime.title}"!` 
-                    : `Updated episode to ${newEpisode}`;
+                    ? `Completed "${entry.title}"!` 
+                    : `Updated ${fields.unit.toLowerCase()} to ${value}`;
                 
-                this.notifications.show(statusMessage, CONFIG.notifications.SUCCESS);
-                this.loadUserProgress();
-                this.loadContinueWatching();
-                this.updateStats();
+                this.notifyWithUndo(statusMessage);
+                this.refreshProgressViews();
+            } else {
+                this.showStorageError(`Failed to update ${fields.unit.toLowerCase()}`);
+            }
+        }
+    }
+    
+    async quickUpdateRewatch(id, entry, value) {
+        const { unit, repeat } = Utils.getProgressFields(entry.mediaType);
+        const updateData = ProgressTracker.moveRewatch(entry, value);
+        
+        if (await this.tracker.updateEntry(id, updateData, { source: CONFIG.historySources.QUICK })) {
+            this.notifyWithUndo(updateData.rewatchCount
+                ? `Finished ${repeat.toLowerCase()} #${updateData.rewatchCount} of "${entry.title}"!`
+                : `${repeat} at ${unit.toLowerCase()} ${updateData.rewatchProgress}`);
+            this.refreshProgressViews();
+        } else {
+            this.showStorageError(`Failed to update ${unit.toLowerCase()}`);
+        }
+    }
+    
+    async startRewatch(id) {
+        const entry = this.tracker.getEntry(id);
+        if (!entry || entry.status !== 'completed') return;
+        
+        const { repeat } = Utils.getProgressFields(entry.mediaType);
+        if (await this.tracker.updateEntry(id, ProgressTracker.startRewatch(), { source: CONFIG.historySources.QUICK })) {
+            this.notifyWithUndo(`Started a ${repeat.toLowerCase()} of "${entry.title}"`);
+            this.refreshProgressViews();
+        } else {
+            this.showStorageError('Failed to update progress');
+        }
+    }
+    
+    // ==================== IMPORT / EXPORT ====================
+    showImportExportModal() {
+        this.pendingImport = null;
+        document.getElementById('importFileInput').value = '';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('confirmImportBtn').disabled = true;
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('importExportModal')).show();
+    }
+    
+    exportLibrary(format) {
+        try {
+            this.importExport.download(format);
+            this.notifications.show('Export started', CONFIG.notifications.SUCCESS);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.notifications.show('Failed to export your list', CONFIG.notifications.ERROR);
+        }
+    }
+    
+    async handleImportFile(file) {
+        const preview = document.getElementById('importPreview');
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        
+        this.pendingImport = null;
+        confirmBtn.disabled = true;
+        if (!file) {
+            preview.innerHTML = '';
+            return;
+        }
+        
+        try {
+            const text = await file.text();
+            const diff = this.importExport.preview(this.importExport.parse(text));
+            
+            this.pendingImport = diff;
+            preview.innerHTML = this.createImportPreview(diff);
+            confirmBtn.disabled = diff.added.length + diff.updated.length + diff.conflicts.length === 0;
+        } catch (error) {
+            console.error('Import failed:', error);
+            preview.innerHTML = html`<div class="alert alert-danger mb-0">Could not read "${file.name}": ${error.message}</div>`;
+        }
+    }
+    
+    createImportPreview(diff) {
+        const describe = (entry) => {
+            const { current, unit } = Utils.getEntryProgress(entry);
+            const type = entry.mediaType && entry.mediaType !== 'anime' ? `${Utils.getMediaTypeLabel(entry.mediaType)} • ` : '';
+            return `${type}${unit} ${current} • ${Utils.getStatusLabel(entry.status)}`;
+        };
+        const row = ({ id, existing, incoming, changes }, kind) => html`
+            <li class="list-group-item import-diff-item ${kind}">
+                <div class="d-flex align-items-center">
+                    ${kind === 'conflict' ? html`
+                        <input class="form-check-input me-2 import-conflict-check" type="checkbox" value="${id}" aria-label="Use imported entry">
+                    ` : ''}
+                    <div class="flex-grow-1">
+                        <div class="fw-bold">${existing?.title || incoming.title}</div>
+                        <div class="small text-muted">
+                            ${existing ? html`${describe(existing)} &rarr; ` : ''}
+                            ${describe(incoming)}
+                            ${changes ? html` <span class="ms-1">(${changes.join(', ')})</span>` : ''}
+                        </div>
+                    </div>
+                </div>
+            </li>
+        `;
+        
+        const group = (title, items, kind) => items.length ? html`
+            <h4 class="h6 mt-3">${title} <span class="badge bg-secondary">${items.length}</span></h4>
+            ${kind === 'conflict' ? SafeHTML.raw('<p class="small text-muted mb-2">Your list has newer changes for these titles. Tick the ones you want to overwrite with the imported data.</p>') : ''}
+            <ul class="list-group import-diff-list">${items.map(item => row(item, kind))}</ul>
+        ` : '';
+        
+        return html`
+            <div class="import-summary">
+                <span class="badge bg-success me-1">${diff.added.length} new</span>
+                <span class="badge bg-primary me-1">${diff.updated.length} updated</span>
+                <span class="badge bg-warning text-dark me-1">${diff.conflicts.length} conflicting</span>
+                <span class="badge bg-light text-dark">${diff.unchanged.length} unchanged</span>
+            </div>
+            ${group('New entries', diff.added, 'added')}
+            ${group('Updated entries', diff.updated, 'updated')}
+            ${group('Conflicts', diff.conflicts, 'conflict')}
+        `;
+    }
+    
+    async confirmImport() {
+        if (!this.pendingImport) return;
+        
+        const resolveConflicts = [...document.querySelectorAll('.import-conflict-check:checked')]
+            .map(input => input.value);
+        const diff = this.pendingImport;
+        const result = await this.undo.transaction('Import', () =>
+            this.importExport.merge(diff, { resolveConflicts }));
+        
+        this.pendingImport = null;
+        bootstrap.Modal.getInstance(document.getElementById('importExportModal')).hide();
+        this.notifyWithUndo(
+            `Imported ${result.added} new and ${result.updated} updated entries (${result.skipped} skipped)`
+        );
+        
+        await this.refreshProgressViews();
+    }
+    
+    // ==================== UNDO / REDO ====================
+    notifyWithUndo(message) {
+        this.notifications.show(message, CONFIG.notifications.SUCCESS, settings.get('notificationDuration'), {
+            label: 'Undo',
+            handler: () => this.undoLastChange()
+        });
+    }
+    
+    async undoLastChange() {
+        const step = await this.undo.undo();
+        if (!step) {
+            this.notifications.show('Nothing to undo', CONFIG.notifications.INFO);
+            return;
+        }
+        
+        this.notifications.show(`Undid: ${step.label}`, CONFIG.notifications.INFO, settings.get('notificationDuration'), {
+            label: 'Redo',
+            handler: () => this.redoLastChange()
+        });
+        await this.refreshProgressViews();
+    }
+    
+    async redoLastChange() {
+        const step = await this.undo.redo();
+        if (!step) {
+            this.notifications.show('Nothing to redo', CONFIG.notifications.INFO);
+            return;
+        }
+        
+        this.notifyWithUndo(`Redid: ${step.label}`);
+        await this.refreshProgressViews();
+    }
+    
+    handleUndoShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select, [contenteditable]')) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undoLastChange();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redoLastChange();
+        }
+    }
+    
+    // The progress list follows tracker changes on its own (see ProgressListView.handleChange)
+    async refreshProgressViews() {
+        await Promise.all([
+            this.loadContinueWatching(),
+            this.loadUpcomingEpisodes()
+        ]);
+        this.updateStats();
+    }
+    
+    // ==================== DEVICE SYNC ====================
+    // Runs in the background (see setupDeviceSync()); `manual` is the navbar button,
+    // which also reports when there was nothing to do
+    async syncDevices(manual = false) {
+        let result;
+        try {
+            result = await this.deviceSync.sync();
+        } catch (error) {
+            if (manual) {
+                this.notifications.show(`Sync failed: ${error.message}`, CONFIG.notifications.ERROR);
             }
+            return;
+        }
+        
+        if (result?.received > 0) {
+            this.notifications.show(`Synced ${result.received} change${result.received === 1 ? '' : 's'} from your other devices`, CONFIG.notifications.SUCCESS, 3000);
+            await this.refreshProgressViews();
+        } else if (manual && result) {
+            this.notifications.show('Your list is up to date', CONFIG.notifications.SUCCESS, 3000);
+        } else if (manual && !navigator.onLine) {
+            this.notifications.show("You're offline; changes will sync when you reconnect", CONFIG.notifications.WARNING);
+        }
+    }
+    
+    renderSyncStatus() {
+        const item = document.getElementById('syncStatusItem');
+        const button = document.getElementById('syncStatus');
+        if (!item || !button) return;
+        
+        const { state, pending, lastSyncAt, lastError } = this.deviceSync.getStatus();
+        const waiting = pending > 0 ? ` · ${pending} waiting` : '';
+        const views = {
+            local: ['fa-hdd', 'Offline · saved on this device'],
+            syncing: ['fa-sync-alt fa-spin', 'Syncing…'],
+            offline: ['fa-plug', `Offline${waiting}`],
+            error: ['fa-exclamation-triangle', `Sync failed${waiting}`],
+            pending: ['fa-cloud-upload-alt', `${pending} to sync`],
+            synced: ['fa-check-circle', lastSyncAt ? `Synced ${Utils.formatTimeAgo(lastSyncAt)}` : 'Not synced yet']
+        };
+        
+        item.classList.toggle('d-none', state === 'disabled');
+        if (state === 'disabled') return;
+        
+        const [icon, label] = views[state];
+        button.className = `nav-link sync-status sync-status-${state}`;
+        button.innerHTML = html`<i class="fas ${icon}" aria-hidden="true"></i> <span class="sync-status-label">${label}</span>`;
+        button.disabled = state === 'local';
+        if (state === 'local') {
+            button.title = 'No sync endpoint is set (CONFIG.sync.endpoint), so changes stay on this device';
+            return;
+        }
+        button.title = [
+            lastSyncAt ? `Last synced ${Utils.formatDateTime(lastSyncAt)}` : 'Not synced yet',
+            state === 'error' ? lastError : null,
+            'Click to sync now'
+        ].filter(Boolean).join('\n');
+    }
+    
+    // ==================== PROVIDER HEALTH ====================
+    handleProviderHealth(health) {
+        if (health.status === PROVIDER_STATUS.DOWN) {
+            const fallback = this.api.providers.getHealth().find(p => p.status !== PROVIDER_STATUS.DOWN);
+            const message = fallback
+                ? `${health.label} is unavailable, using ${fallback.label} instead`
+                : `${health.label} is unavailable`;
+            this.notifications.show(message, CONFIG.notifications.WARNING);
+        } else if (health.status === PROVIDER_STATUS.HEALTHY && health.previousStatus === PROVIDER_STATUS.DOWN) {
+            this.notifications.show(`${health.label} is back online`, CONFIG.notifications.INFO, 3000);
+        }
+    }
+    
+    // ==================== ACCOUNTS ====================
+    setupAccounts() {
+        this.accounts.subscribe(() => this.renderAccounts());
+        
+        window.addEventListener('online', () => this.accounts.pushAll());
+    }
+    
+    // Back from a provider's sign-in page: finish linking, then take ?code=&state= out of
+    // the address before the router sees it
+    async completeAccountLink() {
+        const callback = AccountSync.readCallback();
+        if (!callback) return;
+        
+        history.replaceState(null, '', `${location.pathname}#/account`);
+        try {
+            const name = await this.accounts.completeLink(callback);
+            const { user } = this.accounts.getAccount(name);
+            this.notifications.show(`Linked ${CONFIG.accounts.providers[name].label} as ${user.name}`, CONFIG.notifications.SUCCESS);
+            this.syncAccount(name);
+        } catch (error) {
+            console.error('Failed to link account:', error);
+            this.notifications.show(`Couldn't link the account: ${error.message}`, CONFIG.notifications.ERROR);
+        }
+    }
+    
+    showAccountModal() {
+        this.renderAccounts();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('accountModal')).show();
+    }
+    
+    renderAccounts() {
+        const content = document.getElementById('accountContent');
+        if (!content) return;
+        
+        content.innerHTML = html`${Object.entries(CONFIG.accounts.providers).map(([name, { label }]) => this.createAccountCard(name, label))}`;
+    }
+    
+    createAccountCard(name, label) {
+        const account = this.accounts.getAccount(name);
+        
+        if (!account) {
+            const configured = AccountSync.isConfigured(name);
+            return html`
+                <section class="account-card">
+                    <div class="d-flex align-items-center gap-2">
+                        <div class="flex-grow-1">
+                            <h3 class="h6 mb-1">${label}</h3>
+                            <div class="small text-muted">${configured ? 'Not linked' : `Set CONFIG.accounts.providers.${name}.clientId to link an account`}</div>
+                        </div>
+                        <button type="button" class="btn btn-primary btn-sm" data-action="link-account" data-name="${name}" ${configured ? '' : 'disabled'}>
+                            <i class="fas fa-link me-1"></i>Link
+                        </button>
+                    </div>
+                </section>
+            `;
+        }
+        
+        const syncing = this.accounts.isSyncing(name);
+        const pending = Object.keys(account.pending).length;
+        return html`
+            <section class="account-card">
+                <div class="d-flex align-items-center gap-2">
+                    <div class="flex-grow-1">
+                        <h3 class="h6 mb-1">${label} <span class="badge bg-success ms-1">Linked</span></h3>
+                        <div class="small text-muted">
+                            Signed in as ${account.user?.name || 'unknown user'} •
+                            ${account.lastSyncAt ? `Last synced ${Utils.formatDateTime(account.lastSyncAt)}` : 'Not synced yet'}
+                            ${pending ? ` • ${pending} change${pending === 1 ? '' : 's'} waiting to send` : ''}
+                        </div>
+                        ${account.lastError ? html`<div class="small text-danger">${account.lastError}</div>` : ''}
+                    </div>
+                    <button type="button" class="btn btn-outline-primary btn-sm" data-action="sync-account" data-name="${name}" ${syncing ? 'disabled' : ''}>
+                        <i class="fas fa-sync-alt me-1 ${syncing ? 'fa-spin' : ''}"></i>${syncing ? 'Syncing…' : 'Sync now'}
+                    </button>
+                    <button type="button" class="btn btn-outline-danger btn-sm" data-action="unlink-account" data-name="${name}">Unlink</button>
+                </div>
+                ${account.conflicts.length ? this.createSyncConflicts(name, label, account.conflicts) : ''}
+            </section>
+        `;
+    }
+    
+    // Both sides changed these titles since the last sync; the newer one is preselected
+    createSyncConflicts(name, label, conflicts) {
+        const describe = ({ status, currentEpisode, rating, startedAt, finishedAt }) => [
+            `Episode ${currentEpisode || 0}`,
+            Utils.getStatusLabel(status),
+            rating ? Scoring.format(rating) : null,
+            startedAt ? `started ${Utils.formatDay(startedAt)}` : null,
+            finishedAt ? `finished ${Utils.formatDay(finishedAt)}` : null
+        ].filter(Boolean).join(' • ');
+        const option = (conflict, side, title, entry) => html`
+            <div class="form-check">
+                <input class="form-check-input" type="radio" name="syncConflict-${name}-${conflict.id}" id="syncConflict-${name}-${conflict.id}-${side}" value="${side}" data-id="${conflict.id}" ${conflict.prefer === side ? 'checked' : ''}>
+                <label class="form-check-label small" for="syncConflict-${name}-${conflict.id}-${side}">
+                    ${title}: ${describe(entry)}
+                    ${entry.updatedAt ? html`<span class="text-muted">(${Utils.formatDateTime(entry.updatedAt)})</span>` : ''}
+                </label>
+            </div>
+        `;
+        
+        return html`
+            <div class="sync-conflicts mt-3" data-name="${name}">
+                <h4 class="h6">Conflicts <span class="badge bg-warning text-dark">${conflicts.length}</span></h4>
+                <p class="small text-muted mb-2">These titles changed both here and on ${label} since the last sync. Pick the version to keep on both.</p>
+                <ul class="list-group mb-2">
+                    ${conflicts.map(conflict => html`
+                        <li class="list-group-item import-diff-item conflict">
+                            <div class="fw-bold">${conflict.title}</div>
+                            ${option(conflict, 'local', 'This device', conflict.local)}
+                            ${option(conflict, 'remote', label, conflict.remote)}
+                        </li>
+                    `)}
+                </ul>
+                <button type="button" class="btn btn-primary btn-sm" data-action="resolve-sync-conflicts" data-name="${name}">Apply choices</button>
+            </div>
+        `;
+    }
+    
+    async linkAccount(name) {
+        try {
+            location.assign(await this.accounts.beginLink(name));
+        } catch (error) {
+            console.error('Failed to start sign-in:', error);
+            this.notifications.show(`Couldn't start the sign-in: ${error.message}`, CONFIG.notifications.ERROR);
+        }
+    }
+    
+    async syncAccount(name) {
+        const { label } = CONFIG.accounts.providers[name];
+        let result;
+        try {
+            result = await this.accounts.sync(name);
+        } catch (error) {
+            console.error(`Failed to sync with ${label}:`, error);
+            this.notifications.show(`Sync with ${label} failed: ${error.message}`, CONFIG.notifications.ERROR);
+            return;
+        }
+        if (!result) return;
+        
+        const message = `Synced with ${label}: ${result.pulled} updated here, ${result.pushed} sent, ${result.removed} removed`;
+        if (result.conflicts > 0) {
+            this.notifications.show(`${message}. ${result.conflicts} conflict${result.conflicts === 1 ? '' : 's'} to review.`, CONFIG.notifications.WARNING, settings.get('notificationDuration'), {
+                label: 'Review',
+                handler: () => this.router.navigate('/account')
+            });
+        } else {
+            this.notifications.show(message, CONFIG.notifications.SUCCESS, 3000);
+        }
+        
+        if (result.pulled > 0 || result.removed > 0) {
+            await this.refreshProgressViews();
+        }
+    }
+    
+    async resolveSyncConflicts(name) {
+        const choices = {};
+        document.querySelectorAll(`.sync-conflicts[data-name="${name}"] input:checked`).forEach(input => {
+            choices[input.dataset.id] = input.value;
+        });
+        
+        await this.accounts.resolveConflicts(name, choices);
+        this.notifications.show('Conflicts resolved', CONFIG.notifications.SUCCESS, 3000);
+        await this.refreshProgressViews();
+    }
+    
+    unlinkAccount(name) {
+        const { label } = CONFIG.accounts.providers[name];
+        if (confirm(`Unlink your ${label} account? Your list stays on this device.`)) {
+            this.accounts.unlink(name);
+            this.notifications.show(`Unlinked ${label}`, CONFIG.notifications.INFO, 3000);
+        }
+    }
+    
+    logout() {
+        const linked = this.accounts.getLinked();
+        if (linked.length === 0) {
+            this.notifications.show('No accounts are linked', CONFIG.notifications.INFO, 3000);
+            return;
+        }
+        
+        if (confirm('Sign out of all linked accounts? Your list stays on this device.')) {
+            linked.forEach(name => this.accounts.unlink(name));
+            this.notifications.show('Signed out', CONFIG.notifications.INFO, 3000);
+        }
+    }
+    
+    // ==================== SETTINGS ====================
+    showSettingsModal() {
+        const options = (select, entries) => {
+            select.innerHTML = html`${entries.map(([value, label]) => html`<option value="${value}">${label}</option>`)}`;
+        };
+        const form = document.getElementById('settingsForm');
+        const { titleLanguages, themes, filters, views } = CONFIG.settings;
+        
+        options(form.elements.theme, Object.entries(themes));
+        options(form.elements.titleLanguage, Object.entries(titleLanguages));
+        options(form.elements.defaultFilter, filters.map(filter => [filter, filter === 'all' ? 'All' : Utils.getStatusLabel(filter)]));
+        options(form.elements.defaultView, views.map(view => [view, view === 'grid' ? 'Grid' : 'List']));
+        options(form.elements.scoringSystem, Object.entries(CONFIG.scoring.systems));
+        this.fillSettingsForm(settings.getAll());
+        
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('settingsModal')).show();
+    }
+    
+    fillSettingsForm(values) {
+        const { elements } = document.getElementById('settingsForm');
+        
+        elements.theme.value = values.theme;
+        elements.titleLanguage.value = values.titleLanguage;
+        elements.sfw.checked = values.sfw;
+        elements.defaultFilter.value = values.defaultFilter;
+        elements.defaultView.value = values.defaultView;
+        elements.episodeLength.value = values.episodeLength;
+        elements.notificationDuration.value = values.notificationDuration / 1000;
+        elements.scoringSystem.value = values.scoringSystem;
+    }
+    
+    saveSettings() {
+        const { elements } = document.getElementById('settingsForm');
+        
+        settings.set({
+            theme: elements.theme.value,
+            titleLanguage: elements.titleLanguage.value,
+            sfw: elements.sfw.checked,
+            defaultFilter: elements.defaultFilter.value,
+            defaultView: elements.defaultView.value,
+            episodeLength: elements.episodeLength.value,
+            notificationDuration: parseFloat(elements.notificationDuration.value) * 1000,
+            scoringSystem: elements.scoringSystem.value
+        });
+        
+        bootstrap.Modal.getInstance(document.getElementById('settingsModal')).hide();
+        this.notifications.show('Settings saved', CONFIG.notifications.SUCCESS, 3000);
+    }
+    
+    // Called with the names of the settings that changed; re-renders only what depends on them
+    applySettings(changed) {
+        const has = (...names) => names.some(name => changed.includes(name));
+        
+        if (has('theme')) {
+            this.applyTheme();
+        }
+        
+        if (has('defaultView')) {
+            this.setView(settings.get('defaultView'));
+        }
+        
+        if (has('sfw')) {
+            this.searchCache.clear();
+            this.searchPage = null;
+            this.seasonChart = null;
+        }
+        
+        if (has('defaultFilter')) {
+            this.setFilter(settings.get('defaultFilter'));
+        } else if (has('titleLanguage', 'sfw', 'scoringSystem')) {
+            this.loadUserProgress();
+        }
+        
+        if (has('titleLanguage', 'sfw')) {
+            this.loadContinueWatching();
+            this.loadTrendingAnime();
+            this.loadRecommendations();
         }
+        
+        if (has('episodeLength', 'scoringSystem')) {
+            this.updateStats();
+        }
+        
+        if (has('scoringSystem')) {
+            this.renderListControls();
+        }
+        
+        if (has('scoringSystem') && this.detail?.anime) {
+            this.renderDetailProgress();
+        }
+    }
+    
+    // Bootstrap and styles.css both key their dark palette off data-bs-theme
+    applyTheme() {
+        const theme = settings.get('theme');
+        const dark = theme === 'dark' ||
+            (theme === 'auto' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+        
+        document.documentElement.setAttribute('data-bs-theme', dark ? 'dark' : 'light');
     }
     
     // ==================== STATISTICS ====================
     updateStats() {
-        const stats = this.tracker.getStats();
+        const stats = this.tracker.getStats(this.statistics.durations);
         
         // Update hero stats
         document.getElementById('totalAnimeCount').textContent = Utils.formatNumber(stats.total);
         document.getElementById('totalEpisodesCount').textContent = Utils.formatNumber(stats.totalEpisodes);
         document.getElementById('totalHoursCount').textContent = Utils.formatNumber(stats.totalHours);
         
-        // Update sidebar stats
-        document.getElementById('anime-count').textContent = stats.total;
+        // Update sidebar stats, split by media type
+        document.getElementById('anime-count').textContent = stats.byType.anime.total;
+        document.getElementById('reading-count').textContent = stats.total - stats.byType.anime.total;
         document.getElementById('episodes-watched').textContent = stats.totalEpisodes;
+        document.getElementById('chapters-read').textContent = stats.totalChapters;
         document.getElementById('hours-watched').textContent = Math.round(stats.totalHours);
-        document.getElementById('average-score').textContent = stats.averageScore;
+        document.getElementById('average-score').textContent = Scoring.formatAverage(stats.averageScore);
         
         // Animate counters
         this.animateCounters();
@@ -1434,6 +8574,9 @@ class OtakuTrackApp {
     animateCounters() {
         const counters = document.querySelectorAll('.stat-number');
         counters.forEach(counter => {
+            // Only whole counts count up; averages like "7.8" or a smiley are shown as they are
+            if (!/^\d+$/.test(counter.textContent)) return;
+            
             const target = parseInt(counter.textContent);
             const increment = target / 30;
             let current = 0;
@@ -1452,10 +8595,176 @@ class OtakuTrackApp {
         });
     }
     
+    async showStatistics() {
+        const content = document.getElementById('statisticsContent');
+        content.innerHTML = `
+            <div class="text-center py-5">
+                <div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div>
+            </div>
+        `;
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('statisticsModal')).show();
+        
+        try {
+            this.statisticsData = await this.statistics.compute();
+            this.renderStatistics();
+        } catch (error) {
+            console.error('Failed to compute statistics:', error);
+            content.innerHTML = '<div class="alert alert-danger mb-0">Failed to load statistics.</div>';
+        }
+    }
+    
+    setActivityPeriod(period) {
+        this.activityPeriod = period;
+        if (this.statisticsData) this.renderStatistics();
+    }
+    
+    renderStatistics() {
+        const data = this.statisticsData;
+        const { summary } = data;
+        const activity = data.activity[this.activityPeriod];
+        
+        if (summary.total === 0) {
+            document.getElementById('statisticsContent').innerHTML = `
+                <div class="text-center py-5">
+                    <i class="fas fa-chart-bar fa-3x text-muted mb-3"></i>
+                    <p class="text-muted">Add some titles to your list to see statistics.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        this.charts = {
+            scores: ChartRenderer.barChart({
+                title: 'Score distribution',
+                labels: data.scores.labels,
+                series: [{ label: 'Titles', color: CHART_COLORS[0], values: data.scores.counts }]
+            }),
+            activity: ChartRenderer.barChart({
+                title: `Progress per ${this.activityPeriod}`,
+                labels: activity.map(bucket => bucket.label),
+                series: [
+                    { label: 'Episodes', color: CHART_COLORS[0], values: activity.map(bucket => bucket.episodes) },
+                    { label: 'Chapters', color: CHART_COLORS[1], values: activity.map(bucket => bucket.chapters) }
+                ]
+            }),
+            genres: ChartRenderer.horizontalBarChart({ title: 'Top genres', items: data.genres, color: CHART_COLORS[2] }),
+            studios: ChartRenderer.horizontalBarChart({ title: 'Top studios', items: data.studios, color: CHART_COLORS[3] })
+        };
+        
+        const summaryCard = (icon, value, label) => html`
+            <div class="col-6 col-md-3">
+                <div class="stats-summary-card">
+                    <i class="fas ${icon}"></i>
+                    <div class="stats-summary-value">${value}</div>
+                    <div class="stats-summary-label">${label}</div>
+                </div>
+            </div>
+        `;
+        
+        // ChartRenderer escapes its own labels, so the finished SVG goes in as-is
+        const chartCard = (id, title, extra = '', empty = false) => html`
+            <div class="chart-card">
+                <div class="chart-card-header">
+                    <h3 class="h6 mb-0">${title}</h3>
+                    <div class="chart-card-actions">
+                        ${extra}
+                        <div class="btn-group btn-group-sm" role="group" aria-label="Export ${title}">
+                            <button type="button" class="btn btn-outline-secondary chart-export-btn" data-chart="${id}" data-format="svg">SVG</button>
+                            <button type="button" class="btn btn-outline-secondary chart-export-btn" data-chart="${id}" data-format="png">PNG</button>
+                        </div>
+                    </div>
+                </div>
+                <div class="chart-body">
+                    ${SafeHTML.raw(empty ? '<p class="text-muted small mb-0">Not enough data yet.</p>' : this.charts[id])}
+                </div>
+            </div>
+        `;
+        
+        const periodToggle = html`
+            <div class="btn-group btn-group-sm me-2" role="group" aria-label="Activity period">
+                ${['week', 'month'].map(period => html`
+                    <button type="button" class="btn btn-outline-primary chart-period-btn ${period === this.activityPeriod ? 'active' : ''}" data-period="${period}">
+                        ${period === 'week' ? 'Weekly' : 'Monthly'}
+                    </button>
+                `)}
+            </div>
+        `;
+        
+        const rateRows = data.rates.map(stats => html`
+            <tr>
+                <td>${Utils.getMediaTypeLabel(stats.mediaType)}</td>
+                <td>${stats.total}</td>
+                <td>${stats.completed}</td>
+                <td>${stats.dropped}</td>
+                <td>${stats.completionRate}%</td>
+                <td>${stats.dropRate}%</td>
+                <td>${stats.averageScore || '—'}</td>
+            </tr>
+        `);
+        
+        document.getElementById('statisticsContent').innerHTML = html`
+            <div class="row g-3 mb-4">
+                ${summaryCard('fa-list', Utils.formatNumber(summary.total), 'Titles')}
+                ${summaryCard('fa-clock', Utils.formatNumber(Math.round(summary.totalHours)), 'Hours watched')}
+                ${summaryCard('fa-check-circle', `${summary.completionRate}%`, 'Completion rate')}
+                ${summaryCard('fa-times-circle', `${summary.dropRate}%`, 'Drop rate')}
+            </div>
+            
+            ${chartCard('activity', 'Activity', periodToggle)}
+            
+            <div class="row g-3">
+                <div class="col-lg-6">${chartCard('scores', 'Score distribution', '', data.scores.counts.every(count => count === 0))}</div>
+                <div class="col-lg-6">${chartCard('genres', 'Top genres', '', data.genres.length === 0)}</div>
+                <div class="col-lg-6">${chartCard('studios', 'Top studios', '', data.studios.length === 0)}</div>
+                <div class="col-lg-6">
+                    <div class="chart-card">
+                        <div class="chart-card-header">
+                            <h3 class="h6 mb-0">By media type</h3>
+                        </div>
+                        <div class="table-responsive">
+                            <table class="table table-sm mb-0 stats-rates-table">
+                                <thead>
+                                    <tr><th>Type</th><th>Total</th><th>Done</th><th>Dropped</th><th>Completion</th><th>Drop</th><th>Avg</th></tr>
+                                </thead>
+                                <tbody>${rateRows}</tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <p class="small text-muted mt-3 mb-0">
+                Hours use each show's episode length where it is known and include rewatches${summary.rewatchedEpisodes ? ` (${Utils.formatNumber(summary.rewatchedEpisodes)} episodes)` : ''}. Completion and drop rates leave out planned titles.
+            </p>
+        `;
+    }
+    
+    async exportChart(id, format) {
+        const svg = this.charts[id];
+        if (!svg) return;
+        
+        const date = new Date().toISOString().slice(0, 10);
+        try {
+            const blob = format === 'png'
+                ? await ChartRenderer.toPNGBlob(svg)
+                : new Blob([svg], { type: 'image/svg+xml' });
+            Utils.downloadBlob(blob, `otakutrack-${id}-${date}.${format}`);
+        } catch (error) {
+            console.error('Chart export failed:', error);
+            this.notifications.show('Failed to export chart', CONFIG.notifications.ERROR);
+        }
+    }
+    
     // ==================== UTILITY METHODS ====================
+    showStorageError(message) {
+        if (this.tracker.isQuotaError()) {
+            message = 'Browser storage is full. Export your list and free up space to keep saving.';
+        }
+        this.notifications.show(message, CONFIG.notifications.ERROR);
+    }
+    
     handleOutsideClick(e) {
         // Close search results
-        if (!e.target.closest('#searchInput') && !e.target.closest('#searchResults')) {
+        if (!e.target.closest('.search-container')) {
             document.getElementById('searchResults').style.display = 'none';
         }
         
@@ -1490,9 +8799,9 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
         
-        // Service worker registration (for future PWA features)
+        // Service worker: offline app shell and API/image caching
         if ('serviceWorker' in navigator) {
-            navigator.serviceWorker.register('/sw.js').catch(err => {
+            navigator.serviceWorker.register('sw.js').catch(err => {
                 console.log('ServiceWorker registration failed:', err);
             });
         }
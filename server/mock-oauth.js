@@ -0,0 +1,366 @@
+// ==================== MOCK MAL / ANILIST SERVER ====================
+// Stand-in for the MyAnimeList and AniList sign-in and list APIs, for trying account sync
+// without real client ids. No dependencies:
+//
+//     node server/mock-oauth.js            (PORT=8787 by default)
+//
+// Sign-in only redirects to the comma-separated REDIRECT_URIS, standing in for the client's
+// registered redirect; when unset, to http(s) pages on localhost.
+//
+// then set CONFIG.accounts.mockServer to 'http://localhost:8787' in script.js. MAL lives
+// under /mal and AniList under /anilist, mirroring the real paths. Lists are kept in memory
+// and start with a few titles, so a restart resets them.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN_LIFETIME = 3600; // seconds
+const REDIRECT_URIS = (process.env.REDIRECT_URIS || '').split(',').map(uri => uri.trim()).filter(Boolean);
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Scores are stored out of 10 with one decimal, as AniList's POINT_10_DECIMAL
+const users = {
+    mal: {
+        user: { id: 1, name: 'mal-tester' },
+        list: {
+            1: { title: 'Cowboy Bebop', episodes: 26, status: 'completed', score: 9, progress: 26, startedAt: '2024-01-02', finishedAt: '2024-01-20', updatedAt: Date.now() - 86400000 },
+            5114: { title: 'Fullmetal Alchemist: Brotherhood', episodes: 64, status: 'watching', score: 0, progress: 12, updatedAt: Date.now() - 3600000 }
+        }
+    },
+    anilist: {
+        user: { id: 2, name: 'anilist-tester' },
+        list: {
+            1: { title: 'Cowboy Bebop', episodes: 26, status: 'completed', score: 8.5, progress: 26, repeat: 1, updatedAt: Date.now() - 86400000 },
+            9253: { title: 'Steins;Gate', episodes: 24, status: 'plan_to_watch', score: 0, progress: 0, updatedAt: Date.now() - 7200000 }
+        }
+    }
+};
+
+const codes = new Map();   // code -> { provider, challenge, method, redirectURI }
+const tokens = new Map();  // access or refresh token -> { provider, expiresAt, refresh }
+
+// ==================== HELPERS ====================
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+        'Content-Type': typeof body === 'string' ? 'text/html; charset=utf-8' : 'application/json',
+        ...headers
+    });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            if (!data) return resolve({});
+            try {
+                resolve((req.headers['content-type'] || '').includes('application/json')
+                    ? JSON.parse(data)
+                    : Object.fromEntries(new URLSearchParams(data)));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function isAllowedRedirect(uri) {
+    if (REDIRECT_URIS.length > 0) return REDIRECT_URIS.includes(uri);
+    try {
+        const url = new URL(uri);
+        return ['http:', 'https:'].includes(url.protocol) && LOCAL_HOSTS.includes(url.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function issueTokens(provider) {
+    const access = base64url(crypto.randomBytes(24));
+    const refresh = base64url(crypto.randomBytes(24));
+    tokens.set(access, { provider, expiresAt: Date.now() + TOKEN_LIFETIME * 1000 });
+    tokens.set(refresh, { provider, refresh: true });
+    return { token_type: 'Bearer', access_token: access, refresh_token: refresh, expires_in: TOKEN_LIFETIME };
+}
+
+// The provider whose token the request carries, or null
+function authorize(req, provider) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const grant = tokens.get(token);
+    return grant && !grant.refresh && grant.provider === provider && grant.expiresAt > Date.now();
+}
+
+// ==================== OAUTH ====================
+// A consent page standing in for the provider's sign-in
+function authorizePage(provider, params, res) {
+    const redirect = params.get('redirect_uri');
+    const state = params.get('state');
+    if (!redirect || !params.get('code_challenge')) {
+        return send(res, 400, { error: 'invalid_request', error_description: 'redirect_uri and code_challenge are required' });
+    }
+    if (!isAllowedRedirect(redirect)) {
+        return send(res, 400, { error: 'invalid_request', error_description: 'redirect_uri is not registered for this client' });
+    }
+
+    const code = base64url(crypto.randomBytes(16));
+    codes.set(code, {
+        provider,
+        challenge: params.get('code_challenge'),
+        method: params.get('code_challenge_method') || 'plain',
+        redirectURI: redirect
+    });
+
+    const back = (query) => escapeHTML(`${redirect}?${new URLSearchParams({ ...query, state })}`);
+    send(res, 200, `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Mock ${escapeHTML(provider)} sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 30rem; margin: 4rem auto;">
+    <h1>Mock ${provider === 'mal' ? 'MyAnimeList' : 'AniList'}</h1>
+    <p>OtakuTrack wants to read and update the anime list of <strong>${escapeHTML(users[provider].user.name)}</strong>.</p>
+    <p><a href="${back({ code })}">Allow</a> &nbsp; <a href="${back({ error: 'access_denied' })}">Deny</a></p>
+</body>
+</html>`);
+}
+
+async function token(provider, req, res) {
+    const body = await readBody(req);
+
+    if (body.grant_type === 'refresh_token') {
+        const grant = tokens.get(body.refresh_token);
+        if (!grant || !grant.refresh || grant.provider !== provider) {
+            return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown refresh token' });
+        }
+        tokens.delete(body.refresh_token);
+        return send(res, 200, issueTokens(provider));
+    }
+
+    const grant = codes.get(body.code);
+    codes.delete(body.code);
+    if (!grant || grant.provider !== provider || grant.redirectURI !== body.redirect_uri) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown code or redirect_uri mismatch' });
+    }
+
+    const verifier = body.code_verifier || '';
+    const expected = grant.method === 'S256'
+        ? base64url(crypto.createHash('sha256').update(verifier).digest())
+        : verifier;
+    if (expected !== grant.challenge) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    send(res, 200, issueTokens(provider));
+}
+
+// ==================== MAL API ====================
+const isoDate = time => new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+
+async function mal(req, res, path, params) {
+    const { list, user } = users.mal;
+
+    if (req.method === 'GET' && path === '/v2/users/@me') {
+        return send(res, 200, user);
+    }
+
+    if (req.method === 'GET' && path === '/v2/users/@me/animelist') {
+        const data = Object.entries(list).map(([id, entry]) => ({
+            node: { id: Number(id), title: entry.title, num_episodes: entry.episodes },
+            list_status: {
+                status: entry.status,
+                score: Math.round(entry.score),
+                num_episodes_watched: entry.rewatching ? entry.rewatchProgress || 0 : entry.progress,
+                is_rewatching: Boolean(entry.rewatching),
+                num_times_rewatched: entry.repeat || 0,
+                ...(entry.startedAt ? { start_date: entry.startedAt } : {}),
+                ...(entry.finishedAt ? { finish_date: entry.finishedAt } : {}),
+                updated_at: isoDate(entry.updatedAt)
+            }
+        }));
+        // One page at a time, so clients have to follow paging.next
+        const offset = Number(params.get('offset')) || 0;
+        const limit = Math.min(Number(params.get('limit')) || 100, 2);
+        const next = offset + limit < data.length
+            ? `http://localhost:${PORT}/mal${path}?${new URLSearchParams({ ...Object.fromEntries(params), offset: offset + limit })}`
+            : undefined;
+        return send(res, 200, { data: data.slice(offset, offset + limit), paging: next ? { next } : {} });
+    }
+
+    const match = path.match(/^\/v2\/anime\/(\d+)\/my_list_status$/);
+    if (match && req.method === 'PATCH') {
+        const body = await readBody(req);
+        const entry = list[match[1]] || (list[match[1]] = { title: `Anime ${match[1]}`, episodes: null, status: 'plan_to_watch', score: 0, progress: 0 });
+        const rewatching = body.is_rewatching === 'true';
+
+        if (body.status) entry.status = body.status;
+        if (body.score !== undefined) entry.score = Number(body.score);
+        if (body.num_watched_episodes !== undefined) {
+            if (rewatching) {
+                entry.rewatchProgress = Number(body.num_watched_episodes);
+                entry.progress = entry.episodes || entry.progress;
+            } else {
+                entry.progress = Number(body.num_watched_episodes);
+            }
+        }
+        entry.rewatching = rewatching;
+        if (body.num_times_rewatched !== undefined) entry.repeat = Number(body.num_times_rewatched);
+        if (body.start_date) entry.startedAt = body.start_date;
+        if (body.finish_date) entry.finishedAt = body.finish_date;
+        entry.updatedAt = Date.now();
+
+        return send(res, 200, {
+            status: entry.status,
+            score: entry.score,
+            num_episodes_watched: rewatching ? entry.rewatchProgress : entry.progress,
+            is_rewatching: rewatching,
+            updated_at: isoDate(entry.updatedAt)
+        });
+    }
+    if (match && req.method === 'DELETE') {
+        if (!list[match[1]]) return send(res, 404, { error: 'not_found' });
+        delete list[match[1]];
+        return send(res, 200, []);
+    }
+
+    send(res, 404, { error: 'not_found' });
+}
+
+// ==================== ANILIST API ====================
+// Just enough GraphQL for the queries in script.js, picked by the field they ask for.
+// Media ids are the MAL id plus 100000.
+const STATUS_TO_ANILIST = { watching: 'CURRENT', completed: 'COMPLETED', on_hold: 'PAUSED', dropped: 'DROPPED', plan_to_watch: 'PLANNING' };
+const STATUS_FROM_ANILIST = { ...Object.fromEntries(Object.entries(STATUS_TO_ANILIST).map(([key, value]) => [value, key])), REPEATING: 'completed' };
+const MEDIA_OFFSET = 100000;
+
+const toFuzzyDate = day => {
+    const [year, month, date] = (day || '').split('-').map(Number);
+    return { year: year || null, month: month || null, day: date || null };
+};
+const fromFuzzyDate = fuzzy => fuzzy?.year
+    ? [fuzzy.year, fuzzy.month || 1, fuzzy.day || 1].map((part, index) => String(part).padStart(index ? 2 : 4, '0')).join('-')
+    : null;
+
+function anilistEntry(id, entry) {
+    return {
+        id: Number(id),
+        status: entry.rewatching ? 'REPEATING' : STATUS_TO_ANILIST[entry.status],
+        score: entry.score,
+        progress: entry.rewatching ? entry.rewatchProgress || 0 : entry.progress,
+        repeat: entry.repeat || 0,
+        notes: null,
+        startedAt: toFuzzyDate(entry.startedAt),
+        completedAt: toFuzzyDate(entry.finishedAt),
+        updatedAt: Math.floor(entry.updatedAt / 1000),
+        media: {
+            id: MEDIA_OFFSET + Number(id),
+            idMal: Number(id),
+            episodes: entry.episodes,
+            title: { romaji: entry.title, english: null },
+            coverImage: { large: null }
+        }
+    };
+}
+
+async function anilist(req, res) {
+    const { query = '', variables = {} } = await readBody(req);
+    const { list, user } = users.anilist;
+
+    if (/DeleteMediaListEntry/.test(query)) {
+        const deleted = Boolean(list[variables.id]);
+        delete list[variables.id];
+        return send(res, 200, { data: { DeleteMediaListEntry: { deleted } } });
+    }
+
+    if (/SaveMediaListEntry/.test(query)) {
+        const id = String(variables.mediaId - MEDIA_OFFSET);
+        const entry = list[id] || (list[id] = { title: `Anime ${id}`, episodes: null, status: 'plan_to_watch', score: 0, progress: 0 });
+        const rewatching = variables.status === 'REPEATING';
+
+        if (variables.status) entry.status = STATUS_FROM_ANILIST[variables.status];
+        if (variables.scoreRaw !== undefined) entry.score = (variables.scoreRaw || 0) / 10;
+        if (variables.progress !== undefined) {
+            if (rewatching) {
+                entry.rewatchProgress = variables.progress;
+                entry.progress = entry.episodes || entry.progress;
+            } else {
+                entry.progress = variables.progress;
+            }
+        }
+        entry.rewatching = rewatching;
+        if (variables.repeat !== undefined) entry.repeat = variables.repeat;
+        if (variables.startedAt) entry.startedAt = fromFuzzyDate(variables.startedAt);
+        if (variables.completedAt) entry.finishedAt = fromFuzzyDate(variables.completedAt);
+        entry.updatedAt = Date.now();
+
+        // List entry ids are the MAL id too
+        return send(res, 200, { data: { SaveMediaListEntry: { id: Number(id), updatedAt: Math.floor(entry.updatedAt / 1000) } } });
+    }
+
+    if (/MediaListCollection/.test(query)) {
+        return send(res, 200, {
+            data: {
+                MediaListCollection: {
+                    lists: [{ status: null, entries: Object.entries(list).map(([id, entry]) => anilistEntry(id, entry)) }]
+                }
+            }
+        });
+    }
+
+    if (/Viewer/.test(query)) {
+        return send(res, 200, { data: { Viewer: user } });
+    }
+
+    if (/Media\s*\(/.test(query)) {
+        return send(res, 200, { data: { Media: { id: MEDIA_OFFSET + variables.idMal } } });
+    }
+
+    send(res, 400, { errors: [{ message: 'Query not supported by the mock server' }] });
+}
+
+// ==================== ROUTING ====================
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const path = url.pathname;
+
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+
+    try {
+        if (path === '/mal/v1/oauth2/authorize') return authorizePage('mal', url.searchParams, res);
+        if (path === '/mal/v1/oauth2/token' && req.method === 'POST') return await token('mal', req, res);
+        if (path === '/anilist/api/v2/oauth/authorize') return authorizePage('anilist', url.searchParams, res);
+        if (path === '/anilist/api/v2/oauth/token' && req.method === 'POST') return await token('anilist', req, res);
+
+        if (path.startsWith('/mal/')) {
+            if (!authorize(req, 'mal')) return send(res, 401, { error: 'invalid_token' });
+            return await mal(req, res, path.slice('/mal'.length), url.searchParams);
+        }
+        if (path === '/anilist' && req.method === 'POST') {
+            if (!authorize(req, 'anilist')) return send(res, 401, { errors: [{ message: 'Invalid token', status: 401 }] });
+            return await anilist(req, res);
+        }
+
+        send(res, 404, { error: 'not_found' });
+    } catch (error) {
+        console.error(error);
+        send(res, 500, { error: 'server_error', error_description: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock MAL/AniList server on http://localhost:${PORT}`);
+});
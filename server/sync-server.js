@@ -0,0 +1,180 @@
+// ==================== OTAKUTRACK SYNC SERVER ====================
+// Reference server for multi-device sync (DeviceSync in script.js). No dependencies:
+//
+//     node server/sync-server.js
+//
+// Environment:
+//   PORT        port to listen on (8788)
+//   DATA_DIR    where lists are stored, one JSON file each (server/data)
+//   SYNC_TOKEN  when set, requests need "Authorization: Bearer <SYNC_TOKEN>"
+//
+// Every list has its own address: point CONFIG.sync.endpoint at
+// http://localhost:8788/<list name> and the app POSTs change sets to <endpoint>/changes.
+const http = require('http');
+const fs = require('fs/promises');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8788;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SYNC_TOKEN = process.env.SYNC_TOKEN || null;
+const MAX_BODY = 10 * 1024 * 1024;
+const LIST_NAME = /^[\w-]{1,64}$/;
+
+// ==================== STORAGE ====================
+// A list file is { seq, records: { key: { key, revision, updatedAt, deleted, entry, device, seq } } }.
+// `seq` counts accepted changes; a record's `seq` is when it last changed, which is what
+// clients' cursors point at. Removed entries stay as records with `deleted: true`.
+// `records` has no prototype, so keys like "__proto__" are ordinary entries.
+const listFile = name => path.join(DATA_DIR, `${name}.json`);
+
+async function readList(name) {
+    try {
+        const list = JSON.parse(await fs.readFile(listFile(name), 'utf8'));
+        return { ...list, records: Object.assign(Object.create(null), list.records) };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { seq: 0, records: Object.create(null) };
+        throw error;
+    }
+}
+
+// Write to a temporary file first so a crash never leaves half a list behind
+async function writeList(name, list) {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const temp = `${listFile(name)}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(list));
+    await fs.rename(temp, listFile(name));
+}
+
+// Requests for one list run one after another
+const queues = new Map();
+function withList(name, operation) {
+    const run = (queues.get(name) || Promise.resolve()).then(operation, operation);
+    queues.set(name, run.catch(() => {}));
+    return run;
+}
+
+// ==================== SYNC ====================
+// A change is accepted when its revision is higher than the stored one. The same revision
+// from the device that stored it is a retry and is accepted without another write; anything
+// else is a conflict, answered with the stored record for the client to resolve.
+function applyChanges(list, device, changes) {
+    const accepted = [];
+    const conflicts = [];
+
+    changes.forEach(change => {
+        const stored = list.records[change.key];
+
+        if (stored && change.revision === stored.revision && stored.device === device) {
+            accepted.push({ key: change.key, revision: change.revision });
+        } else if (!stored || change.revision > stored.revision) {
+            list.seq++;
+            list.records[change.key] = {
+                key: change.key,
+                revision: change.revision,
+                updatedAt: change.updatedAt || Date.now(),
+                deleted: Boolean(change.deleted),
+                entry: change.entry || null,
+                device,
+                seq: list.seq
+            };
+            accepted.push({ key: change.key, revision: change.revision });
+        } else {
+            conflicts.push(stored);
+        }
+    });
+
+    return { accepted, conflicts };
+}
+
+function isValidChange(change) {
+    return change && typeof change.key === 'string' && change.key.length > 0 &&
+        Number.isInteger(change.revision) && change.revision >= 0 &&
+        (change.deleted || (change.entry && typeof change.entry === 'object'));
+}
+
+async function sync(name, body) {
+    const { device, changes = [] } = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    if (typeof device !== 'string' || !Array.isArray(changes) || !changes.every(isValidChange)) {
+        return { status: 400, body: { error: 'Expected { device, since, changes: [{ key, revision, updatedAt, deleted, entry }] }' } };
+    }
+
+    return withList(name, async () => {
+        const list = await readList(name);
+        const seq = list.seq;
+        // A cursor past the end means this list was reset since the client last synced
+        const reset = Number(body.since) > list.seq;
+        const since = reset ? 0 : Number(body.since) || 0;
+
+        const { accepted, conflicts } = applyChanges(list, device, changes);
+        const answered = new Set([...accepted, ...conflicts].map(record => record.key));
+        const updates = Object.values(list.records)
+            .filter(record => record.seq > since && !answered.has(record.key));
+
+        if (list.seq !== seq) {
+            await writeList(name, list);
+        }
+
+        return { status: 200, body: { cursor: list.seq, accepted, conflicts, changes: updates, reset } };
+    });
+}
+
+// ==================== HTTP ====================
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+            if (data.length > MAX_BODY) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const [, name, action] = new URL(req.url, `http://localhost:${PORT}`).pathname.split('/');
+    if (req.method !== 'POST' || action !== 'changes' || !LIST_NAME.test(name || '')) {
+        return send(res, 404, { error: 'POST /<list name>/changes' });
+    }
+    if (SYNC_TOKEN && req.headers.authorization !== `Bearer ${SYNC_TOKEN}`) {
+        return send(res, 401, { error: 'Missing or wrong sync token' });
+    }
+
+    try {
+        const { status, body } = await sync(name, await readBody(req));
+        send(res, status, body);
+    } catch (error) {
+        if (!error.status) console.error(error);
+        send(res, error.status || 500, { error: error.message });
+    }
+});
+
+// Only listen when run directly; tests require() the functions above
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`OtakuTrack sync server on http://localhost:${PORT} (lists in ${DATA_DIR})`);
+    });
+}
+
+module.exports = { applyChanges, isValidChange, sync, readList, writeList, server };
@@ -0,0 +1,517 @@
+// ==================== STORAGE SCHEMA ====================
+// Shared by index.html (script.js) and anime.html so both pages read and write
+// the same progress data. Load this file before either page's own script.
+const STORAGE_SCHEMA = {
+    version: 3,
+    key: 'otakutrack_progress',
+    backupPrefix: 'otakutrack_progress_backup_v',
+
+    // Nested {mediaType: {id: {current, total, ...}}} map written by the old anime.html tracker
+    legacyMediaKey: 'otakuTrackProgress',
+
+    // Removed entries, {key: {id, mediaType, revision, deletedAt}}, for multi-device sync
+    tombstonesKey: 'otakutrack_tombstones',
+
+    mediaTypes: ['anime', 'manga', 'manhwa', 'novel'],
+
+    database: {
+        name: 'otakutrack',
+        // Bump when stores change; the upgrade creates new ones and deletes dropped ones
+        version: 3,
+        stores: {
+            progress: 'progress',
+            meta: 'meta'
+        }
+    }
+};
+
+// ==================== MIGRATIONS ====================
+// Each migration upgrades a blob from `version - 1` to `version`. Add new ones at
+// the end and bump STORAGE_SCHEMA.version; a migration that has shipped is only edited
+// to fix it, with a later one repairing what the broken version already wrote.
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Empty store',
+        migrate: () => ({})
+    },
+    {
+        version: 2,
+        description: 'Wrap the flat progress map in a versioned envelope and merge anime.html data',
+        migrate: (flatMap, storage) => {
+            const entries = {};
+
+            Object.entries(flatMap || {}).forEach(([id, data]) => {
+                entries[id] = { ...data, id, mediaType: 'anime' };
+            });
+
+            let nested = {};
+            try {
+                nested = JSON.parse(storage.getItem(STORAGE_SCHEMA.legacyMediaKey)) || {};
+            } catch (error) {
+                console.error('Failed to read anime.html progress, skipping it:', error);
+            }
+
+            Object.entries(nested).forEach(([mediaType, items]) => {
+                Object.entries(items || {}).forEach(([id, progress]) => {
+                    const key = StorageMigrator.entryKey(mediaType, id);
+                    const entry = StorageMigrator.fromCompactProgress(id, mediaType, {
+                        ...progress,
+                        rating: StorageMigrator.fromFivePointRating(progress?.rating)
+                    });
+                    // script.js entries carry timestamps and titles, so they win on collision
+                    entries[key] = entries[key] ? { ...entry, ...entries[key] } : entry;
+                });
+            });
+
+            return { version: 2, entries };
+        }
+    },
+    {
+        version: 3,
+        description: 'Rescale ratings anime.html saved out of 5 to the 10-point scale',
+        // Until v2 above doubled them, anime.html's 1-5 ratings were stored as they were:
+        // strings from its select, like the 1-10 strings old script.js builds saved. A "1"
+        // to "5" is only anime.html's when script.js never wrote the entry, i.e. it has no
+        // history and isn't an untouched v1 entry with that rating.
+        migrate: (blob, storage) => {
+            let flatMap = {};
+            try {
+                const backup = JSON.parse(storage.getItem(`${STORAGE_SCHEMA.backupPrefix}1`));
+                flatMap = JSON.parse(backup?.data?.[STORAGE_SCHEMA.key]) || {};
+            } catch (error) {
+                console.error('Failed to read the v1 backup, rescaling without it:', error);
+            }
+
+            const entries = {};
+            Object.entries(blob.entries || {}).forEach(([key, entry]) => {
+                const fivePoint = typeof entry?.rating === 'string' && /^[1-5]$/.test(entry.rating.trim()) &&
+                    !entry.history && flatMap[key]?.rating !== entry.rating;
+                entries[key] = fivePoint ? { ...entry, rating: StorageMigrator.fromFivePointRating(entry.rating) } : entry;
+            });
+
+            return { version: 3, entries };
+        }
+    }
+];
+
+class StorageMigrator {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+    }
+
+    static entryKey(mediaType, id) {
+        // Anime keep their bare MAL id so existing links and lookups keep working
+        return mediaType === 'anime' ? String(id) : `${mediaType}:${id}`;
+    }
+
+    static isReadType(mediaType) {
+        return mediaType && mediaType !== 'anime';
+    }
+
+    // anime.html rated out of 5 before it moved to the shared 10-point scale
+    static fromFivePointRating(rating) {
+        const value = parseFloat(rating);
+        return value > 0 ? Math.min(value * 2, 10) : null;
+    }
+
+    // Convert the compact {current, total, status, rating} shape used by anime.html
+    static fromCompactProgress(id, mediaType, progress, existing = {}) {
+        const now = Date.now();
+        const counters = StorageMigrator.isReadType(mediaType)
+            ? { currentChapter: parseInt(progress.current) || 0, totalChapters: parseInt(progress.total) || null }
+            : { currentEpisode: parseInt(progress.current) || 0, totalEpisodes: parseInt(progress.total) || null };
+
+        return {
+            title: id.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+            image: null,
+            addedAt: now,
+            ...existing,
+            ...counters,
+            ...(progress.title ? { title: progress.title } : {}),
+            ...(progress.image ? { image: progress.image } : {}),
+            id,
+            mediaType,
+            status: progress.status || existing.status || (StorageMigrator.isReadType(mediaType) ? 'plan_to_read' : 'plan_to_watch'),
+            // The inline list editor on anime.html saves without a rating; don't wipe one set elsewhere
+            rating: progress.rating || existing.rating || null,
+            updatedAt: now,
+            // Counts writes for multi-device sync (see ProgressTracker in script.js)
+            revision: (existing.revision || 0) + 1
+        };
+    }
+
+    static toCompactProgress(entry) {
+        const isRead = StorageMigrator.isReadType(entry.mediaType);
+        return {
+            current: (isRead ? entry.currentChapter : entry.currentEpisode) || 0,
+            total: (isRead ? entry.totalChapters : entry.totalEpisodes) || null,
+            status: entry.status,
+            rating: entry.rating || null
+        };
+    }
+
+    detectVersion(blob) {
+        if (blob === null || blob === undefined) return 0;
+        if (typeof blob.version === 'number' && blob.entries) return blob.version;
+        return 1; // Unversioned flat map from script.js
+    }
+
+    readRaw(key) {
+        const raw = this.storage.getItem(key);
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    // Bring the stored blob up to STORAGE_SCHEMA.version and return it
+    run() {
+        let blob;
+        try {
+            blob = this.readRaw(STORAGE_SCHEMA.key);
+        } catch (error) {
+            console.error('Stored progress is unreadable, starting fresh:', error);
+            this.backup(0);
+            blob = null;
+        }
+
+        const hasLegacyMedia = this.storage.getItem(STORAGE_SCHEMA.legacyMediaKey) !== null;
+        let version = this.detectVersion(blob);
+
+        // Nothing stored on either page yet
+        if (version === 0 && !hasLegacyMedia) {
+            return { version: STORAGE_SCHEMA.version, entries: {} };
+        }
+
+        if (version > STORAGE_SCHEMA.version) {
+            throw new Error(`Stored progress uses schema v${version}, newer than this app (v${STORAGE_SCHEMA.version})`);
+        }
+
+        if (version === STORAGE_SCHEMA.version) {
+            return blob;
+        }
+
+        this.backup(version);
+        blob = this.migrate(blob, version);
+
+        this.write(blob);
+        this.storage.removeItem(STORAGE_SCHEMA.legacyMediaKey);
+        return blob;
+    }
+
+    // Apply every migration after `version` to `blob`
+    migrate(blob, version) {
+        return STORAGE_MIGRATIONS
+            .filter(migration => migration.version > version)
+            .reduce((migrated, migration) => migration.migrate(migrated, this.storage), blob);
+    }
+
+    write(blob) {
+        this.storage.setItem(STORAGE_SCHEMA.key, JSON.stringify(blob));
+    }
+
+    // Keep the untouched pre-migration data of both pages so a bad migration can be undone
+    backup(fromVersion) {
+        const backup = {
+            createdAt: Date.now(),
+            fromVersion,
+            data: {
+                [STORAGE_SCHEMA.key]: this.storage.getItem(STORAGE_SCHEMA.key),
+                [STORAGE_SCHEMA.legacyMediaKey]: this.storage.getItem(STORAGE_SCHEMA.legacyMediaKey)
+            }
+        };
+        this.storage.setItem(`${STORAGE_SCHEMA.backupPrefix}${fromVersion}`, JSON.stringify(backup));
+    }
+
+    listBackups() {
+        const backups = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(STORAGE_SCHEMA.backupPrefix)) {
+                backups.push({ key, ...JSON.parse(this.storage.getItem(key)) });
+            }
+        }
+        return backups.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // Restore the raw blobs saved before migrating away from `fromVersion`
+    // (the most recent backup if omitted). The next run() migrates them again.
+    rollback(fromVersion) {
+        const backups = this.listBackups();
+        const backup = fromVersion === undefined
+            ? backups[0]
+            : backups.find(item => item.fromVersion === fromVersion);
+
+        if (!backup) return false;
+
+        Object.entries(backup.data).forEach(([key, value]) => {
+            if (value === null) {
+                this.storage.removeItem(key);
+            } else {
+                this.storage.setItem(key, value);
+            }
+        });
+        return true;
+    }
+}
+
+// ==================== STORAGE ADAPTERS ====================
+// Every adapter implements the same async interface:
+//   get(key) -> entry | null
+//   put(key, entry)
+//   delete(key)
+//   list() -> { key: entry }
+//   putAll({ key: entry })
+// Writes reject on failure (e.g. QuotaExceededError) so callers can surface them.
+class LocalStorageAdapter {
+    constructor(storage = localStorage, migrator = new StorageMigrator(storage)) {
+        this.name = 'localStorage';
+        this.migrator = migrator;
+        this.blob = null;
+    }
+
+    read() {
+        if (!this.blob) {
+            this.blob = this.migrator.run();
+        }
+        return this.blob;
+    }
+
+    // localStorage can only store whole strings, so every write re-serializes the map
+    commit(previousEntries) {
+        try {
+            this.migrator.write(this.blob);
+        } catch (error) {
+            this.blob.entries = previousEntries;
+            throw error;
+        }
+    }
+
+    async get(key) {
+        return this.read().entries[key] || null;
+    }
+
+    async put(key, entry) {
+        const previous = { ...this.read().entries };
+        this.blob.entries[key] = entry;
+        this.commit(previous);
+    }
+
+    async delete(key) {
+        const previous = { ...this.read().entries };
+        delete this.blob.entries[key];
+        this.commit(previous);
+    }
+
+    async list() {
+        return { ...this.read().entries };
+    }
+
+    async putAll(entries) {
+        const previous = { ...this.read().entries };
+        Object.assign(this.blob.entries, entries);
+        this.commit(previous);
+    }
+}
+
+class IndexedDBAdapter {
+    constructor(config = STORAGE_SCHEMA.database) {
+        this.name = 'indexedDB';
+        this.config = config;
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.config.name, this.config.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const stores = Object.values(this.config.stores);
+                stores.forEach(store => {
+                    if (!db.objectStoreNames.contains(store)) {
+                        db.createObjectStore(store);
+                    }
+                });
+                // e.g. "outbox", the old offline request queue that DeviceSync replaced
+                [...db.objectStoreNames]
+                    .filter(store => !stores.includes(store))
+                    .forEach(store => db.deleteObjectStore(store));
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let another tab upgrade the database instead of blocking it
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+        });
+    }
+
+    // Run `operation` against one object store; resolves once the transaction commits
+    async transaction(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const store = tx.objectStore(storeName);
+            let result;
+
+            const request = operation(store);
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async get(key) {
+        const entry = await this.transaction(this.config.stores.progress, 'readonly', store => store.get(key));
+        return entry || null;
+    }
+
+    put(key, entry) {
+        return this.transaction(this.config.stores.progress, 'readwrite', store => store.put(entry, key));
+    }
+
+    delete(key) {
+        return this.transaction(this.config.stores.progress, 'readwrite', store => store.delete(key));
+    }
+
+    async list() {
+        const entries = {};
+        await this.transaction(this.config.stores.progress, 'readonly', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    entries[cursor.key] = cursor.value;
+                    cursor.continue();
+                }
+            };
+        });
+        return entries;
+    }
+
+    putAll(entries) {
+        return this.transaction(this.config.stores.progress, 'readwrite', store => {
+            Object.entries(entries).forEach(([key, entry]) => store.put(entry, key));
+        });
+    }
+
+    async getMeta(key) {
+        return this.transaction(this.config.stores.meta, 'readonly', store => store.get(key));
+    }
+
+    setMeta(key, value) {
+        return this.transaction(this.config.stores.meta, 'readwrite', store => store.put(value, key));
+    }
+}
+
+class StorageBackend {
+    // Pick IndexedDB when the browser offers it, otherwise stay on localStorage.
+    // Data still sitting in localStorage (after schema migrations) is moved across once.
+    static async select(storage = localStorage) {
+        const migrator = new StorageMigrator(storage);
+        const localAdapter = new LocalStorageAdapter(storage, migrator);
+
+        if (!IndexedDBAdapter.isSupported()) {
+            return localAdapter;
+        }
+
+        try {
+            const adapter = new IndexedDBAdapter();
+            await adapter.open();
+
+            // Entries already in IndexedDB get the migrations added since they were moved there
+            const version = await adapter.getMeta('schemaVersion');
+            if (version && version < STORAGE_SCHEMA.version) {
+                const { entries } = migrator.migrate({ version, entries: await adapter.list() }, version);
+                await adapter.putAll(entries);
+            }
+
+            const localEntries = await localAdapter.list();
+            if (Object.keys(localEntries).length > 0) {
+                await StorageBackend.moveEntries(localEntries, adapter);
+                migrator.backup(STORAGE_SCHEMA.version);
+                storage.removeItem(STORAGE_SCHEMA.key);
+            }
+
+            await adapter.setMeta('schemaVersion', STORAGE_SCHEMA.version);
+            return adapter;
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            return localAdapter;
+        }
+    }
+
+    // Entries already in IndexedDB win unless the localStorage copy is newer
+    static async moveEntries(entries, adapter) {
+        const existing = await adapter.list();
+        const toWrite = Object.fromEntries(Object.entries(entries)
+            .filter(([key, entry]) => !existing[key] || (entry.updatedAt || 0) > (existing[key].updatedAt || 0)));
+
+        await adapter.putAll(toWrite);
+    }
+}
+
+// ==================== TOMBSTONES ====================
+// Every local write bumps an entry's `revision`, and removing an entry leaves a tombstone
+// holding the next one, so multi-device sync can order changes from different devices
+// and tell a removed title from one that was never added. Both pages keep them here.
+class TombstoneStore {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.tombstones = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.storage.getItem(STORAGE_SCHEMA.tombstonesKey)) || {};
+        } catch (error) {
+            console.error('Failed to load tombstones:', error);
+            return {};
+        }
+    }
+
+    all() {
+        return this.tombstones;
+    }
+
+    get(key) {
+        return this.tombstones[key] || null;
+    }
+
+    // `tombstone` is { id, mediaType, revision, deletedAt }, or null to clear it
+    set(key, tombstone) {
+        if (tombstone) {
+            this.tombstones[key] = tombstone;
+        } else if (this.tombstones[key]) {
+            delete this.tombstones[key];
+        } else {
+            return;
+        }
+
+        try {
+            this.storage.setItem(STORAGE_SCHEMA.tombstonesKey, JSON.stringify(this.tombstones));
+        } catch (error) {
+            console.error('Failed to save tombstones:', error);
+        }
+    }
+
+    // The revision for the next local write of an entry, past both its stored copy and its tombstone
+    static nextRevision(entry, tombstone) {
+        return Math.max(entry?.revision || 0, tombstone?.revision || 0) + 1;
+    }
+}
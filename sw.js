@@ -0,0 +1,144 @@
+// ==================== OTAKUTRACK SERVICE WORKER ====================
+// App shell precache, stale-while-revalidate for metadata APIs and cache-first cover images.
+// Syncing the list between devices is up to the page (see DeviceSync in script.js).
+
+const CACHE_VERSION = 'v1';
+const CACHES = {
+    shell: `otakutrack-shell-${CACHE_VERSION}`,
+    api: `otakutrack-api-${CACHE_VERSION}`,
+    images: `otakutrack-images-${CACHE_VERSION}`
+};
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'anime.html',
+    'styles.css',
+    'storage.js',
+    'script.js'
+];
+
+const API_HOSTS = ['api.jikan.moe', 'kitsu.io', 'api.mangadex.org'];
+// CDNs serving Bootstrap, Font Awesome and Google Fonts; with this origin, the only shell hosts
+const SHELL_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const IMAGE_HOSTS = ['cdn.myanimelist.net', 's4.anilist.co', 'media.kitsu.app', 'media.kitsu.io', 'uploads.mangadex.org', 'images.unsplash.com'];
+const MAX_IMAGES = 300;
+
+// ==================== LIFECYCLE ====================
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHES.shell)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = Object.values(CACHES);
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('otakutrack-') && !current.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ==================== FETCH STRATEGIES ====================
+// Requests carrying credentials (e.g. the MyAnimeList list API) and hosts not listed here
+// go straight to the network: a cached copy would be someone's private, outdated data
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || request.headers.has('Authorization')) return;
+
+    const url = new URL(request.url);
+
+    if (API_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, CACHES.api, event));
+    } else if (request.destination === 'image' || IMAGE_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, CACHES.images, MAX_IMAGES));
+    } else if (url.origin !== self.location.origin && !SHELL_HOSTS.includes(url.hostname)) {
+        return;
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, CACHES.shell));
+    } else {
+        // App shell files plus the Bootstrap/Font Awesome/Google Fonts CDNs
+        event.respondWith(staleWhileRevalidate(request, CACHES.shell, event));
+    }
+});
+
+async function staleWhileRevalidate(request, cacheName, event) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            // Opaque (no-cors) responses are fine to cache for CDN assets
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    return network.catch(() => offlineResponse(request));
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            trimCache(cacheName, maxEntries);
+        }
+        return response;
+    } catch (error) {
+        return offlineResponse(request);
+    }
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request)) || (await cache.match('index.html')) || offlineResponse(request);
+    }
+}
+
+// Oldest entries go first; Cache Storage keeps insertion order
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+
+    for (const key of keys.slice(0, Math.max(keys.length - maxEntries, 0))) {
+        await cache.delete(key);
+    }
+}
+
+function offlineResponse(request) {
+    if (API_HOSTS.includes(new URL(request.url).hostname)) {
+        return new Response(JSON.stringify({ status: 503, message: 'Offline' }), {
+            status: 503,
+            statusText: 'Offline',
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    return new Response('', { status: 503, statusText: 'Offline' });
+}
@@ -0,0 +1,257 @@
+// Parsing of OtakuTrack JSON, MyAnimeList XML and AniList JSON exports, and how an import is
+// previewed and merged. script.js runs in jsdom (for DOMParser) without booting the app; the
+// service gets a stand-in tracker holding the current list.
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+let window;
+
+before(async () => {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://example.com/',
+        runScripts: 'outside-only'
+    });
+    window = dom.window;
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    window.eval([
+        fs.readFileSync(path.join(ROOT, 'storage.js'), 'utf8'),
+        fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8'),
+        ';Object.assign(window, { ImportExportService });'
+    ].join('\n'));
+});
+
+function createService(current = {}) {
+    const calls = { added: [], updated: [] };
+    const tracker = {
+        getAllEntries: () => current,
+        addEntry: async (mediaType, id, data) => { calls.added.push({ mediaType, id, data }); return true; },
+        updateEntry: async (id, data) => { calls.updated.push({ id, data }); return true; }
+    };
+    return { service: new window.ImportExportService(tracker), calls };
+}
+
+// jsdom objects come from another realm, so compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const NATIVE = JSON.stringify({
+    app: 'OtakuTrack',
+    version: 1,
+    entries: {
+        5114: {
+            title: 'Fullmetal Alchemist: Brotherhood',
+            currentEpisode: '64',
+            totalEpisodes: 64,
+            status: 'completed',
+            rating: '9.5',
+            tags: 'classic, rewatch',
+            history: [{ at: 1000, episode: 64, source: 42 }, { episode: 1 }],
+            updatedAt: 5000
+        },
+        'manga:one-piece': { mediaType: 'manga', title: 'One Piece', currentChapter: 1100, status: 'reading' },
+        'podcast:7': { mediaType: 'podcast', title: 'Unknown type' }
+    }
+});
+
+const MAL_XML = `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+    <myinfo><user_export_type>1</user_export_type></myinfo>
+    <anime>
+        <series_animedb_id>1535</series_animedb_id>
+        <series_title><![CDATA[Death Note & Friends]]></series_title>
+        <series_episodes>37</series_episodes>
+        <my_watched_episodes>37</my_watched_episodes>
+        <my_score>9</my_score>
+        <my_status>Completed</my_status>
+        <my_start_date>2020-04-01</my_start_date>
+        <my_finish_date>0000-00-00</my_finish_date>
+        <my_times_watched>2</my_times_watched>
+        <my_rewatching>1</my_rewatching>
+        <my_rewatching_ep>5</my_rewatching_ep>
+        <my_comments><![CDATA[<b>notes</b>]]></my_comments>
+        <my_tags><![CDATA[thriller, school]]></my_tags>
+    </anime>
+    <anime>
+        <series_animedb_id>21</series_animedb_id>
+        <series_title>One Piece</series_title>
+        <series_episodes>0</series_episodes>
+        <my_watched_episodes>12</my_watched_episodes>
+        <my_score>0</my_score>
+        <my_status>3</my_status>
+    </anime>
+    <anime>
+        <series_animedb_id>0</series_animedb_id>
+        <series_title>No id</series_title>
+    </anime>
+</myanimelist>`;
+
+const ANILIST_JSON = JSON.stringify({
+    data: {
+        MediaListCollection: {
+            lists: [
+                {
+                    status: 'PAUSED',
+                    entries: [
+                        {
+                            progress: 4,
+                            score: 85,
+                            scoreRaw: 85,
+                            repeat: 0,
+                            startedAt: { year: 2024, month: 1, day: 9 },
+                            completedAt: { year: null, month: null, day: null },
+                            advancedScores: { Story: 9, Visuals: 0, Audio: 7.5, Characters: 0, Enjoyment: 0 },
+                            customLists: { Favourites: true, Later: false },
+                            updatedAt: 1700000000,
+                            media: { idMal: 52991, episodes: 28, title: { romaji: 'Sousou no Frieren' } }
+                        },
+                        { progress: 3, score: 7, media: { idMal: null, title: { romaji: 'No MAL id' } } }
+                    ]
+                },
+                {
+                    status: 'COMPLETED',
+                    entries: [
+                        { status: 'REPEATING', progress: 4, score: 73, repeat: 1, media: { idMal: 457, episodes: 26, title: { english: 'Mushishi' } } }
+                    ]
+                }
+            ]
+        }
+    }
+});
+
+test('detectFormat tells the three formats apart', () => {
+    const { service } = createService();
+    assert.equal(service.detectFormat(NATIVE), 'native');
+    assert.equal(service.detectFormat(MAL_XML), 'mal');
+    assert.equal(service.detectFormat(ANILIST_JSON), 'anilist');
+    assert.throws(() => service.detectFormat('{"entries": {}}'), /Unrecognized file format/);
+});
+
+test('OtakuTrack JSON keeps media types and normalizes values', () => {
+    const entries = plain(createService().service.fromNativeJSON(NATIVE));
+
+    assert.deepEqual(Object.keys(entries).sort(), ['5114', '7', 'manga:one-piece']);
+    assert.equal(entries[5114].currentEpisode, 64);
+    assert.equal(entries[5114].rating, 9.5);
+    assert.deepEqual(entries[5114].tags, ['classic', 'rewatch']);
+    assert.deepEqual(entries[5114].history, [{ at: 1000, episode: 64 }], 'events without a time and fields of the wrong type are dropped');
+    assert.equal(entries[5114].updatedAt, 5000);
+    assert.equal(entries['manga:one-piece'].currentChapter, 1100);
+    assert.equal(entries['manga:one-piece'].status, 'reading');
+    assert.equal(entries[7].mediaType, 'anime', 'unknown media types import as anime');
+    assert.equal(entries[7].status, 'plan_to_watch');
+});
+
+test('MyAnimeList XML maps statuses, scores and rewatches', () => {
+    const entries = plain(createService().service.fromMALXML(MAL_XML));
+
+    assert.deepEqual(Object.keys(entries).sort(), ['1535', '21'], 'entries without an id are skipped');
+    assert.deepEqual(entries[1535], {
+        id: '1535',
+        mediaType: 'anime',
+        title: 'Death Note & Friends',
+        image: null,
+        currentEpisode: 37,
+        totalEpisodes: 37,
+        status: 'completed',
+        rating: 9,
+        tags: ['thriller', 'school'],
+        notes: '<b>notes</b>',
+        startedAt: '2020-04-01',
+        rewatchCount: 2,
+        rewatching: true,
+        rewatchProgress: 5,
+        updatedAt: null
+    });
+    assert.equal(entries[21].status, 'on_hold', 'numeric MAL status ids');
+    assert.equal(entries[21].rating, null, 'a score of 0 is unrated');
+    assert.equal(entries[21].totalEpisodes, null);
+    assert.equal('tags' in entries[21], false, 'missing fields stay out so merges keep the current ones');
+    assert.throws(() => createService().service.fromMALXML('<myanimelist><anime>'), /Invalid MyAnimeList XML/);
+});
+
+test('AniList JSON converts 100-point scores, REPEATING and custom lists', () => {
+    const entries = plain(createService().service.fromAniListJSON(ANILIST_JSON));
+
+    assert.deepEqual(Object.keys(entries).sort(), ['457', '52991'], 'entries without a MAL id are skipped');
+
+    const frieren = entries[52991];
+    assert.equal(frieren.status, 'on_hold', 'the list status applies when the entry has none');
+    assert.equal(frieren.currentEpisode, 4);
+    assert.equal(frieren.rating, 8.5);
+    assert.deepEqual(frieren.subScores, { story: 9, sound: 7.5 });
+    assert.deepEqual(frieren.lists, ['Favourites']);
+    assert.equal(frieren.startedAt, '2024-01-09');
+    assert.equal('finishedAt' in frieren, false);
+    assert.equal(frieren.updatedAt, 1700000000 * 1000);
+
+    const mushishi = entries[457];
+    assert.equal(mushishi.title, 'Mushishi');
+    assert.equal(mushishi.status, 'completed');
+    assert.equal(mushishi.rewatching, true);
+    assert.equal(mushishi.rewatchProgress, 4);
+    assert.equal(mushishi.currentEpisode, 26, 'a rewatched title was watched to the end');
+    assert.equal(mushishi.rewatchCount, 1);
+    assert.equal(mushishi.rating, 7.3, 'scores above 10 are out of 100');
+});
+
+test('AniList scores are read in the exporting list\'s format', () => {
+    const { fromAniListScore } = window.ImportExportService;
+    assert.equal(fromAniListScore(8.5), 8.5);
+    assert.equal(fromAniListScore(4, 40), 4);
+    assert.equal(fromAniListScore(85), 8.5);
+    assert.equal(fromAniListScore(0, 0), null);
+});
+
+test('preview sorts entries into added, updated, conflicts and unchanged', () => {
+    const current = {
+        1535: { id: '1535', mediaType: 'anime', currentEpisode: 10, totalEpisodes: 37, status: 'watching', rating: 8, updatedAt: 2000 },
+        21: { id: '21', mediaType: 'anime', currentEpisode: 500, totalEpisodes: null, status: 'watching', rating: null },
+        457: { id: '457', mediaType: 'anime', currentEpisode: 26, totalEpisodes: 26, status: 'completed', rating: 7.3, tags: ['calm'] }
+    };
+    const { service } = createService(current);
+    const incoming = {
+        1535: { id: '1535', mediaType: 'anime', currentEpisode: 37, totalEpisodes: 37, status: 'completed', rating: 9, updatedAt: 3000 },
+        21: { id: '21', mediaType: 'anime', currentEpisode: 12, totalEpisodes: null, status: 'on_hold', rating: null },
+        457: { id: '457', mediaType: 'anime', currentEpisode: 26, totalEpisodes: 26, status: 'completed', rating: 7.3 },
+        52991: { id: '52991', mediaType: 'anime', currentEpisode: 4, status: 'watching', rating: null }
+    };
+
+    const diff = plain(service.preview(incoming));
+
+    assert.deepEqual(diff.added.map(({ id }) => id), ['52991']);
+    assert.deepEqual(diff.updated.map(({ id, changes }) => [id, changes]), [['1535', ['currentEpisode', 'status', 'rating']]]);
+    assert.deepEqual(diff.conflicts.map(({ id }) => id), ['21'], 'progress that would go backwards');
+    assert.deepEqual(diff.unchanged.map(({ id }) => id), ['457'], 'tags missing from the file are not a change');
+
+    assert.equal(service.isConflict({ updatedAt: 4000 }, { updatedAt: 3000 }), true, 'newer local edits win');
+    assert.equal(service.isConflict({ updatedAt: 2000, currentEpisode: 9 }, { updatedAt: 3000, currentEpisode: 1 }), false);
+});
+
+test('merge adds and updates entries and only takes conflicts the user picked', async () => {
+    const existing = { id: '21', title: 'One Piece', image: 'one-piece.jpg', currentEpisode: 500, addedAt: 100 };
+    const diff = {
+        added: [{ id: '52991', incoming: { id: '52991', mediaType: 'anime', title: 'Frieren', currentEpisode: 4, updatedAt: 10 } }],
+        updated: [],
+        conflicts: [
+            { id: '21', existing, incoming: { id: '21', mediaType: 'anime', title: 'ONE PIECE', image: null, currentEpisode: 12, updatedAt: 10 } },
+            { id: '457', existing: { id: '457' }, incoming: { id: '457', currentEpisode: 1 } }
+        ],
+        unchanged: [{ id: '1' }]
+    };
+
+    const { service, calls } = createService();
+    const result = await service.merge(diff, { resolveConflicts: [21] });
+
+    assert.deepEqual(plain(result), { added: 1, updated: 1, skipped: 2 });
+    assert.deepEqual(plain(calls.added), [{ mediaType: 'anime', id: '52991', data: { title: 'Frieren', currentEpisode: 4 } }]);
+    assert.deepEqual(plain(calls.updated), [{
+        id: '21',
+        data: { id: '21', mediaType: 'anime', title: 'One Piece', image: 'one-piece.jpg', currentEpisode: 12, addedAt: 100 }
+    }]);
+});
@@ -0,0 +1,93 @@
+// Hash routing: matching, parameter decoding, links and the fallback for routes that can't
+// be read. script.js runs in jsdom without booting the app.
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+let window;
+let Router;
+
+before(async () => {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://example.com/',
+        runScripts: 'outside-only'
+    });
+    window = dom.window;
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    window.eval([
+        fs.readFileSync(path.join(ROOT, 'storage.js'), 'utf8'),
+        fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8'),
+        ';Object.assign(window, { Router });'
+    ].join('\n'));
+    Router = window.Router;
+});
+
+// A router whose handlers record the pages they were asked to show
+function createRouter() {
+    const shown = [];
+    const page = name => ({ params }) => { shown.push([name, { ...params }]); };
+    const router = new Router({
+        '/': page('home'),
+        '/anime/:id': page('anime'),
+        '/list/:type/:status': page('list')
+    }, { fallback: '/' });
+    return { router, shown };
+}
+
+test('match decodes parameters', () => {
+    const { router } = createRouter();
+
+    assert.deepEqual({ ...router.match('/anime/52991').params }, { id: '52991' });
+    assert.deepEqual({ ...router.match('/anime/Sousou%20no%20Frieren/').params }, { id: 'Sousou no Frieren' }, 'trailing slash');
+    assert.deepEqual({ ...router.match('/anime/%E3%83%95%E3%83%AA%E3%83%BC%E3%83%AC%E3%83%B3').params }, { id: 'フリーレン' });
+    assert.deepEqual({ ...router.match('/anime/a%2Fb').params }, { id: 'a/b' }, 'escaped slashes stay in the segment');
+    assert.deepEqual({ ...router.match('/list/manga/on_hold').params }, { type: 'manga', status: 'on_hold' });
+    assert.equal(router.match('/anime/1/extra'), null);
+    assert.equal(router.match('/unknown'), null);
+});
+
+test('a malformed escape matches nothing', () => {
+    const { router } = createRouter();
+
+    assert.equal(router.match('/anime/%E0%A4%A'), null);
+    assert.equal(router.match('/list/%/completed'), null);
+    assert.equal(Router.decode('%E0%A4%A'), null);
+});
+
+test('routes that match nothing end up on the fallback', () => {
+    const { router, shown } = createRouter();
+
+    router.navigate('/anime/%E0%A4%A');
+    assert.equal(window.location.hash, '#/');
+    assert.deepEqual(shown, [['home', {}]]);
+
+    router.navigate('#/anime/21');
+    assert.deepEqual(shown.at(-1), ['anime', { id: '21' }]);
+    assert.equal(router.current.pattern, '/anime/:id');
+});
+
+test('parse splits the path from the query', () => {
+    const { path: route, query } = Router.parse('#/search?q=one%20piece&type=manga');
+
+    assert.equal(route, '/search');
+    assert.equal(query.get('q'), 'one piece');
+    assert.equal(query.get('type'), 'manga');
+    assert.equal(Router.parse('').path, '/');
+    assert.equal(Router.parse('#/list').query.toString(), '');
+});
+
+test('href builds links that parse back to the same route', () => {
+    assert.equal(Router.href('/list'), '#/list');
+    assert.equal(Router.href('/list', {}), '#/list');
+    assert.equal(Router.href('/search', { q: 'Re:Zero & co', page: 2 }), '#/search?q=Re%3AZero+%26+co&page=2');
+
+    const { path: route, query } = Router.parse(Router.href('/search', { q: 'Re:Zero & co' }));
+    assert.equal(route, '/search');
+    assert.equal(query.get('q'), 'Re:Zero & co');
+});
@@ -0,0 +1,207 @@
+// Escaping of API and user supplied text in the rendered markup (SafeHTML, Markdown and the
+// card/detail renderers). script.js runs in jsdom after the page has loaded, so the app
+// itself never boots; renderers are called on a bare OtakuTrackApp with just what they read.
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+const HOSTILE_TITLES = [
+    'Omniscient Reader\'s Viewpoint',
+    '<img src=x onerror=alert(1)>',
+    '"><script>alert(1)</script>',
+    '\' onmouseover=\'alert(1)',
+    '&lt;b&gt;already escaped&lt;/b&gt;'
+];
+const HOSTILE_URLS = [
+    'javascript:alert(1)',
+    ' JavaScript:alert(1)',
+    'vbscript:msgbox(1)',
+    'data:text/html,<script>alert(1)</script>'
+];
+
+let window;
+
+before(async () => {
+    const dom = new JSDOM('<!DOCTYPE html><html><body><div id="animeDetailContent"></div></body></html>', {
+        url: 'https://example.com/',
+        runScripts: 'outside-only'
+    });
+    window = dom.window;
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    window.eval([
+        fs.readFileSync(path.join(ROOT, 'storage.js'), 'utf8'),
+        fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8'),
+        ';Object.assign(window, { SafeHTML, Markdown, ListQuery, PLACEHOLDER_IMAGE, html });'
+    ].join('\n'));
+});
+
+// Parse markup the way the page does and return the fragment
+function parse(markup) {
+    const template = window.document.createElement('template');
+    template.innerHTML = String(markup);
+    return template.content;
+}
+
+function assertNothingInjected(fragment) {
+    assert.equal(fragment.querySelectorAll('script').length, 0, 'no <script> elements');
+    fragment.querySelectorAll('*').forEach(element => {
+        [...element.attributes].forEach(({ name, value }) => {
+            assert.ok(!/^on/i.test(name), `no ${name} attribute on <${element.localName}>`);
+            if (['src', 'href'].includes(name)) {
+                assert.ok(!/^\s*(javascript|vbscript|data:text):?/i.test(value), `no script URL in ${name}="${value}"`);
+            }
+        });
+    });
+}
+
+function createApp() {
+    const app = Object.create(window.OtakuTrackApp.prototype);
+    app.tracker = { getEntry: () => null };
+    app.listQuery = new window.ListQuery();
+    app.detail = { anime: null, loading: false };
+    app.renderDetailProgress = () => {};
+    app.renderDetailCharacters = () => {};
+    app.renderDetailEpisodes = () => {};
+    return app;
+}
+
+function hostileAnime(title, image = 'https://cdn.example.com/cover.jpg') {
+    return {
+        id: 'hostile',
+        title,
+        titleEnglish: title,
+        image,
+        score: 8.1,
+        episodes: 12,
+        synopsis: title,
+        genres: [title],
+        studios: [title],
+        reason: title
+    };
+}
+
+const progress = {
+    mediaType: 'anime',
+    status: 'watching',
+    currentEpisode: 3,
+    totalEpisodes: 12,
+    lists: ['<b>list</b>'],
+    tags: ['"><img src=x onerror=alert(1)>'],
+    notes: '<script>alert(1)</script> **bold**'
+};
+
+test('SafeHTML.escape escapes every markup character', () => {
+    assert.equal(window.SafeHTML.escape('<a href="x">Reader\'s & co</a>'),
+        '&lt;a href=&quot;x&quot;&gt;Reader&#39;s &amp; co&lt;/a&gt;');
+});
+
+test('html keeps hostile values as text and attribute values', () => {
+    HOSTILE_TITLES.forEach(title => {
+        const fragment = parse(window.html`<span title="${title}" data-title='${title}'>${title}</span>`);
+        const span = fragment.firstElementChild;
+
+        assertNothingInjected(fragment);
+        assert.equal(fragment.children.length, 1);
+        assert.equal(span.children.length, 0);
+        assert.equal(span.textContent, title);
+        assert.equal(span.getAttribute('title'), title);
+        assert.equal(span.getAttribute('data-title'), title);
+    });
+});
+
+test('SafeHTML.url only lets http(s), data:image and relative URLs through', () => {
+    HOSTILE_URLS.forEach(url => assert.equal(window.SafeHTML.url(url, 'fallback.png'), 'fallback.png'));
+    [
+        'https://cdn.example.com/a.jpg',
+        'http://cdn.example.com/a.jpg',
+        'data:image/png;base64,AAAA',
+        '/images/a.jpg',
+        'a.jpg'
+    ].forEach(url => assert.equal(window.SafeHTML.url(url, 'fallback.png'), url));
+    assert.equal(window.SafeHTML.url(null, 'fallback.png'), 'fallback.png');
+});
+
+test('Markdown.inline escapes text and only links http(s) URLs', () => {
+    HOSTILE_TITLES.forEach(title => {
+        const fragment = parse(window.Markdown.inline(title));
+        assertNothingInjected(fragment);
+        assert.equal(fragment.children.length, 0);
+        assert.equal(fragment.textContent, title);
+    });
+
+    const links = parse(window.Markdown.inline('[a](javascript:alert(1)) [b](https://example.com/"onmouseover="alert(1))'));
+    assertNothingInjected(links);
+    assert.deepEqual([...links.querySelectorAll('a')].map(link => link.getAttribute('href')),
+        ['https://example.com/"onmouseover="alert(1']);
+});
+
+test('Markdown.render escapes notes', () => {
+    const fragment = parse(window.Markdown.render(`# ${HOSTILE_TITLES[1]}\n- ${HOSTILE_TITLES[2]}\n> \`${HOSTILE_TITLES[1]}\``));
+    assertNothingInjected(fragment);
+    assert.deepEqual([...fragment.querySelectorAll('*')].map(element => element.localName), ['h4', 'ul', 'li', 'blockquote', 'code']);
+});
+
+test('cards keep hostile titles as text and drop script image URLs', () => {
+    const app = createApp();
+
+    HOSTILE_TITLES.forEach(title => HOSTILE_URLS.forEach(url => {
+        const anime = hostileAnime(title, url);
+        const cards = [
+            app.createProgressCard('hostile', anime, progress),
+            app.createAnimeCard(anime, 'search'),
+            app.createAnimeCard(anime, 'season'),
+            app.createAnimeCard(anime, 'recommendation'),
+            app.createContinueWatchingCard('hostile', anime, progress)
+        ];
+
+        cards.forEach(markup => {
+            const fragment = parse(markup);
+            assertNothingInjected(fragment);
+            assert.equal(fragment.querySelectorAll('img').length, 1);
+            assert.equal(fragment.querySelector('img').getAttribute('src'), window.PLACEHOLDER_IMAGE);
+            assert.equal(fragment.querySelector('img').getAttribute('alt'), title);
+            fragment.querySelectorAll('[data-title]').forEach(element => assert.equal(element.dataset.title, title));
+            fragment.querySelectorAll('[data-image]').forEach(element => assert.equal(element.dataset.image, window.PLACEHOLDER_IMAGE));
+        });
+    }));
+});
+
+test('progress card labels stay text', () => {
+    const fragment = parse(createApp().createProgressCard('hostile', hostileAnime(HOSTILE_TITLES[0]), progress));
+
+    assertNothingInjected(fragment);
+    assert.equal(fragment.querySelector('.entry-list-badge').textContent, '<b>list</b>');
+    assert.equal(fragment.querySelector('.entry-tag').textContent, `#${progress.tags[0]}`);
+    assert.ok(fragment.querySelector('.entry-notes-indicator').getAttribute('title').includes('<script>'));
+});
+
+test('anime detail keeps hostile titles as text', () => {
+    const app = createApp();
+    const container = window.document.getElementById('animeDetailContent');
+
+    HOSTILE_TITLES.forEach(title => {
+        app.detail = {
+            anime: {
+                ...hostileAnime(title, HOSTILE_URLS[0]),
+                titleJapanese: title.toUpperCase(),
+                trailer: title,
+                relations: [{ relation: title, entries: [{ id: 1, type: 'anime', title }, { id: 2, type: 'manga', title }] }]
+            },
+            loading: false
+        };
+        app.renderAnimeDetail();
+
+        assertNothingInjected(container);
+        assert.equal(container.querySelector('.detail-title').textContent, title);
+        assert.equal(container.querySelector('.detail-cover').getAttribute('src'), window.PLACEHOLDER_IMAGE);
+        assert.equal(container.querySelector('.detail-cover').getAttribute('alt'), title);
+        assert.equal(container.querySelector('.detail-relations [data-action="open-detail"]').dataset.title, title);
+        assert.equal(new URL(container.querySelector('iframe').src).pathname, `/embed/${encodeURIComponent(title)}`);
+    });
+});
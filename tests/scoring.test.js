@@ -0,0 +1,110 @@
+// Scoring between the stored 0.1-10 scale and each scoring system's display values.
+// script.js runs in jsdom without booting the app; every call names its system.
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+let window;
+let Scoring;
+
+before(async () => {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://example.com/',
+        runScripts: 'outside-only'
+    });
+    window = dom.window;
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    window.eval([
+        fs.readFileSync(path.join(ROOT, 'storage.js'), 'utf8'),
+        fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8'),
+        ';Object.assign(window, { Scoring });'
+    ].join('\n'));
+    Scoring = window.Scoring;
+});
+
+// Every value a system can show, with the stored score it saves as
+const ROUND_TRIPS = {
+    point10Decimal: [[0.1, 0.1], [8.5, 8.5], [10, 10]],
+    point100: [[1, 0.1], [73, 7.3], [85, 8.5], [100, 10]],
+    stars5: Array.from({ length: 10 }, (_, index) => [(index + 1) / 2, index + 1]),
+    smiley3: [[1, 3.5], [2, 6], [3, 8.5]]
+};
+
+function createInput(system, score) {
+    const template = window.document.createElement('template');
+    template.innerHTML = Scoring.renderInput({ id: 'score', score }, system);
+    return template.content.firstElementChild;
+}
+
+test('display values round-trip through the stored score', () => {
+    Object.entries(ROUND_TRIPS).forEach(([system, pairs]) => pairs.forEach(([shown, score]) => {
+        assert.equal(Scoring.fromDisplay(shown, system), score, `${system} ${shown} saves as ${score}`);
+        assert.equal(Scoring.toDisplay(score, system), shown, `${system} ${score} shows as ${shown}`);
+    }));
+});
+
+test('stored scores between steps show as the nearest value', () => {
+    assert.equal(Scoring.toDisplay(8.6, 'point10'), 9);
+    assert.equal(Scoring.toDisplay(0.2, 'point10'), 1);
+    assert.equal(Scoring.toDisplay(8.6, 'stars5'), 4.5);
+    assert.equal(Scoring.toDisplay(0.3, 'stars5'), 0.5);
+    assert.equal(Scoring.toDisplay(3.6, 'smiley3'), 2);
+    assert.equal(Scoring.toDisplay(6.1, 'smiley3'), 3);
+    assert.equal(Scoring.toDisplay('7.25', 'point100'), 73, 'old string ratings are normalized first');
+});
+
+test('unrated stays null in every system', () => {
+    Object.keys(ROUND_TRIPS).concat('point10').forEach(system => {
+        assert.equal(Scoring.toDisplay(null, system), null);
+        assert.equal(Scoring.toDisplay(0, system), null);
+        assert.equal(Scoring.fromDisplay('', system), null);
+        assert.equal(Scoring.format(null, system), '');
+        assert.equal(Scoring.range('', system), null);
+    });
+});
+
+test('read returns the stored score until the input is changed', () => {
+    const stars = createInput('stars5', 8.6);
+    assert.equal(stars.value, '4.5');
+    assert.equal(Scoring.read(stars, 'stars5'), 8.6, 'an untouched input keeps the exact score');
+    stars.value = '3.5';
+    assert.equal(Scoring.read(stars, 'stars5'), 7);
+
+    const points = createInput('point100', null);
+    assert.equal(Scoring.read(points, 'point100'), null);
+    Scoring.write(points, 7.3, 'point100');
+    assert.equal(points.value, '73');
+    assert.equal(Scoring.read(points, 'point100'), 7.3);
+    Scoring.write(points, null, 'point100');
+    assert.equal(points.value, '');
+    assert.equal(Scoring.read(points, 'point100'), null);
+
+    const smileys = createInput('smiley3', 7);
+    assert.equal(smileys.value, '3');
+    assert.equal(Scoring.read(smileys, 'smiley3'), 7);
+    smileys.value = '1';
+    assert.equal(Scoring.read(smileys, 'smiley3'), 3.5);
+});
+
+test('average rolls up the set categories', () => {
+    assert.equal(Scoring.average({ story: 9, sound: 7.5 }), 8.3);
+    assert.equal(Scoring.average({ story: '8', animation: null, enjoyment: 0 }), 8);
+    assert.equal(Scoring.average({ unknown: 9 }), null);
+    assert.equal(Scoring.average({}), null);
+    assert.equal(Scoring.average(null), null);
+});
+
+test('range covers every stored score that shows as a value', () => {
+    assert.deepEqual([...Scoring.range(8, 'point10')], [7.5, 8.4]);
+    assert.deepEqual([...Scoring.range(8.5, 'point10Decimal')], [8.5, 8.5]);
+    assert.deepEqual([...Scoring.range(85, 'point100')], [8.5, 8.5]);
+    assert.deepEqual([...Scoring.range(4.5, 'stars5')], [8.5, 9.4]);
+    assert.deepEqual([...Scoring.range(2, 'smiley3')], [3.6, 6]);
+    assert.equal(Scoring.range(7, 'smiley3'), null, 'no such smiley');
+});
@@ -0,0 +1,61 @@
+// Which requests the service worker answers from its caches. sw.js runs in its own
+// context with a stand-in `self`; only the routing is checked, not the cache strategies.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ORIGIN = 'https://otakutrack.example';
+
+function loadServiceWorker() {
+    const listeners = {};
+    const context = vm.createContext({
+        URL,
+        Response,
+        self: {
+            location: new URL(`${ORIGIN}/sw.js`),
+            addEventListener: (type, listener) => { listeners[type] = listener; }
+        },
+        caches: { open: () => new Promise(() => {}) },
+        fetch: () => new Promise(() => {})
+    });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8'), context);
+    return listeners;
+}
+
+// Whether the fetch handler took over the request (true) or left it to the browser
+function isHandled(url, { method = 'GET', headers = {}, mode = 'cors', destination = '' } = {}) {
+    const { fetch } = loadServiceWorker();
+    let handled = false;
+    fetch({
+        request: { url, method, mode, destination, headers: new Headers(headers) },
+        respondWith: () => { handled = true; }
+    });
+    return handled;
+}
+
+test('MyAnimeList list API calls skip the caches', () => {
+    const authorization = { Authorization: 'Bearer secret' };
+    assert.equal(isHandled('https://api.myanimelist.net/v2/users/@me', { headers: authorization }), false);
+    assert.equal(isHandled('https://api.myanimelist.net/v2/users/@me/animelist?limit=1000', { headers: authorization }), false);
+    assert.equal(isHandled('https://api.myanimelist.net/v2/users/@me/animelist'), false, 'unknown hosts are never cached');
+});
+
+test('requests with credentials skip the caches even on cached hosts', () => {
+    assert.equal(isHandled(`${ORIGIN}/script.js`, { headers: { Authorization: 'Bearer secret' } }), false);
+    assert.equal(isHandled('https://api.jikan.moe/v4/anime/1', { headers: { Authorization: 'Bearer secret' } }), false);
+});
+
+test('only GET requests are cached', () => {
+    assert.equal(isHandled('https://graphql.anilist.co', { method: 'POST' }), false);
+    assert.equal(isHandled('http://localhost:8788/list/changes', { method: 'POST' }), false);
+});
+
+test('app shell, metadata APIs and images are cached', () => {
+    assert.equal(isHandled(`${ORIGIN}/script.js`), true);
+    assert.equal(isHandled(`${ORIGIN}/`, { mode: 'navigate' }), true);
+    assert.equal(isHandled('https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css'), true);
+    assert.equal(isHandled('https://api.jikan.moe/v4/anime/1'), true);
+    assert.equal(isHandled('https://cdn.myanimelist.net/images/anime/1/1.jpg'), true);
+});
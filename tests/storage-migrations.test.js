@@ -0,0 +1,74 @@
+// StorageMigrator against an in-memory localStorage; storage.js runs in its own context
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function createStorage(items = {}) {
+    const data = new Map(Object.entries(items).map(([key, value]) => [key, JSON.stringify(value)]));
+    return {
+        get length() { return data.size; },
+        key: index => [...data.keys()][index] ?? null,
+        getItem: key => data.has(key) ? data.get(key) : null,
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key)
+    };
+}
+
+function loadStorage() {
+    const context = vm.createContext({ console });
+    vm.runInContext(`${fs.readFileSync(path.join(__dirname, '..', 'storage.js'), 'utf8')}
+        ;globalThis.exports = { STORAGE_SCHEMA, StorageMigrator };`, context);
+    return context.exports;
+}
+
+test('v1 data and anime.html progress migrate with anime.html ratings doubled', () => {
+    const { STORAGE_SCHEMA, StorageMigrator } = loadStorage();
+    const storage = createStorage({
+        otakutrack_progress: { 1: { title: 'Old', status: 'watching', rating: '4', currentEpisode: 2 } },
+        otakuTrackProgress: {
+            anime: { 'jujutsu-kaisen': { current: 3, total: 24, status: 'watching', rating: '4' } },
+            manga: { 'one-piece': { current: 10, status: 'reading', rating: null } }
+        }
+    });
+
+    const blob = new StorageMigrator(storage).run();
+
+    assert.equal(blob.version, STORAGE_SCHEMA.version);
+    assert.equal(blob.entries[1].rating, '4', 'script.js ratings were already out of 10');
+    assert.equal(blob.entries['jujutsu-kaisen'].rating, 8);
+    assert.equal(blob.entries['manga:one-piece'].rating, null);
+    assert.equal(storage.getItem('otakuTrackProgress'), null);
+});
+
+test('v3 rescales 1-5 ratings that v2 and anime.html stored as they were', () => {
+    const { StorageMigrator } = loadStorage();
+    const storage = createStorage({
+        otakutrack_progress: {
+            version: 2,
+            entries: {
+                'jujutsu-kaisen': { id: 'jujutsu-kaisen', mediaType: 'anime', rating: '5' },
+                'manga:one-piece': { id: 'one-piece', mediaType: 'manga', rating: '3' },
+                1: { id: '1', mediaType: 'anime', rating: '4', history: [] },
+                2: { id: '2', mediaType: 'anime', rating: '2' },
+                3: { id: '3', mediaType: 'anime', rating: 4 },
+                4: { id: '4', mediaType: 'anime', rating: '9' }
+            }
+        },
+        otakutrack_progress_backup_v1: {
+            fromVersion: 1,
+            data: { otakutrack_progress: JSON.stringify({ 2: { rating: '2' } }), otakuTrackProgress: null }
+        }
+    });
+
+    const { entries } = new StorageMigrator(storage).run();
+
+    assert.equal(entries['jujutsu-kaisen'].rating, 10);
+    assert.equal(entries['manga:one-piece'].rating, 6);
+    assert.equal(entries[1].rating, '4', 'entries with history were last rated by script.js');
+    assert.equal(entries[2].rating, '2', 'untouched v1 entries are script.js ratings');
+    assert.equal(entries[3].rating, 4);
+    assert.equal(entries[4].rating, '9');
+    assert.ok(storage.getItem('otakutrack_progress_backup_v2'), 'v2 data is backed up first');
+});
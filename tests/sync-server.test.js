@@ -0,0 +1,93 @@
+// server/sync-server.js, called directly. DATA_DIR is read when the module loads, so it
+// points at a fresh temporary directory before the require.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'otakutrack-sync-'));
+process.env.DATA_DIR = DATA_DIR;
+const { applyChanges, isValidChange, sync, readList } = require('../server/sync-server.js');
+
+after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const entry = (title, revision, extra = {}) => ({ key: title, revision, updatedAt: 1000 + revision, entry: { id: title, title }, ...extra });
+
+function storedList() {
+    return {
+        seq: 1,
+        records: Object.assign(Object.create(null), {
+            frieren: { key: 'frieren', revision: 3, updatedAt: 1003, deleted: false, entry: { id: 'frieren' }, device: 'laptop', seq: 1 }
+        })
+    };
+}
+
+test('a higher revision replaces the stored record', () => {
+    const list = storedList();
+    const { accepted, conflicts } = applyChanges(list, 'phone', [entry('frieren', 4), entry('mushishi', 1)]);
+
+    assert.deepEqual(accepted, [{ key: 'frieren', revision: 4 }, { key: 'mushishi', revision: 1 }]);
+    assert.deepEqual(conflicts, []);
+    assert.equal(list.seq, 3);
+    assert.equal(list.records.frieren.device, 'phone');
+    assert.equal(list.records.frieren.seq, 2);
+    assert.equal(list.records.mushishi.seq, 3);
+});
+
+test('a retry from the device that stored the revision is accepted without a write', () => {
+    const list = storedList();
+    const { accepted, conflicts } = applyChanges(list, 'laptop', [entry('frieren', 3)]);
+
+    assert.deepEqual(accepted, [{ key: 'frieren', revision: 3 }]);
+    assert.deepEqual(conflicts, []);
+    assert.equal(list.seq, 1, 'nothing changed');
+});
+
+test('a lower or equal revision from another device is a conflict', () => {
+    const list = storedList();
+    const stored = list.records.frieren;
+    const { accepted, conflicts } = applyChanges(list, 'phone', [entry('frieren', 3), entry('frieren', 2, { deleted: true })]);
+
+    assert.deepEqual(accepted, []);
+    assert.deepEqual(conflicts, [stored, stored]);
+    assert.equal(list.seq, 1);
+});
+
+test('isValidChange needs a key, a whole revision and an entry or a removal', () => {
+    assert.ok(isValidChange(entry('frieren', 0)));
+    assert.ok(isValidChange({ key: 'frieren', revision: 2, deleted: true }));
+    assert.ok(!isValidChange({ key: '', revision: 1, entry: {} }));
+    assert.ok(!isValidChange({ key: 'frieren', revision: 1.5, entry: {} }));
+    assert.ok(!isValidChange({ key: 'frieren', revision: 1 }));
+    assert.ok(!isValidChange(null));
+});
+
+test('sync stores accepted changes and sends back what the client has not seen', async () => {
+    const laptop = await sync('shared', { device: 'laptop', since: 0, changes: [entry('frieren', 1), entry('mushishi', 1)] });
+    assert.equal(laptop.status, 200);
+    assert.equal(laptop.body.cursor, 2);
+    assert.deepEqual(laptop.body.changes, [], 'a client is not sent its own changes back');
+
+    const phone = await sync('shared', { device: 'phone', since: 0, changes: [entry('frieren', 1)] });
+    assert.deepEqual(phone.body.accepted, []);
+    assert.deepEqual(phone.body.conflicts.map(record => record.device), ['laptop']);
+    assert.deepEqual(phone.body.changes.map(record => record.key), ['mushishi']);
+    assert.equal(phone.body.reset, false);
+
+    assert.equal((await readList('shared')).seq, 2);
+});
+
+test('a cursor past the end of the list is answered with a reset and every record', async () => {
+    await sync('reset', { device: 'laptop', changes: [entry('frieren', 1)] });
+    const { body } = await sync('reset', { device: 'phone', since: 40, changes: [] });
+
+    assert.equal(body.reset, true);
+    assert.equal(body.cursor, 1);
+    assert.deepEqual(body.changes.map(record => record.key), ['frieren']);
+});
+
+test('malformed bodies are rejected', async () => {
+    assert.equal((await sync('shared', [])).status, 400);
+    assert.equal((await sync('shared', { device: 'phone', changes: [{ key: 'frieren' }] })).status, 400);
+});